@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// The libraries in src/lib import each other without file extensions, which Vite
+// resolves for the app; this hook lets Node resolve them the same way.
+register('./resolve-hooks.js', import.meta.url);
@@ -0,0 +1,12 @@
+// Module resolution hook registered by register.js: tries "<specifier>.js" for
+// relative imports written without an extension.
+export const resolve = async (specifier, context, nextResolve) => {
+  if (/^\.{1,2}\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    try {
+      return await nextResolve(`${specifier}.js`, context);
+    } catch {
+      // Not a file with that name; let Node report the original specifier.
+    }
+  }
+  return nextResolve(specifier, context);
+};
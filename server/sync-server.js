@@ -0,0 +1,293 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { SCHEMA_VERSION, StorageError, createEmptyClubData, readStoredClub, serializeClub } from '../src/lib/storage.js';
+import { commitPatch } from '../src/lib/sync.js';
+import { hasPermission, hashPin, findStaffByPin, validatePin } from '../src/lib/staff.js';
+
+// --- SYNC SERVER ---
+// Small self-hosted server that keeps the club in step across devices. Start it
+// with a shared secret, `SYNC_TOKEN=... npm run sync-server`, and build or run the
+// app with the same token and VITE_SYNC_URL pointing at it (e.g.
+// VITE_SYNC_URL=http://localhost:8787 VITE_SYNC_TOKEN=... npm run dev).
+//
+// Every request needs the token (`Authorization: Bearer <token>`, or `?token=` for
+// /events), and browsers may only call from the origins in SYNC_ORIGINS
+// (comma-separated, default http://localhost:5173).
+//
+//   GET  /club    -> { version, revision, data }
+//   POST /club    <- { version, patch, activeVenueId, credentials?, pins? }   (see src/lib/sync.js)
+//                 -> 200 { status: 'ok', version, revision, data }
+//                    409 { status: 'conflict', conflict, version, revision, data }
+//                    403 { status: 'refused', message, version, revision, data }
+//                    400 { status: 'error', message }   (a malformed patch, an unknown venue)
+//   POST /login   <- { pin }  -> 200 { status: 'ok', staffId } | 401 | 429
+//   GET  /events  -> Server-Sent Events: the current { version, revision, data } on
+//                    connect and after every commit
+//
+// Every patch is committed with the same overlap checks the app runs, against the
+// state as it is on the server. The state is kept in SYNC_FILE (default
+// ./club-sync.json), in the same envelope the browser stores.
+//
+// PIN hashes never leave the server (see src/lib/staff.js): payloads carry the
+// staff without them, and clients send new PINs in `pins` ({ [staffId]: pin }).
+// Changes to the staff or their PINs need `credentials` ({ staffId, pin }) of a
+// user who may manage staff, except while there are no accounts yet.
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = path.resolve(process.env.SYNC_FILE || 'club-sync.json');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const KEEPALIVE_MS = 25000;
+const TOKEN = process.env.SYNC_TOKEN;
+const ORIGINS = (process.env.SYNC_ORIGINS || 'http://localhost:5173').split(',').map(o => o.trim()).filter(Boolean);
+// Wrong PINs allowed per window, for the whole server, before PIN checks pause.
+const MAX_PIN_FAILURES = 10;
+const PIN_FAILURE_WINDOW_MS = 60000;
+
+if (!TOKEN) {
+  console.error('Falta SYNC_TOKEN: el servidor de sincronización no arranca sin una clave compartida.');
+  process.exit(1);
+}
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const isAuthorized = (req, url) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  return token != null && crypto.timingSafeEqual(digest(token), digest(TOKEN));
+};
+
+// Requests without an Origin (curl, scripts) are not from a browser and only need the token.
+const isAllowedOrigin = (origin) => origin === undefined || ORIGINS.includes(origin);
+
+const corsHeaders = (origin) => ({
+  Vary: 'Origin',
+  ...(origin && ORIGINS.includes(origin) && {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  }),
+});
+
+// A file that cannot be read stops the server instead of being replaced by an empty club.
+const loadState = () => (fs.existsSync(DATA_FILE)
+  ? readStoredClub(fs.readFileSync(DATA_FILE, 'utf8'))
+  : { revision: 0, data: createEmptyClubData() });
+
+let state = loadState();
+const listeners = new Set();
+
+const saveState = () => {
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, serializeClub(state.data, 2, state.revision));
+  fs.renameSync(tmp, DATA_FILE);
+};
+
+const withoutPinHash = (member) => {
+  const { pinHash: _pinHash, ...rest } = member;
+  return rest;
+};
+
+const withoutPinHashes = (data) => ({ ...data, staff: data.staff.map(withoutPinHash) });
+
+const toPayload = (extra = {}) => ({ ...extra, version: SCHEMA_VERSION, revision: state.revision, data: withoutPinHashes(state.data) });
+
+// The CORS headers are set when the request comes in.
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+let pinFailures = [];
+
+const isPinCheckPaused = () => {
+  pinFailures = pinFailures.filter(at => at > Date.now() - PIN_FAILURE_WINDOW_MS);
+  return pinFailures.length >= MAX_PIN_FAILURES;
+};
+
+const checkPin = (member, pin) => {
+  const ok = typeof pin === 'string' && member.pinHash === hashPin(pin, member.id);
+  if (!ok) pinFailures.push(Date.now());
+  return ok;
+};
+
+// Returns null when the push may change what it changes about the staff, otherwise
+// the reason for a refusal.
+const getStaffRefusal = ({ patch, credentials, pins }) => {
+  const changesStaff = patch?.shared?.staff || (pins && Object.keys(pins).length > 0);
+  if (!changesStaff || state.data.staff.length === 0) return null;
+  if (isPinCheckPaused()) return 'Demasiados PIN incorrectos. Espera un minuto e intenta de nuevo.';
+  const member = state.data.staff.find(m => String(m.id) === String(credentials?.staffId));
+  if (!member || !checkPin(member, credentials.pin) || !hasPermission(member, 'manageStaff')) {
+    return 'Solo un usuario que administra usuarios puede cambiar cuentas o PIN.';
+  }
+  return null;
+};
+
+// The patch with the staff as the server stores them: members keep their stored
+// hash (whatever the client sent), and the ones in `pins` get the new one. Throws a
+// StorageError for a bad or repeated PIN, or a new member without one. A malformed
+// staff change is left to commitPatch to reject.
+const withPinHashes = (patch, pins = {}) => {
+  const change = patch?.shared?.staff;
+  if ((change && !Array.isArray(change.upserts)) || !pins || typeof pins !== 'object') return patch;
+  const stored = new Map(state.data.staff.map(m => [String(m.id), m]));
+  const upserts = new Map((change?.upserts || []).map(m => [String(m.id), m]));
+  Object.keys(pins).forEach(id => {
+    if (!upserts.has(id) && !stored.has(id)) throw new StorageError('Hay un PIN para una cuenta que no existe.');
+    if (!upserts.has(id)) upserts.set(id, stored.get(id));
+  });
+
+  const members = [...upserts.entries()].map(([id, sent]) => {
+    const member = withoutPinHash(sent);
+    if (pins[id] != null) return { ...member, pinHash: hashPin(String(pins[id]), member.id) };
+    if (!stored.get(id)?.pinHash) throw new StorageError(`La cuenta de ${member.name} no tiene PIN.`);
+    return { ...member, pinHash: stored.get(id).pinHash };
+  });
+  const deleted = new Set((change?.deletes || []).map(String));
+  const staffAfter = [...state.data.staff.filter(m => !upserts.has(String(m.id)) && !deleted.has(String(m.id))), ...members];
+  Object.entries(pins).forEach(([id, pin]) => {
+    const pinError = validatePin(staffAfter.filter(m => String(m.id) !== id), String(pin));
+    if (pinError) throw new StorageError(pinError);
+  });
+
+  return { ...patch, shared: { ...patch.shared, staff: { upserts: members, deletes: change?.deletes || [] } } };
+};
+
+const sendEvent = (res) => res.write(`data: ${JSON.stringify(toPayload())}\n\n`);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// Commits run to completion between reads of the request body, so two pushes can
+// never interleave.
+const handlePush = async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    sendJSON(res, 400, { status: 'error', message: 'Petición inválida.' });
+    return;
+  }
+  if (body?.version !== SCHEMA_VERSION) {
+    sendJSON(res, 400, {
+      status: 'error',
+      message: `El servidor usa datos v${SCHEMA_VERSION} y la app v${body?.version}. Actualiza ambos a la misma versión.`,
+    });
+    return;
+  }
+  // A refused staff change is dropped by the client, so a bad PIN is not retried.
+  const refuse = (reason) => sendJSON(res, 403, toPayload({ status: 'refused', message: `Los cambios en los usuarios no se guardaron. ${reason}` }));
+  const refusal = getStaffRefusal(body);
+  if (refusal) {
+    refuse(refusal);
+    return;
+  }
+  let patch;
+  try {
+    patch = withPinHashes(body.patch, body.pins);
+  } catch (err) {
+    if (!(err instanceof StorageError)) throw err;
+    refuse(err.message);
+    return;
+  }
+
+  let result;
+  try {
+    result = commitPatch(state, { patch, activeVenueId: body.activeVenueId });
+  } catch (err) {
+    if (!(err instanceof StorageError)) throw err;
+    sendJSON(res, 400, { status: 'error', message: err.message });
+    return;
+  }
+  if (result.status === 'conflict') {
+    sendJSON(res, 409, toPayload({ status: 'conflict', conflict: result.conflict }));
+    return;
+  }
+
+  if (result.revision !== state.revision) {
+    state = { revision: result.revision, data: result.data };
+    saveState();
+    listeners.forEach(sendEvent);
+  }
+  sendJSON(res, 200, toPayload({ status: 'ok' }));
+};
+
+const handleLogin = async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    sendJSON(res, 400, { status: 'error', message: 'Petición inválida.' });
+    return;
+  }
+  if (isPinCheckPaused()) {
+    sendJSON(res, 429, { status: 'error', message: 'Demasiados PIN incorrectos. Espera un minuto e intenta de nuevo.' });
+    return;
+  }
+  const member = typeof body?.pin === 'string' && findStaffByPin(state.data.staff, body.pin);
+  if (!member) {
+    pinFailures.push(Date.now());
+    sendJSON(res, 401, { status: 'error', message: 'PIN incorrecto.' });
+    return;
+  }
+  sendJSON(res, 200, { status: 'ok', staffId: member.id });
+};
+
+const handleEvents = (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  sendEvent(res);
+  listeners.add(res);
+  req.on('close', () => listeners.delete(res));
+};
+
+const handleFailure = (res) => (err) => {
+  console.error(err);
+  if (!res.headersSent) sendJSON(res, 500, { status: 'error', message: 'Error interno del servidor de sincronización.' });
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const { pathname } = url;
+  const { origin } = req.headers;
+  Object.entries(corsHeaders(origin)).forEach(([name, value]) => res.setHeader(name, value));
+  if (!isAllowedOrigin(origin)) {
+    sendJSON(res, 403, { status: 'error', message: 'Origen no permitido.' });
+  } else if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+  } else if (!isAuthorized(req, url)) {
+    sendJSON(res, 401, { status: 'error', message: 'Falta la clave del servidor de sincronización o es incorrecta.' });
+  } else if (req.method === 'GET' && pathname === '/club') {
+    sendJSON(res, 200, toPayload());
+  } else if (req.method === 'POST' && pathname === '/club') {
+    handlePush(req, res).catch(handleFailure(res));
+  } else if (req.method === 'POST' && pathname === '/login') {
+    handleLogin(req, res).catch(handleFailure(res));
+  } else if (req.method === 'GET' && pathname === '/events') {
+    handleEvents(req, res);
+  } else {
+    sendJSON(res, 404, { status: 'error', message: 'No encontrado.' });
+  }
+});
+
+// Comment lines keep idle event streams open through proxies.
+setInterval(() => listeners.forEach(res => res.write(': keepalive\n\n')), KEEPALIVE_MS).unref();
+
+server.listen(PORT, () => {
+  console.log(`Servidor de sincronización en http://localhost:${PORT} (datos: ${DATA_FILE})`);
+});
@@ -1,19 +1,68 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence, useDragControls } from 'framer-motion';
 import {
   Plus, Trash2, RotateCw, Maximize, MousePointer2,
   Square, Calendar, Clock, User, DollarSign,
   Check, X, LayoutTemplate, Armchair, Lock, AlertCircle, CheckCircle2,
-  List, CalendarDays, Search, SearchCheck, ZoomIn, ZoomOut, AlertTriangle
+  List, CalendarDays, Search, SearchCheck, ZoomIn, ZoomOut, AlertTriangle,
+  Undo2, Redo2, Repeat, Pencil, History, Download, Upload, CalendarArrowDown,
+  GanttChart, ChevronLeft, ChevronRight, Wallet, Tag, Users, UserPlus, Phone, Mail,
+  BarChart3, FileDown, Hourglass, BellRing, Magnet, Ruler, SlidersHorizontal, Copy,
+  Coffee, Shirt, Car, ShoppingBag, DoorOpen, BrickWall, Fence, Eye, EyeOff, Layers, Wrench, Trophy, GraduationCap, Building2, ShieldCheck
 } from 'lucide-react';
+import { createLocalStorageRepository, serializeClub, parseClubFile, StorageError } from './lib/storage';
+import { downloadTextFile, datedFilename } from './lib/files';
+import { buildICalendar } from './lib/ical';
+import {
+  WEEKDAYS, WEEKDAY_ORDER, SLOT_OPTIONS, DURATION_OPTIONS,
+  getEffectiveSchedule, getSlotStarts, getDayWindow, validateSlot, getDefaultSlot, isValidSchedule, isValidCourtSchedule, addDays
+} from './lib/schedule';
+import {
+  PAYMENT_METHODS, PAYMENT_STATUS, DEFAULT_CANCELLATION_POLICY, formatMoney, getEffectivePricing, calculatePrice,
+  getAmountPaid, getBalance, getPaymentStatus, getPlayerShares, countPaidPlayers, isValidPricing
+} from './lib/pricing';
+import { createCustomer, searchCustomers, findCustomerByName, getCustomerStats } from './lib/customers';
+import { buildOccupancyReport, buildCollectionsReport, buildCancellationReport } from './lib/reports';
+import { toCSV } from './lib/csv';
+import {
+  SCALE, COURT_WIDTH_M, COURT_HEIGHT_M, COURT_WIDTH_PX, COURT_HEIGHT_PX, snapPosition, collidesWithAny, findOverlappingIds,
+  findFreePosition, findFreeOffset, translateElements, rotateGroup, boundsIntersect, normalizeAngle,
+  getBounds, getGap, getLayoutBounds, isOutsideSite, pxToMetres, metresToPx, formatMetres,
+  WALL_THICKNESS_PX, getWallEndpoints, wallFromEndpoints
+} from './lib/layout';
+import {
+  COURT_SURFACES, COURT_FORMATS, DEFAULT_COURT_ATTRIBUTES, DEFAULT_COURT_FILTERS, matchesCourtFilters, describeCourt,
+  createMaintenanceBlock, withMaintenance, findActiveBlock, blocksInRange, getMaxPlayers, isCourtLabelTaken, getNextCourtLabels
+} from './lib/courts';
+import {
+  RESERVATION_STATUS, STATUS_TRANSITIONS, isCancelled, editReservation, evaluateCancellation, cancelReservation,
+  createPlayer, createOrganizer, withOrganizer
+} from './lib/reservations';
+import {
+  EVENT_FORMATS, MATCH_DURATION_OPTIONS, validateEventSetup, createEvent, getEventReservations, getMatches,
+  validateScore, recordScore, getStandings, getChampion
+} from './lib/events';
+import {
+  DEFAULT_COACH_AVAILABILITY, MAX_CLASS_STUDENTS, getClassType, getPlayerLimit, createCoach, createClassType,
+  validateCoachBooking
+} from './lib/coaches';
+import { findFreeCourts, getSearchSlots, suggestAlternatives } from './lib/availability';
+import { createWaitlistEntry, getEntryRange, findFreedEntries, markFreed, toReservation } from './lib/waitlist';
+import { createVenue, getVenue, validateVenueName } from './lib/venues';
+import {
+  ROLES, PERMISSIONS, PIN_LENGTH, hasPermission, hashPin, findStaffByPin, createStaffMember, validatePin, isLastOwner
+} from './lib/staff';
+import { createTabSync, createServerSync, createSyncSession, isSameValue } from './lib/sync';
+import { useHistoryState } from './lib/history';
+import { getLocalYYYYMMDD, getLocalHHMM, formatDate, formatTime } from './lib/dates';
+import {
+  expandReservation, expandReservations, findConflict, describeRecurrence, applyToReservation
+} from './lib/recurrence';
 
 // --- CONSTANTS & CONFIG ---
-const SCALE = 15;
-const COURT_WIDTH_M = 10;
-const COURT_HEIGHT_M = 20;
-const COURT_WIDTH_PX = COURT_WIDTH_M * SCALE;
-const COURT_HEIGHT_PX = COURT_HEIGHT_M * SCALE;
 const MIN_SIZE_PX = 30; // Min size for zones
+const SNAP_THRESHOLD_PX = 8; // on screen, so snapping feels the same at any zoom
+const ROTATION_SNAP_DEG = 15; // step while holding Shift on the rotation handle
 
 const COLORS = {
   turf: {
@@ -28,23 +77,49 @@ const COLORS = {
   zone: '#475569',
   occupiedOverlay: 'rgba(185, 28, 28, 0.85)',
   freeOverlay: 'rgba(6, 78, 59, 0.2)',
+  maintenanceOverlay: 'rgba(180, 83, 9, 0.75)',
 };
 
-// --- HELPER FUNCTIONS ---
-const getLocalYYYYMMDD = (date) => {
-  const d = new Date(date);
-  const offset = d.getTimezoneOffset() * 60000;
-  const local = new Date(d.getTime() - offset);
-  return local.toISOString().split('T')[0];
+// Display metadata for the zone and wall types defined in lib/layout.
+const ZONE_TYPES = {
+  generic: { label: 'Zona', icon: Square, color: '#475569' },
+  bar: { label: 'Cafetería', icon: Coffee, color: '#b45309', capacityLabel: 'Asientos' },
+  lockers: { label: 'Vestuarios', icon: Shirt, color: '#0e7490', capacityLabel: 'Personas' },
+  parking: { label: 'Estacionamiento', icon: Car, color: '#3f3f46', capacityLabel: 'Plazas' },
+  shop: { label: 'Pro shop', icon: ShoppingBag, color: '#7c3aed' },
+  entrance: { label: 'Entrada', icon: DoorOpen, color: '#15803d', capacityLabel: 'Aforo' },
+};
+
+const WALL_TYPES = {
+  wall: { label: 'Pared', icon: BrickWall, color: '#cbd5e1' },
+  fence: { label: 'Cerco', icon: Fence, color: '#a3a3a3', dashed: true },
 };
 
-const formatDate = (dateStr) => {
-  const d = new Date(dateStr.includes('T') ? dateStr : `${dateStr}T00:00:00`);
-  return d.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric', month: 'short' });
+// Courts, each zone type and each wall type can be hidden from the canvas.
+const getLegendKey = (el) => (el.type === 'zone' ? el.zoneType : el.type === 'wall' ? el.wallType : 'court');
+const LEGEND_ITEMS = {
+  court: { label: 'Canchas', icon: LayoutTemplate, color: COLORS.turf.blue },
+  ...ZONE_TYPES,
+  ...WALL_TYPES,
 };
 
-const formatTime = (date) => new Date(date).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+const getElementName = (el) => {
+  if (el.type === 'court') return `Cancha ${el.label}`;
+  return el.label || LEGEND_ITEMS[getLegendKey(el)].label;
+};
+
+const clubRepository = createLocalStorageRepository();
+// Tabs of this browser sync through the local store. With VITE_SYNC_URL set, every
+// device syncs through the sync server instead, with VITE_SYNC_TOKEN as its shared
+// key (see server/sync-server.js).
+const clubSync = import.meta.env.VITE_SYNC_URL
+  ? createServerSync(import.meta.env.VITE_SYNC_URL, { token: import.meta.env.VITE_SYNC_TOKEN, cache: clubRepository })
+  : createTabSync(clubRepository);
+const SAVE_DEBOUNCE_MS = 400;
 
+// --- HELPER FUNCTIONS ---
+// `reservations` must already be expanded (see expandReservations) so recurring
+// series are matched by the occurrence that covers viewDate.
 const getCourtStatus = (courtId, reservations, viewDate) => {
   const viewTime = new Date(viewDate).getTime();
   return reservations.find(res => {
@@ -54,6 +129,11 @@ const getCourtStatus = (courtId, reservations, viewDate) => {
   });
 };
 
+// `conflict` as returned by findConflict on reservations merged withMaintenance.
+const getConflictMessage = (conflict, suffix = '') => (conflict.conflictWith.isMaintenance
+  ? `La cancha está en mantenimiento en ese horario${suffix}.`
+  : `¡Conflicto! La cancha ya está reservada en ese horario${suffix}.`);
+
 // --- COMPONENTS ---
 
 const Toast = ({ message, type, onClose }) => {
@@ -80,7 +160,7 @@ const Toast = ({ message, type, onClose }) => {
   );
 };
 
-const ConfirmModal = ({ isOpen, title, message, onConfirm, onCancel }) => {
+const ConfirmModal = ({ isOpen, title, message, onConfirm, onCancel, confirmLabel = 'Eliminar', altLabel, onAlt }) => {
   if (!isOpen) return null;
 
   return (
@@ -108,11 +188,19 @@ const ConfirmModal = ({ isOpen, title, message, onConfirm, onCancel }) => {
             >
               Cancelar
             </button>
+            {onAlt && (
+              <button
+                onClick={onAlt}
+                className="flex-1 px-4 py-2 bg-red-600/20 hover:bg-red-600/40 border border-red-600/50 text-red-200 text-sm font-medium rounded-lg transition-colors"
+              >
+                {altLabel}
+              </button>
+            )}
             <button
               onClick={onConfirm}
               className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-500 text-white text-sm font-medium rounded-lg transition-colors"
             >
-              Eliminar
+              {confirmLabel}
             </button>
           </div>
         </div>
@@ -121,6 +209,264 @@ const ConfirmModal = ({ isOpen, title, message, onConfirm, onCancel }) => {
   );
 };
 
+// Inline editor on a reservation card. For a series occurrence the changes apply
+// to that occurrence only.
+const ReservationEditForm = ({ reservation, courts, customers, onSubmit, onCancel }) => {
+  const currentDuration = Math.round((new Date(reservation.end) - new Date(reservation.start)) / 60000);
+  const [name, setName] = useState(reservation.clientName);
+  const [customerId, setCustomerId] = useState(reservation.customerId ?? null);
+  const [courtId, setCourtId] = useState(reservation.courtId);
+  const [date, setDate] = useState(() => getLocalYYYYMMDD(reservation.start));
+  const [time, setTime] = useState(() => getLocalHHMM(reservation.start));
+  const [duration, setDuration] = useState(currentDuration);
+  const [deposit, setDeposit] = useState(reservation.deposit || '0');
+  const durationOptions = DURATION_OPTIONS.includes(currentDuration) ? DURATION_OPTIONS : [...DURATION_OPTIONS, currentDuration].sort((a, b) => a - b);
+  const inputClass = 'w-full bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSubmit({ clientName: name, customerId, courtId, date, time, duration, deposit }); }}
+      className="mt-2 grid grid-cols-2 gap-2 bg-slate-900/80 border border-slate-700 rounded-lg p-2"
+    >
+      <div className="col-span-2">
+        <CustomerPicker
+          customers={customers}
+          name={name}
+          customerId={customerId}
+          onChange={(next) => { setName(next.name); setCustomerId(next.customerId); }}
+        />
+      </div>
+      <select value={courtId} onChange={e => setCourtId(courts.find(c => String(c.id) === e.target.value).id)} className={inputClass} title="Cancha">
+        {courts.map(c => <option key={c.id} value={c.id}>Cancha {c.label}</option>)}
+      </select>
+      <input required type="date" value={date} onChange={e => setDate(e.target.value)} className={inputClass} />
+      <input required type="time" value={time} onChange={e => setTime(e.target.value)} className={inputClass} />
+      <select value={duration} onChange={e => setDuration(Number(e.target.value))} className={inputClass} title="Duración">
+        {durationOptions.map(d => <option key={d} value={d}>{d} min</option>)}
+      </select>
+      <div className="relative">
+        <DollarSign className="absolute left-2 top-1.5 text-slate-500" size={12} />
+        <input type="number" min={0} value={deposit} onChange={e => setDeposit(e.target.value)} className={`${inputClass} pl-6`} title="Seña" />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="submit" className="p-1.5 bg-blue-600 hover:bg-blue-500 rounded-md text-white" title="Guardar cambios"><Check size={14} /></button>
+        <button type="button" onClick={onCancel} className="p-1.5 bg-slate-800 hover:bg-slate-700 rounded-md text-slate-300" title="Cancelar"><X size={14} /></button>
+      </div>
+    </form>
+  );
+};
+
+const CHANGE_LABELS = { clientName: 'Cliente', courtId: 'Cancha', start: 'Inicio', end: 'Fin', deposit: 'Seña', price: 'Precio', status: 'Estado' };
+
+const formatChangeValue = (field, value, courts) => {
+  if (value == null) return '—';
+  if (field === 'courtId') return courts.find(c => c.id === value)?.label ?? '?';
+  if (field === 'start' || field === 'end') return `${formatDate(value)} ${formatTime(value)}`;
+  if (field === 'deposit' || field === 'price') return formatMoney(value);
+  if (field === 'status') return RESERVATION_STATUS[value]?.label ?? value;
+  return value;
+};
+
+const ReservationHistory = ({ reservation, courts }) => (
+  <div className="mt-2 bg-slate-900/80 border border-slate-700 rounded-lg p-2 space-y-1.5">
+    {[...reservation.history].reverse().map(entry => (
+      <div key={entry.at} className="text-[10px]">
+        <div className="text-slate-500 font-mono">{formatDate(entry.at)} {formatTime(entry.at)}</div>
+        {Object.entries(entry.changes).map(([field, { from, to }]) => (
+          <div key={field} className="text-slate-300">
+            {CHANGE_LABELS[field]}: <span className="text-slate-500 line-through">{formatChangeValue(field, from, courts)}</span> → {formatChangeValue(field, to, courts)}
+          </div>
+        ))}
+      </div>
+    ))}
+  </div>
+);
+
+const PaymentForm = ({ balance, onSubmit, onCancel }) => {
+  const [amount, setAmount] = useState(() => (balance > 0 ? String(balance) : ''));
+  const [method, setMethod] = useState('cash');
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSubmit({ amount: Number(amount), method }); }}
+      className="mt-2 flex items-center gap-2 bg-slate-900/80 border border-slate-700 rounded-lg p-2"
+    >
+      <div className="relative flex-1">
+        <DollarSign className="absolute left-2 top-1.5 text-slate-500" size={12} />
+        <input required type="number" min={1} value={amount} onChange={e => setAmount(e.target.value)} placeholder="Monto" className="w-full bg-slate-950 border border-slate-700 rounded-md py-1 pl-6 pr-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500" />
+      </div>
+      <select value={method} onChange={e => setMethod(e.target.value)} className="bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500">
+        {Object.entries(PAYMENT_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <button type="submit" className="p-1.5 bg-emerald-600 hover:bg-emerald-500 rounded-md text-white" title="Registrar pago"><Check size={14} /></button>
+      <button type="button" onClick={onCancel} className="p-1.5 bg-slate-800 hover:bg-slate-700 rounded-md text-slate-300" title="Cancelar"><X size={14} /></button>
+    </form>
+  );
+};
+
+// Status badge that doubles as the control to move a booking along its lifecycle.
+// Without `canCancel` the cancelled status is left out.
+const ReservationStatusControl = ({ reservation, onChange, canCancel = true }) => {
+  const status = RESERVATION_STATUS[reservation.status];
+  const next = STATUS_TRANSITIONS[reservation.status].filter(id => canCancel || id !== 'cancelled');
+  if (next.length === 0) {
+    return <span className={`text-[10px] px-1.5 py-0.5 rounded border ${status.className}`}>{status.label}</span>;
+  }
+  return (
+    <select
+      value={reservation.status}
+      onChange={e => onChange(reservation, e.target.value)}
+      title="Cambiar estado"
+      className={`text-[10px] px-1 py-0.5 rounded border outline-none cursor-pointer ${status.className}`}
+    >
+      <option value={reservation.status} className="bg-slate-900">{status.label}</option>
+      {next.map(id => <option key={id} value={id} className="bg-slate-900 text-white">{RESERVATION_STATUS[id].label}</option>)}
+    </select>
+  );
+};
+
+const CancellationSummary = ({ reservation }) => {
+  const { at, isLate, forfeited, refund } = reservation.cancellation || {};
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1 text-[10px] text-slate-400">
+      {at && <span>Cancelada el {formatDate(at)} {formatTime(at)}</span>}
+      {isLate && <span className="text-amber-300">Tardía</span>}
+      {forfeited > 0 && <span className="text-amber-300">Seña retenida {formatMoney(forfeited)}</span>}
+      {refund > 0 && <span>Devuelto {formatMoney(refund)}</span>}
+    </div>
+  );
+};
+
+const PaymentSummary = ({ reservation }) => {
+  const status = PAYMENT_STATUS[getPaymentStatus(reservation)];
+  const balance = getBalance(reservation);
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1 text-[10px]">
+      <span className={`px-1.5 py-0.5 rounded border ${status.className}`}>{status.label}</span>
+      {reservation.price != null && <span className="text-slate-400">Total {formatMoney(reservation.price)}</span>}
+      <span className="text-emerald-400">Pagado {formatMoney(getAmountPaid(reservation))}</span>
+      {balance > 0 && <span className="text-amber-300">Saldo {formatMoney(balance)}</span>}
+    </div>
+  );
+};
+
+const CustomerPicker = ({ customers, name, customerId, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const matches = customerId ? [] : searchCustomers(customers, name);
+  const exactMatch = findCustomerByName(customers, name);
+
+  return (
+    <div className="relative">
+      <User className="absolute left-3 top-2.5 text-slate-500" size={16} />
+      <input
+        required
+        type="text"
+        value={name}
+        onChange={e => { onChange({ name: e.target.value, customerId: null }); setIsOpen(true); }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder="Buscar o crear cliente"
+        className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none"
+      />
+      {customerId && <CheckCircle2 className="absolute right-3 top-2.5 text-emerald-400" size={16} />}
+      {isOpen && !customerId && name.trim() && (
+        <div className="absolute z-20 mt-1 w-full bg-slate-900 border border-slate-700 rounded-lg shadow-2xl overflow-hidden">
+          {matches.map(c => (
+            <button
+              key={c.id}
+              type="button"
+              onMouseDown={e => e.preventDefault()}
+              onClick={() => { onChange({ name: c.name, customerId: c.id }); setIsOpen(false); }}
+              className="w-full text-left px-3 py-2 hover:bg-slate-800 flex items-center justify-between gap-2"
+            >
+              <span className="text-sm text-white truncate">{c.name}</span>
+              {c.phone && <span className="text-[10px] text-slate-400 font-mono">{c.phone}</span>}
+            </button>
+          ))}
+          {!exactMatch && (
+            <div className="px-3 py-2 text-xs text-slate-400 flex items-center gap-2 border-t border-slate-800">
+              <UserPlus size={12} /> Se creará «{name.trim()}» como cliente nuevo
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// "3/4 jugadores · 2 pagaron", for the court overlay and the agenda cards.
+const PlayerCount = ({ reservation, maxPlayers, className = '' }) => {
+  const count = reservation.players.length;
+  const paid = countPaidPlayers(reservation);
+  return (
+    <span className={`flex items-center gap-1 ${className}`} title={reservation.players.map(p => p.name).join(', ')}>
+      <Users size={10} />
+      {count}{maxPlayers ? `/${maxPlayers}` : ''} {count === 1 ? 'jugador' : 'jugadores'} · {paid} {paid === 1 ? 'pagó' : 'pagaron'}
+    </span>
+  );
+};
+
+// Per-player shares with their own payment form; other players can be added up
+// to the court's capacity and removed while they have not paid anything.
+const PlayersPanel = ({ reservation, customers, maxPlayers, onAddPlayer, onRemovePlayer, onPay }) => {
+  const [payingPlayerId, setPayingPlayerId] = useState(null);
+  const [name, setName] = useState('');
+  const [customerId, setCustomerId] = useState(null);
+  const shares = getPlayerShares(reservation);
+  const canAdd = !isCancelled(reservation) && reservation.players.length < maxPlayers;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (onAddPlayer(reservation, { name, customerId })) {
+      setName('');
+      setCustomerId(null);
+    }
+  };
+
+  return (
+    <div className="mt-2 bg-slate-900/80 border border-slate-700 rounded-lg p-2 space-y-1.5">
+      {shares.map(({ player, share, paid, status }) => (
+        <div key={player.id}>
+          <div className="flex items-center gap-2 text-xs">
+            <span className="text-white truncate flex-1">
+              {player.name}
+              {player.isOrganizer && <span className="ml-1.5 text-[10px] text-blue-300">Organizador</span>}
+            </span>
+            {share != null && <span className="text-slate-400">{formatMoney(share)}</span>}
+            <span className="text-emerald-400">{formatMoney(paid)}</span>
+            <span className={`px-1.5 py-0.5 rounded border text-[10px] ${PAYMENT_STATUS[status].className}`}>{PAYMENT_STATUS[status].label}</span>
+            {!isCancelled(reservation) && (
+              <button type="button" onClick={() => setPayingPlayerId(payingPlayerId === player.id ? null : player.id)} className="p-1 text-slate-500 hover:text-emerald-400" title={`Registrar pago de ${player.name}`}>
+                <Wallet size={12} />
+              </button>
+            )}
+            {!player.isOrganizer && paid === 0 && (
+              <button type="button" onClick={() => onRemovePlayer(reservation, player)} className="p-1 text-slate-500 hover:text-red-400" title="Quitar jugador">
+                <X size={12} />
+              </button>
+            )}
+          </div>
+          {payingPlayerId === player.id && (
+            <PaymentForm
+              balance={shares.find(s => s.player === player).balance}
+              onSubmit={(payment) => { if (onPay(reservation, { ...payment, playerId: player.id })) setPayingPlayerId(null); }}
+              onCancel={() => setPayingPlayerId(null)}
+            />
+          )}
+        </div>
+      ))}
+      {canAdd && (
+        <form onSubmit={handleAdd} className="flex items-center gap-2 pt-1.5 border-t border-slate-800">
+          <div className="flex-1">
+            <CustomerPicker customers={customers} name={name} customerId={customerId} onChange={(next) => { setName(next.name); setCustomerId(next.customerId); }} />
+          </div>
+          <button type="submit" className="p-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white" title="Agregar jugador"><UserPlus size={14} /></button>
+        </form>
+      )}
+    </div>
+  );
+};
+
 // --- HANDLES FOR RESIZING ---
 const Handle = ({ cursor, className, onPointerDown }) => (
   <div
@@ -133,37 +479,88 @@ const Handle = ({ cursor, className, onPointerDown }) => (
   />
 );
 
+// Rotates around the element's centre, measured on screen so zoom does not matter.
+// Free by default; Shift snaps the resulting angle to ROTATION_SNAP_DEG steps.
+const RotationHandle = ({ targetRef, rotation, onRotateBy, onInteractionStart, onInteractionEnd }) => {
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = targetRef.current.getBoundingClientRect();
+    const cx = rect.left + rect.width / 2;
+    const cy = rect.top + rect.height / 2;
+    const angleAt = (ev) => (Math.atan2(ev.clientY - cy, ev.clientX - cx) * 180) / Math.PI;
+    const startAngle = angleAt(e);
+    onInteractionStart();
+
+    const onPointerMove = (ev) => {
+      const free = rotation + angleAt(ev) - startAngle;
+      const next = ev.shiftKey ? Math.round(free / ROTATION_SNAP_DEG) * ROTATION_SNAP_DEG : Math.round(free);
+      onRotateBy(next - rotation);
+    };
+
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Rotar');
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  return (
+    <div className="absolute left-1/2 -translate-x-1/2 -bottom-12 flex flex-col items-center z-50" onPointerDown={handlePointerDown}>
+      <div className="w-[1px] h-6 bg-yellow-400/70" />
+      <div className="w-4 h-4 rounded-full bg-white border-2 border-yellow-500 shadow-sm cursor-grab active:cursor-grabbing hover:scale-125 transition-transform" />
+      <span className="mt-1 text-[10px] font-mono bg-slate-900/90 text-yellow-200 px-1.5 rounded">{Math.round(rotation)}°</span>
+    </div>
+  );
+};
+
 const PadelCourt = ({
-  data, isSelected, onSelect, onUpdate, onRotate, onDelete,
-  mode, activeReservation, onManage, zoom
+  data, isSelected, showControls, isColliding, onSelect, onMove, onRotate, onRotateBy, onDelete,
+  onInteractionStart, onInteractionEnd,
+  mode, activeReservation, activeBlock, activeCoach, playerLimit, onManage, zoom
 }) => {
-  const isOccupied = mode === 'manage' && activeReservation;
+  const rootRef = useRef(null);
+  // A maintenance block takes precedence over a booking left inside it.
+  const isBlocked = mode === 'manage' && activeBlock;
+  const isOccupied = mode === 'manage' && activeReservation && !isBlocked;
 
   const getBorderClass = () => {
-    if (mode === 'design') return 'border-slate-800';
+    if (mode === 'design') return isColliding ? 'border-red-500' : 'border-slate-800';
+    if (isBlocked) return 'border-amber-500 shadow-[0_0_30px_rgba(245,158,11,0.4)] ring-2 ring-amber-500 ring-offset-2 ring-offset-black';
     if (isOccupied) return 'border-red-500 shadow-[0_0_30px_rgba(220,38,38,0.5)] ring-2 ring-red-500 ring-offset-2 ring-offset-black';
     return 'border-emerald-500/50 shadow-[0_0_15px_rgba(16,185,129,0.2)]';
   };
 
   // MANUAL DRAG LOGIC FOR COURTS
+  // Dragging a selected court moves the whole selection; Shift-click toggles it instead.
   const handleDragStart = (e) => {
     if (mode !== 'design') return;
     e.stopPropagation();
+    if (e.shiftKey) {
+      onSelect(data.id, true);
+      return;
+    }
     onSelect(data.id);
+    onInteractionStart();
 
     const startX = e.clientX;
     const startY = e.clientY;
     const initialPos = { x: data.x, y: data.y };
 
+    // Alt skips snapping for fine placement.
     const onPointerMove = (ev) => {
       const dx = (ev.clientX - startX) / zoom;
       const dy = (ev.clientY - startY) / zoom;
-      onUpdate(data.id, { x: initialPos.x + dx, y: initialPos.y + dy });
+      onMove(data.id, { x: initialPos.x + dx, y: initialPos.y + dy }, { snap: !ev.altKey });
     };
 
     const onPointerUp = () => {
       window.removeEventListener('pointermove', onPointerMove);
       window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Mover cancha');
     };
 
     window.addEventListener('pointermove', onPointerMove);
@@ -172,6 +569,7 @@ const PadelCourt = ({
 
   return (
     <motion.div
+      ref={rootRef}
       initial={{ scale: 0, opacity: 0 }}
       animate={{
         scale: 1, opacity: 1, x: data.x, y: data.y, zIndex: isSelected ? 50 : 10, rotate: data.rotation
@@ -184,7 +582,7 @@ const PadelCourt = ({
       className={`absolute top-0 left-0 ${mode === 'design' ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'}`}
       style={{ width: COURT_WIDTH_PX, height: COURT_HEIGHT_PX }}
     >
-      <div className={`w-full h-full relative transition-all duration-300 ${isSelected && mode === 'design' ? 'ring-4 ring-yellow-400 shadow-2xl' : 'shadow-lg hover:shadow-xl'}`}>
+      <div className={`w-full h-full relative transition-all duration-300 ${isSelected && mode === 'design' ? 'ring-4 ring-yellow-400 shadow-2xl' : 'shadow-lg hover:shadow-xl'} ${isColliding && mode === 'design' ? 'shadow-[0_0_25px_rgba(239,68,68,0.7)]' : ''}`}>
         <div className={`w-full h-full relative overflow-hidden border-4 bg-opacity-90 backdrop-blur-sm transition-all duration-500 ${getBorderClass()}`} style={{ backgroundColor: data.color }}>
           {/* Internal Markings */}
           <div className="absolute inset-0 flex flex-col justify-between p-[2px] pointer-events-none">
@@ -203,16 +601,35 @@ const PadelCourt = ({
               <motion.div
                 initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
                 className="absolute inset-0 z-30 flex flex-col items-center justify-center transition-colors duration-300"
-                style={{ backgroundColor: isOccupied ? COLORS.occupiedOverlay : COLORS.freeOverlay }}
+                style={isBlocked
+                  ? { backgroundImage: `repeating-linear-gradient(45deg, ${COLORS.maintenanceOverlay} 0 12px, rgba(0,0,0,0.6) 12px 24px)` }
+                  : { backgroundColor: isOccupied ? COLORS.occupiedOverlay : COLORS.freeOverlay }}
               >
-                {isOccupied ? (
+                {isBlocked ? (
+                  <div className="text-center w-full px-2">
+                    <motion.div initial={{ scale: 0.8 }} animate={{ scale: 1 }} className="bg-black/60 backdrop-blur-md border border-amber-400/40 rounded-xl p-2 mx-auto shadow-xl">
+                      <div className="flex flex-col items-center">
+                        <div className="bg-amber-500 text-black rounded-full p-2 mb-1 shadow-lg"><Wrench size={16} /></div>
+                        <h3 className="text-amber-200 font-bold text-xs uppercase tracking-wider mb-0.5">Mantenimiento</h3>
+                        {activeBlock.reason && <div className="text-white text-xs w-full truncate mb-1">{activeBlock.reason}</div>}
+                        <div className="flex items-center gap-1 text-[10px] text-white/90 font-mono bg-black/40 px-2 py-0.5 rounded-full"><Clock size={10} />Hasta {formatDate(activeBlock.end)} {formatTime(activeBlock.end)}</div>
+                      </div>
+                    </motion.div>
+                  </div>
+                ) : isOccupied ? (
                   <div className="text-center w-full px-2">
                     <motion.div initial={{ scale: 0.8 }} animate={{ scale: 1 }} className="bg-white/10 backdrop-blur-md border border-white/20 rounded-xl p-2 mx-auto shadow-xl">
                       <div className="flex flex-col items-center">
                         <div className="bg-red-600 text-white rounded-full p-2 mb-1 shadow-lg"><Lock size={16} /></div>
                         <h3 className="text-white font-bold text-xs uppercase tracking-wider mb-0.5">Reservada</h3>
                         <div className="bg-white text-red-900 px-3 py-1 rounded-md font-bold text-xs shadow-sm w-full truncate mb-1">{activeReservation.clientName}</div>
+                        {activeCoach && <div className="flex items-center gap-1 text-[10px] text-white mb-1 truncate max-w-full"><GraduationCap size={10} /> {activeCoach.name}</div>}
                         <div className="flex items-center gap-1 text-[10px] text-white/90 font-mono bg-black/40 px-2 py-0.5 rounded-full"><Clock size={10} />{formatTime(activeReservation.start)} - {formatTime(activeReservation.end)}</div>
+                        {activeReservation.eventId ? (
+                          <div className="mt-1 flex items-center gap-1 text-[10px] text-orange-200 bg-black/40 px-2 py-0.5 rounded-full"><Trophy size={10} /> Evento</div>
+                        ) : (
+                          <PlayerCount reservation={activeReservation} maxPlayers={playerLimit} className="mt-1 text-[10px] text-white/90 bg-black/40 px-2 py-0.5 rounded-full" />
+                        )}
                       </div>
                     </motion.div>
                   </div>
@@ -225,14 +642,14 @@ const PadelCourt = ({
               </motion.div>
             )}
           </AnimatePresence>
-          {(!isOccupied) && (
+          {!isOccupied && !isBlocked && (
             <div className="absolute inset-0 flex items-center justify-center opacity-40 pointer-events-none z-10">
               <span className="text-white font-black text-4xl drop-shadow-md transform -rotate-90 md:rotate-0 select-none">{data.label}</span>
             </div>
           )}
         </div>
         <AnimatePresence>
-          {mode === 'design' && isSelected && (
+          {mode === 'design' && showControls && (
             <motion.div
               initial={{ opacity: 0, scale: 0.8 }}
               animate={{ opacity: 1, scale: 1 }}
@@ -246,16 +663,37 @@ const PadelCourt = ({
             </motion.div>
           )}
         </AnimatePresence>
+        {mode === 'design' && showControls && (
+          <RotationHandle
+            targetRef={rootRef}
+            rotation={data.rotation}
+            onRotateBy={(degrees) => onRotateBy(data.id, degrees)}
+            onInteractionStart={onInteractionStart}
+            onInteractionEnd={onInteractionEnd}
+          />
+        )}
       </div>
     </motion.div>
   );
 };
 
-const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete, mode, zoom }) => {
+const GenericZone = ({
+  data, isSelected, showControls, isColliding, onSelect, onMove, onUpdate, onRotate, onRotateBy, onDelete,
+  onInteractionStart, onInteractionEnd, mode, zoom
+}) => {
+  const rootRef = useRef(null);
+  const zoneType = ZONE_TYPES[data.zoneType] || ZONE_TYPES.generic;
+  const ZoneIcon = zoneType.icon;
+
   const handleDragStart = (e) => {
     if (mode !== 'design') return;
     e.stopPropagation();
+    if (e.shiftKey) {
+      onSelect(data.id, true);
+      return;
+    }
     onSelect(data.id);
+    onInteractionStart();
 
     const startX = e.clientX;
     const startY = e.clientY;
@@ -264,12 +702,13 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
     const onPointerMove = (ev) => {
       const dx = (ev.clientX - startX) / zoom;
       const dy = (ev.clientY - startY) / zoom;
-      onUpdate(data.id, { x: initialPos.x + dx, y: initialPos.y + dy });
+      onMove(data.id, { x: initialPos.x + dx, y: initialPos.y + dy }, { snap: !ev.altKey });
     };
 
     const onPointerUp = () => {
       window.removeEventListener('pointermove', onPointerMove);
       window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Mover zona');
     };
 
     window.addEventListener('pointermove', onPointerMove);
@@ -279,6 +718,7 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
   const handleResizeStart = (e, direction) => {
     e.preventDefault();
     e.stopPropagation();
+    onInteractionStart();
 
     const startX = e.clientX;
     const startY = e.clientY;
@@ -319,20 +759,23 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
         changeY = -(newH - startH) / 2;
       }
 
+      // (x, y) is the top-left of the unrotated box and rotation is about the centre,
+      // so the centre moves by the rotated shift and x/y follow it minus the new half size.
       const worldShiftX = changeX * ux + changeY * vx;
       const worldShiftY = changeX * uy + changeY * vy;
 
       onUpdate(data.id, {
         width: newW,
         height: newH,
-        x: startXPos + worldShiftX,
-        y: startYPos + worldShiftY
+        x: startXPos + (startW - newW) / 2 + worldShiftX,
+        y: startYPos + (startH - newH) / 2 + worldShiftY
       });
     };
 
     const onPointerUp = () => {
       window.removeEventListener('pointermove', onPointerMove);
       window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Redimensionar zona');
     };
 
     window.addEventListener('pointermove', onPointerMove);
@@ -341,6 +784,7 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
 
   return (
     <motion.div
+      ref={rootRef}
       animate={{
         x: data.x, y: data.y, width: data.width, height: data.height, rotate: data.rotation,
         zIndex: isSelected ? 40 : 5
@@ -350,14 +794,21 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
     >
       <div className={`w-full h-full relative transition-all rounded-md ${isSelected && mode === 'design' ? 'ring-2 ring-blue-500' : ''}`}>
         <div
-          className={`w-full h-full bg-slate-700/80 backdrop-blur-sm border-2 border-slate-500 border-dashed flex items-center justify-center overflow-hidden ${mode === 'design' ? 'cursor-grab active:cursor-grabbing' : 'cursor-default'}`}
+          style={{ backgroundColor: `${data.color || zoneType.color}cc` }}
+          className={`w-full h-full backdrop-blur-sm border-2 ${isColliding && mode === 'design' ? 'border-red-500 shadow-[0_0_20px_rgba(239,68,68,0.6)]' : 'border-slate-500'} border-dashed flex items-center justify-center overflow-hidden ${mode === 'design' ? 'cursor-grab active:cursor-grabbing' : 'cursor-default'}`}
           onPointerDown={handleDragStart}
         >
           <div className="absolute inset-0 opacity-20 bg-[url('data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI4IiBoZWlnaHQ9IjgiPgo8cmVjdCB3aWR0aD0iOCIgaGVpZ2h0PSI4IiBmaWxsPSJub25lIiBzdHJva2U9IiZmZmYiIHN0cm9rZS1vcGFjaXR5PSIwLjUiLz48L3N2Zz4=')] pointer-events-none"></div>
-          <span className="text-slate-400 font-bold text-xs uppercase tracking-widest pointer-events-none select-none z-10">Zona</span>
+          <div className="flex flex-col items-center gap-0.5 text-white/80 pointer-events-none select-none z-10 px-1 text-center">
+            <ZoneIcon size={16} />
+            <span className="font-bold text-xs uppercase tracking-widest">{data.label || zoneType.label}</span>
+            {zoneType.capacityLabel && data.capacity > 0 && (
+              <span className="text-[10px] text-white/60">{data.capacity} {zoneType.capacityLabel.toLowerCase()}</span>
+            )}
+          </div>
         </div>
 
-        {mode === 'design' && isSelected && (
+        {mode === 'design' && showControls && (
           <>
             {/* Corners */}
             <Handle cursor="nw-resize" className="w-3 h-3 rounded-full -top-1.5 -left-1.5" onPointerDown={(e) => handleResizeStart(e, 'nw')} />
@@ -375,6 +826,14 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
               <div className="w-[1px] bg-slate-700 mx-1 my-1"></div>
               <button onClick={(e) => { e.stopPropagation(); onDelete(data.id); }} className="p-2 hover:bg-red-500 rounded-full"><Trash2 size={18} /></button>
             </div>
+
+            <RotationHandle
+              targetRef={rootRef}
+              rotation={data.rotation}
+              onRotateBy={(degrees) => onRotateBy(data.id, degrees)}
+              onInteractionStart={onInteractionStart}
+              onInteractionEnd={onInteractionEnd}
+            />
           </>
         )}
       </div>
@@ -382,24 +841,241 @@ const GenericZone = ({ data, isSelected, onSelect, onUpdate, onRotate, onDelete,
   );
 };
 
-const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations, onDeleteRes, showToast, initialValues }) => {
+// Walls and fences: a segment between two endpoints, stored as a thin rotated box
+// so it shares geometry, snapping and selection with the other elements.
+const WallSegment = ({
+  data, isSelected, showControls, isColliding, onSelect, onMove, onUpdate, onRotate, onDelete,
+  onInteractionStart, onInteractionEnd, mode, zoom
+}) => {
+  const wallType = WALL_TYPES[data.wallType] || WALL_TYPES.wall;
+
+  const handleDragStart = (e) => {
+    if (mode !== 'design') return;
+    e.stopPropagation();
+    if (e.shiftKey) {
+      onSelect(data.id, true);
+      return;
+    }
+    onSelect(data.id);
+    onInteractionStart();
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const initialPos = { x: data.x, y: data.y };
+
+    const onPointerMove = (ev) => {
+      const dx = (ev.clientX - startX) / zoom;
+      const dy = (ev.clientY - startY) / zoom;
+      onMove(data.id, { x: initialPos.x + dx, y: initialPos.y + dy }, { snap: !ev.altKey });
+    };
+
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Mover muro');
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  // Drags one end while the other stays put; Shift snaps the angle.
+  const handleEndpointStart = (e, index) => {
+    e.preventDefault();
+    onInteractionStart();
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const ends = getWallEndpoints(data);
+    const fixed = ends[1 - index];
+    const moving = ends[index];
+
+    const onPointerMove = (ev) => {
+      let point = { x: moving.x + (ev.clientX - startX) / zoom, y: moving.y + (ev.clientY - startY) / zoom };
+      if (ev.shiftKey) {
+        const angle = Math.atan2(point.y - fixed.y, point.x - fixed.x);
+        const step = (ROTATION_SNAP_DEG * Math.PI) / 180;
+        const snapped = Math.round(angle / step) * step;
+        const length = Math.hypot(point.x - fixed.x, point.y - fixed.y);
+        point = { x: fixed.x + Math.cos(snapped) * length, y: fixed.y + Math.sin(snapped) * length };
+      }
+      onUpdate(data.id, wallFromEndpoints(data, index === 0 ? point : fixed, index === 0 ? fixed : point));
+    };
+
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      onInteractionEnd('Ajustar muro');
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  const color = isColliding && mode === 'design' ? '#ef4444' : wallType.color;
+
+  return (
+    <motion.div
+      animate={{
+        x: data.x, y: data.y, width: data.width, height: data.height, rotate: data.rotation,
+        zIndex: isSelected ? 45 : 8
+      }}
+      onClick={(e) => e.stopPropagation()}
+      className="absolute top-0 left-0"
+    >
+      {/* Taller invisible hit area so thin walls are easy to grab */}
+      <div
+        className={`absolute inset-x-0 -inset-y-2 flex items-center ${mode === 'design' ? 'cursor-grab active:cursor-grabbing' : ''}`}
+        onPointerDown={handleDragStart}
+      >
+        <div
+          className={`w-full ${isSelected && mode === 'design' ? 'ring-2 ring-blue-500 ring-offset-2 ring-offset-slate-950' : ''}`}
+          style={{
+            height: Math.max(data.height, 2),
+            background: wallType.dashed ? `repeating-linear-gradient(90deg, ${color} 0 8px, transparent 8px 12px)` : color,
+          }}
+        />
+      </div>
+      {data.label && (
+        <span className="absolute left-1/2 -translate-x-1/2 -top-5 text-[10px] text-slate-300 whitespace-nowrap pointer-events-none select-none">{data.label}</span>
+      )}
+
+      {mode === 'design' && showControls && (
+        <>
+          <Handle cursor="crosshair" className="w-3 h-3 rounded-full top-1/2 -translate-y-1/2 -left-1.5" onPointerDown={(e) => handleEndpointStart(e, 0)} />
+          <Handle cursor="crosshair" className="w-3 h-3 rounded-full top-1/2 -translate-y-1/2 -right-1.5" onPointerDown={(e) => handleEndpointStart(e, 1)} />
+          <div className="absolute -top-16 left-1/2 -translate-x-1/2 bg-slate-900 text-white p-1 rounded-full shadow-xl flex gap-1 z-50 border border-slate-700 pointer-events-auto cursor-default" onPointerDown={e => e.stopPropagation()}>
+            <button onClick={(e) => { e.stopPropagation(); onRotate(data.id); }} className="p-2 hover:bg-blue-600 rounded-full"><RotateCw size={18} /></button>
+            <div className="w-[1px] bg-slate-700 mx-1 my-1"></div>
+            <button onClick={(e) => { e.stopPropagation(); onDelete(data.id); }} className="p-2 hover:bg-red-500 rounded-full"><Trash2 size={18} /></button>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+// --- MAINTENANCE BLOCKS ---
+// Lists and creates the court's maintenance blocks. A block may be placed over
+// existing bookings (e.g. an urgent repair); staff are warned so they can move them.
+const MaintenancePanel = ({ court, blocks, reservations, onAdd, onRemove, showToast }) => {
+  const [start, setStart] = useState(() => `${getLocalYYYYMMDD(new Date())}T08:00`);
+  const [end, setEnd] = useState(() => `${getLocalYYYYMMDD(new Date())}T12:00`);
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!start || !end || new Date(end) <= new Date(start)) {
+      showToast("El fin del bloqueo debe ser posterior al inicio.", 'error');
+      return;
+    }
+    if (blocksInRange(blocks, court.id, start, end).length > 0) {
+      showToast("Ya hay un bloqueo de mantenimiento en ese horario.", 'error');
+      return;
+    }
+    const range = { courtId: court.id, start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+    const affected = reservations.filter(r => !isCancelled(r) && findConflict([r], [range]));
+    onAdd(createMaintenanceBlock({ ...range, reason, acceptedOverlaps: affected.map(r => r.id) }));
+    if (affected.length > 0) {
+      showToast(`Bloqueo creado. ${affected.length === 1 ? 'Queda 1 reserva' : `Quedan ${affected.length} reservas`} dentro del horario: reprogramalas o cancelalas.`, 'error');
+    } else {
+      showToast("Bloqueo de mantenimiento creado", 'success');
+    }
+    setReason('');
+  };
+
+  const sorted = [...blocks].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Desde</label>
+            <input required type="datetime-local" value={start} onChange={e => setStart(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white text-sm focus:ring-2 focus:ring-blue-500 outline-none" />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Hasta</label>
+            <input required type="datetime-local" value={end} min={start} onChange={e => setEnd(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white text-sm focus:ring-2 focus:ring-blue-500 outline-none" />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-slate-400 mb-1">Motivo</label>
+            <input value={reason} onChange={e => setReason(e.target.value)} placeholder="Ej: cambio de césped, reparación de vidrios" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+          </div>
+        </div>
+        <button type="submit" className="w-full bg-amber-600 hover:bg-amber-500 text-white font-medium py-2 rounded-lg transition-colors flex items-center justify-center gap-2">
+          <Wrench size={18} /> Bloquear Cancha
+        </button>
+      </form>
+
+      <div>
+        <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2 border-t border-slate-700 pt-4">
+          <List size={14} /> Bloqueos programados
+        </h3>
+        {sorted.length === 0 ? (
+          <p className="text-sm text-slate-500 italic text-center py-4">La cancha no tiene bloqueos.</p>
+        ) : (
+          <div className="space-y-2">
+            {sorted.map(block => (
+              <div key={block.id} className="bg-amber-950/30 border border-amber-700/40 p-3 rounded-lg group flex justify-between items-center">
+                <div>
+                  <div className="text-amber-200 font-medium text-sm">{block.reason || 'Mantenimiento'}</div>
+                  <div className="text-xs text-slate-400 flex items-center gap-2 mt-1">
+                    <Clock size={12} /> {formatDate(block.start)} {formatTime(block.start)} - {formatDate(block.end)} {formatTime(block.end)}
+                  </div>
+                </div>
+                <button onClick={() => onRemove(block.id)} className="text-slate-500 hover:text-red-400 p-2 opacity-0 group-hover:opacity-100 transition-opacity" title="Quitar bloqueo">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ReservationModal = ({
+  court, courts, schedule, pricing, customers, isOpen, onClose, onSave, existingReservations, onCancelRes, onChangeStatus, onEditReservation, onAddPayment,
+  onAddPlayer, onRemovePlayer, coaches, classTypes, coachReservations, maintenanceBlocks, onAddMaintenance, onRemoveMaintenance, onCreateCustomer, onExportCalendar, showToast, initialValues,
+  canCancel = true
+}) => {
   const [activeTab, setActiveTab] = useState('form');
   const [name, setName] = useState('');
+  const [customerId, setCustomerId] = useState(null);
+  const [newPhone, setNewPhone] = useState('');
+  const [newEmail, setNewEmail] = useState('');
+  // The other players joining the organiser: [{ name, customerId }]
+  const [otherPlayers, setOtherPlayers] = useState([]);
 
   const [date, setDate] = useState(() => initialValues?.date || getLocalYYYYMMDD(new Date()));
-  const [startTime, setStartTime] = useState(() => {
-    if (initialValues?.time) return initialValues.time;
-    const now = new Date();
-    const hours = now.getHours().toString().padStart(2, '0');
-    const minutes = now.getMinutes().toString().padStart(2, '0');
-    return `${hours}:${minutes}`;
-  });
-
   const [duration, setDuration] = useState(initialValues?.duration || 90);
+  const [startTime, setStartTime] = useState(() => initialValues?.time || getDefaultSlot(schedule, date, duration));
+
   const [deposit, setDeposit] = useState('');
 
+  // A class books the court and a coach; its players are the students.
+  const [isClass, setIsClass] = useState(initialValues?.coachId != null);
+  const [coachId, setCoachId] = useState(initialValues?.coachId ?? '');
+  const [classTypeId, setClassTypeId] = useState(() => classTypes[0]?.id ?? '');
+  const [coachFilter, setCoachFilter] = useState('all'); // week view: 'all' or a coach id
+
+  const [repeats, setRepeats] = useState(false);
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [repeatEnd, setRepeatEnd] = useState('count');
+  const [repeatCount, setRepeatCount] = useState(10);
+  const [repeatUntil, setRepeatUntil] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [playersId, setPlayersId] = useState(null);
+
   if (!isOpen) return null;
 
+  const classType = isClass ? classTypes.find(t => t.id === classTypeId) : null;
+  const maxPlayers = classType ? classType.maxStudents : getMaxPlayers(court);
+  const coachNames = new Map(coaches.map(c => [c.id, c.name]));
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!date || !startTime) {
@@ -415,35 +1091,191 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
 
     const endDateTime = new Date(startDateTime.getTime() + duration * 60000);
 
-    const hasOverlap = existingReservations.some(res => {
-      const rStart = new Date(res.start).getTime();
-      const rEnd = new Date(res.end).getTime();
-      const nStart = startDateTime.getTime();
-      const nEnd = endDateTime.getTime();
-      return (nStart < rEnd && nEnd > rStart);
-    });
+    const slotError = validateSlot(schedule, startDateTime, endDateTime);
+    if (slotError) {
+      showToast(slotError, 'error');
+      return;
+    }
+
+    let recurrence;
+    if (repeats) {
+      if (repeatEnd === 'until' && (!repeatUntil || repeatUntil < date)) {
+        showToast("La fecha de fin de la serie debe ser posterior al primer turno.", 'error');
+        return;
+      }
+      if (repeatEnd === 'count' && !(repeatCount >= 2)) {
+        showToast("Una serie necesita al menos 2 turnos.", 'error');
+        return;
+      }
+      recurrence = {
+        frequency: 'weekly',
+        interval: repeatInterval,
+        ...(repeatEnd === 'until' ? { until: repeatUntil } : { count: repeatCount }),
+      };
+    }
+
+    // `required` lets a name of only spaces through, and it would become a nameless customer.
+    if (!name.trim() || otherPlayers.some(p => !p.name.trim())) {
+      showToast(isClass ? "Completa el nombre de cada alumno." : "Completa el nombre de cada jugador.", 'error');
+      return;
+    }
 
-    if (hasOverlap) {
-      showToast("¡Conflicto! La cancha ya está reservada en ese horario.", 'error');
+    const coach = isClass && coaches.find(c => String(c.id) === String(coachId));
+    if (isClass && (!coach || !classType)) {
+      showToast("Elige el profesor y el tipo de clase.", 'error');
+      return;
+    }
+    if (otherPlayers.length + 1 > maxPlayers) {
+      showToast(classType ? `${classType.name} admite hasta ${maxPlayers} alumnos.` : `La cancha admite hasta ${maxPlayers} jugadores.`, 'error');
       return;
     }
 
-    onSave({
+    const newRes = {
       id: Date.now(),
       courtId: court.id,
       clientName: name,
       start: startDateTime.toISOString(),
       end: endDateTime.toISOString(),
-      deposit: deposit || '0'
-    });
-
-    showToast("Reserva agendada correctamente", 'success');
-    setName('');
-    setDeposit('');
-    onClose();
-  };
+      price: calculatePrice(pricing, startDateTime, endDateTime).total,
+      deposit: deposit || '0',
+      payments: [],
+      status: 'confirmed',
+      ...(coach && { coachId: coach.id, classTypeId: classType.id }),
+      ...(recurrence && { recurrence, exceptions: {} }),
+    };
 
-  const renderWeekView = () => {
+    // Every generated occurrence is checked, not only the first one.
+    const occurrences = expandReservation(newRes);
+    for (const occurrence of occurrences) {
+      const occurrenceError = validateSlot(schedule, occurrence.start, occurrence.end);
+      if (occurrenceError) {
+        showToast(`Turno del ${formatDate(occurrence.start)}: ${occurrenceError}`, 'error');
+        return;
+      }
+    }
+    const conflict = findConflict(occurrences, withMaintenance(existingReservations, maintenanceBlocks));
+    if (conflict) {
+      showToast(getConflictMessage(conflict, recurrence ? ` (${formatDate(conflict.occurrence.start)})` : ''), 'error');
+      return;
+    }
+    const coachError = coach && validateCoachBooking(coach, occurrences, coachReservations);
+    if (coachError) {
+      showToast(coachError, 'error');
+      return;
+    }
+
+    // Typing an existing customer's exact name links to it instead of creating a duplicate.
+    const customer = customers.find(c => c.id === customerId)
+      || findCustomerByName(customers, name.trim())
+      || onCreateCustomer({ name: name.trim(), phone: newPhone, email: newEmail });
+    const players = otherPlayers.map((player, i) => {
+      const linked = customers.find(c => c.id === player.customerId)
+        || findCustomerByName(customers, player.name.trim())
+        || onCreateCustomer({ name: player.name.trim() });
+      return createPlayer({ customerId: linked.id, name: linked.name }, newRes.id + i + 1);
+    });
+    const booked = { ...newRes, customerId: customer.id, clientName: customer.name };
+
+    onSave({ ...booked, players: [createOrganizer(booked), ...players] });
+
+    showToast(recurrence ? `Serie de ${occurrences.length} turnos agendada correctamente` : "Reserva agendada correctamente", 'success');
+    setName('');
+    setCustomerId(null);
+    setNewPhone('');
+    setNewEmail('');
+    setOtherPlayers([]);
+    setDeposit('');
+    setRepeats(false);
+    onClose();
+  };
+
+  // The owner validates against the target court, which may not be this one.
+  const handleEdit = (res, fields) => {
+    if (onEditReservation(res, fields)) setEditingId(null);
+  };
+
+  const renderSeriesBadge = (res) => (res.eventId ? (
+    <span className="text-[10px] text-orange-300 flex items-center gap-0.5"><Trophy size={10} /> Evento</span>
+  ) : res.seriesId && (
+    <span className="text-[10px] text-violet-300 flex items-center gap-0.5" title={describeRecurrence(res.recurrence)}>
+      <Repeat size={10} /> {res.isMoved ? 'Serie (movido)' : 'Serie'}
+    </span>
+  ));
+
+  const renderCoachBadge = (res) => res.coachId != null && (
+    <span className="text-[10px] text-teal-300 flex items-center gap-0.5">
+      <GraduationCap size={10} /> {coachNames.get(res.coachId) ?? 'Profesor'}{getClassType(res, classTypes) && ` · ${getClassType(res, classTypes).name}`}
+    </span>
+  );
+
+  const renderStatus = (res) => (
+    <div className="flex flex-wrap items-center gap-2">
+      <ReservationStatusControl reservation={res} onChange={onChangeStatus} canCancel={canCancel} />
+      {isCancelled(res) ? <CancellationSummary reservation={res} /> : <PaymentSummary reservation={res} />}
+    </div>
+  );
+
+  // Event blocks are edited and released from the events view.
+  const renderCancelButton = (res, size) => canCancel && res.status === 'confirmed' && !res.eventId && (
+    <button onClick={() => onCancelRes(res)} className="text-slate-500 hover:text-red-400 p-1.5 opacity-0 group-hover:opacity-100 transition-opacity" title="Cancelar Reserva">
+      <Trash2 size={size} />
+    </button>
+  );
+
+  const renderEditButton = (res) => !isCancelled(res) && !res.eventId && (
+    <button onClick={() => setEditingId(editingId === res.id ? null : res.id)} className="text-slate-500 hover:text-blue-400 p-1.5 opacity-0 group-hover:opacity-100 transition-opacity" title={res.seriesId ? 'Editar solo este turno' : 'Editar reserva'}>
+      <Pencil size={14} />
+    </button>
+  );
+
+  const renderHistoryButton = (res) => res.history?.length > 0 && (
+    <button onClick={() => setHistoryId(historyId === res.id ? null : res.id)} className="text-slate-500 hover:text-slate-200 p-1.5 opacity-0 group-hover:opacity-100 transition-opacity" title={`Historial de cambios (${res.history.length})`}>
+      <History size={14} />
+    </button>
+  );
+
+  const renderEditForm = (res) => editingId === res.id && (
+    <ReservationEditForm
+      reservation={res}
+      courts={courts}
+      customers={customers}
+      onSubmit={(fields) => handleEdit(res, fields)}
+      onCancel={() => setEditingId(null)}
+    />
+  );
+
+  const renderHistory = (res) => historyId === res.id && res.history?.length > 0 && (
+    <ReservationHistory reservation={res} courts={courts} />
+  );
+
+  const handlePayment = (res, payment) => {
+    if (!(payment.amount > 0)) {
+      showToast("Ingresa un monto válido.", 'error');
+      return false;
+    }
+    onAddPayment(res, payment);
+    showToast(`Pago de ${formatMoney(payment.amount)} registrado`, 'success');
+    return true;
+  };
+
+  const renderPlayersButton = (res) => !res.eventId && (
+    <button onClick={() => setPlayersId(playersId === res.id ? null : res.id)} className="text-slate-500 hover:text-emerald-400 p-1.5 opacity-0 group-hover:opacity-100 transition-opacity" title="Jugadores y pagos">
+      <Wallet size={14} />
+    </button>
+  );
+
+  const renderPlayers = (res) => playersId === res.id && (
+    <PlayersPanel
+      reservation={res}
+      customers={customers}
+      maxPlayers={getPlayerLimit(res, court, classTypes)}
+      onAddPlayer={onAddPlayer}
+      onRemovePlayer={onRemovePlayer}
+      onPay={handlePayment}
+    />
+  );
+
+  const renderWeekView = () => {
     const days = [];
     const today = new Date();
     for (let i = 0; i < 7; i++) {
@@ -452,12 +1284,22 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
       const dateStr = getLocalYYYYMMDD(d);
       const dayReservations = existingReservations
         .filter(r => getLocalYYYYMMDD(new Date(r.start)) === dateStr)
+        .filter(r => coachFilter === 'all' || String(r.coachId) === coachFilter)
         .sort((a, b) => new Date(a.start) - new Date(b.start));
       days.push({ date: d, dateStr, reservations: dayReservations });
     }
 
     return (
       <div className="space-y-4">
+        {coaches.length > 0 && (
+          <div className="flex items-center gap-2 text-xs text-slate-400">
+            <GraduationCap size={14} />
+            <select value={coachFilter} onChange={e => setCoachFilter(e.target.value)} className="bg-slate-950 border border-slate-700 rounded-lg py-1 px-2 text-white outline-none focus:ring-2 focus:ring-blue-500">
+              <option value="all">Todas las reservas</option>
+              {coaches.map(c => <option key={c.id} value={String(c.id)}>Clases de {c.name}</option>)}
+            </select>
+          </div>
+        )}
         {days.map((day) => (
           <div key={day.dateStr} className="bg-slate-800/50 rounded-lg p-3 border border-slate-700/50">
             <h4 className={`text-sm font-bold mb-2 flex items-center gap-2 ${day.dateStr === getLocalYYYYMMDD(new Date()) ? 'text-blue-400' : 'text-slate-300'}`}>
@@ -470,20 +1312,32 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
             ) : (
               <div className="space-y-2 pl-2">
                 {day.reservations.map(res => (
-                  <div key={res.id} className="bg-slate-800 border border-slate-600 p-2 rounded flex justify-between items-center group hover:border-slate-500 transition-colors">
-                    <div className="flex items-center gap-3">
-                      <div className="text-center bg-slate-900 px-2 py-1 rounded">
-                        <div className="text-xs font-bold text-white">{formatTime(res.start)}</div>
-                        <div className="text-[10px] text-slate-400">{Math.round((new Date(res.end) - new Date(res.start)) / 60000)}m</div>
+                  <div key={res.id} className={`bg-slate-800 border border-slate-600 p-2 rounded group hover:border-slate-500 transition-colors ${isCancelled(res) ? 'opacity-60' : ''}`}>
+                    <div className="flex justify-between items-center">
+                      <div className="flex items-center gap-3">
+                        <div className="text-center bg-slate-900 px-2 py-1 rounded">
+                          <div className="text-xs font-bold text-white">{formatTime(res.start)}</div>
+                          <div className="text-[10px] text-slate-400">{Math.round((new Date(res.end) - new Date(res.start)) / 60000)}m</div>
+                        </div>
+                        <div>
+                          <div className="text-sm font-medium text-white">{res.clientName}</div>
+                          {!res.eventId && <PlayerCount reservation={res} maxPlayers={getPlayerLimit(res, court, classTypes)} className="text-[10px] text-slate-400" />}
+                          {Number(res.deposit) > 0 && <div className="text-[10px] text-emerald-400 flex items-center gap-0.5"><DollarSign size={10} /> Seña: ${res.deposit}</div>}
+                          {renderSeriesBadge(res)}
+                          {renderCoachBadge(res)}
+                          {renderStatus(res)}
+                        </div>
                       </div>
-                      <div>
-                        <div className="text-sm font-medium text-white">{res.clientName}</div>
-                        {Number(res.deposit) > 0 && <div className="text-[10px] text-emerald-400 flex items-center gap-0.5"><DollarSign size={10} /> Seña: ${res.deposit}</div>}
+                      <div className="flex items-center">
+                        {renderPlayersButton(res)}
+                        {renderHistoryButton(res)}
+                        {renderEditButton(res)}
+                        {renderCancelButton(res, 14)}
                       </div>
                     </div>
-                    <button onClick={() => onDeleteRes(res.id)} className="text-slate-500 hover:text-red-400 p-1.5 opacity-0 group-hover:opacity-100 transition-opacity" title="Cancelar Reserva">
-                      <Trash2 size={14} />
-                    </button>
+                    {renderEditForm(res)}
+                    {renderHistory(res)}
+                    {renderPlayers(res)}
                   </div>
                 ))}
               </div>
@@ -494,9 +1348,15 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
     );
   };
 
+  const slotOptions = getSlotStarts(schedule, date, duration);
+  const quoteStart = slotOptions.includes(startTime) ? new Date(`${date}T${startTime}`) : null;
+  const quote = quoteStart && calculatePrice(pricing, quoteStart, new Date(quoteStart.getTime() + duration * 60000));
+
   const selectedDateReservations = existingReservations
     .filter(r => getLocalYYYYMMDD(new Date(r.start)) === date)
     .sort((a, b) => new Date(a.start) - new Date(b.start));
+  const selectedDayStart = new Date(`${date}T00:00`).getTime();
+  const selectedDateBlocks = blocksInRange(maintenanceBlocks, court.id, selectedDayStart, selectedDayStart + 86400000);
 
   return (
     <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4" onPointerDown={(e) => e.stopPropagation()}>
@@ -511,7 +1371,10 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
               <h2 className="text-xl font-bold text-white">Cancha {court.label}</h2>
               <p className="text-sm text-slate-400">Gestión de Turnos</p>
             </div>
-            <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><X size={20} /></button>
+            <div className="flex items-center gap-1">
+              <button onClick={onExportCalendar} title="Exportar agenda de la cancha (.ics)" className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><CalendarArrowDown size={18} /></button>
+              <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><X size={20} /></button>
+            </div>
           </div>
           <div className="flex gap-4">
             <button onClick={() => setActiveTab('form')} className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${activeTab === 'form' ? 'border-blue-500 text-blue-400' : 'border-transparent text-slate-400 hover:text-white'}`}>
@@ -520,6 +1383,10 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
             <button onClick={() => setActiveTab('week')} className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${activeTab === 'week' ? 'border-blue-500 text-blue-400' : 'border-transparent text-slate-400 hover:text-white'}`}>
               <CalendarDays size={16} /> Agenda Semanal
             </button>
+            <button onClick={() => setActiveTab('maintenance')} className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${activeTab === 'maintenance' ? 'border-amber-500 text-amber-400' : 'border-transparent text-slate-400 hover:text-white'}`}>
+              <Wrench size={16} /> Mantenimiento
+              {maintenanceBlocks.length > 0 && <span className="text-[10px] bg-amber-500/20 text-amber-300 px-1.5 rounded-full">{maintenanceBlocks.length}</span>}
+            </button>
           </div>
         </div>
 
@@ -530,10 +1397,78 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
                 <div className="grid grid-cols-2 gap-4">
                   <div className="col-span-2">
                     <label className="block text-xs text-slate-400 mb-1">Cliente</label>
-                    <div className="relative">
-                      <User className="absolute left-3 top-2.5 text-slate-500" size={16} />
-                      <input required type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Nombre del jugador" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                    <CustomerPicker
+                      customers={customers}
+                      name={name}
+                      customerId={customerId}
+                      onChange={(next) => { setName(next.name); setCustomerId(next.customerId); }}
+                    />
+                  </div>
+                  {!customerId && name.trim() && !findCustomerByName(customers, name) && (
+                    <>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Teléfono (nuevo cliente)</label>
+                        <div className="relative">
+                          <Phone className="absolute left-3 top-2.5 text-slate-500" size={16} />
+                          <input type="tel" value={newPhone} onChange={e => setNewPhone(e.target.value)} placeholder="Opcional" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                        </div>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Email (nuevo cliente)</label>
+                        <div className="relative">
+                          <Mail className="absolute left-3 top-2.5 text-slate-500" size={16} />
+                          <input type="email" value={newEmail} onChange={e => setNewEmail(e.target.value)} placeholder="Opcional" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                        </div>
+                      </div>
+                    </>
+                  )}
+                  {coaches.length > 0 && (
+                    <div className="col-span-2">
+                      <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                        <input type="checkbox" checked={isClass} onChange={e => setIsClass(e.target.checked)} className="accent-blue-500" />
+                        <GraduationCap size={14} /> Clase con profesor
+                      </label>
+                    </div>
+                  )}
+                  {isClass && (
+                    <>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Profesor</label>
+                        <select required value={coachId} onChange={e => setCoachId(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+                          <option value="" disabled>Elegir profesor</option>
+                          {coaches.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Tipo de clase</label>
+                        <select required value={classTypeId} onChange={e => setClassTypeId(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+                          {classTypes.map(t => <option key={t.id} value={t.id}>{t.name} (hasta {t.maxStudents})</option>)}
+                        </select>
+                      </div>
+                    </>
+                  )}
+                  <div className="col-span-2 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <label className="text-xs text-slate-400">{isClass ? 'Otros alumnos' : 'Otros jugadores'} ({otherPlayers.length + 1}/{maxPlayers})</label>
+                      {otherPlayers.length + 1 < maxPlayers && (
+                        <button type="button" onClick={() => setOtherPlayers([...otherPlayers, { name: '', customerId: null }])} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1">
+                          <UserPlus size={12} /> Agregar jugador
+                        </button>
+                      )}
                     </div>
+                    {otherPlayers.map((player, i) => (
+                      <div key={i} className="flex items-center gap-2">
+                        <div className="flex-1">
+                          <CustomerPicker
+                            customers={customers}
+                            name={player.name}
+                            customerId={player.customerId}
+                            onChange={(next) => setOtherPlayers(otherPlayers.map((p, j) => (j === i ? next : p)))}
+                          />
+                        </div>
+                        <button type="button" onClick={() => setOtherPlayers(otherPlayers.filter((_, j) => j !== i))} className="p-2 text-slate-500 hover:text-red-400" title="Quitar jugador"><X size={16} /></button>
+                      </div>
+                    ))}
                   </div>
                   <div>
                     <label className="block text-xs text-slate-400 mb-1">Fecha</label>
@@ -541,14 +1476,15 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
                   </div>
                   <div>
                     <label className="block text-xs text-slate-400 mb-1">Hora Inicio</label>
-                    <input required type="time" value={startTime} onChange={e => setStartTime(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                    <select required value={slotOptions.includes(startTime) ? startTime : ''} onChange={e => setStartTime(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+                      <option value="" disabled>{slotOptions.length === 0 ? 'Cerrado' : 'Elegir hora'}</option>
+                      {slotOptions.map(slot => <option key={slot} value={slot}>{slot}</option>)}
+                    </select>
                   </div>
                   <div>
                     <label className="block text-xs text-slate-400 mb-1">Duración (min)</label>
                     <select value={duration} onChange={e => setDuration(Number(e.target.value))} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
-                      <option value={60}>60 min</option>
-                      <option value={90}>90 min</option>
-                      <option value={120}>120 min</option>
+                      {DURATION_OPTIONS.map(d => <option key={d} value={d}>{d} min</option>)}
                     </select>
                   </div>
                   <div>
@@ -558,7 +1494,64 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
                       <input type="number" value={deposit} onChange={e => setDeposit(e.target.value)} placeholder="0" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
                     </div>
                   </div>
+                  <div className="col-span-2">
+                    <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                      <input type="checkbox" checked={repeats} onChange={e => setRepeats(e.target.checked)} className="accent-blue-500" />
+                      <Repeat size={14} /> Turno fijo (se repite semanalmente)
+                    </label>
+                  </div>
+                  {repeats && (
+                    <>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Frecuencia</label>
+                        <select value={repeatInterval} onChange={e => setRepeatInterval(Number(e.target.value))} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+                          <option value={1}>Cada semana</option>
+                          <option value={2}>Cada 2 semanas</option>
+                          <option value={3}>Cada 3 semanas</option>
+                          <option value={4}>Cada 4 semanas</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Termina</label>
+                        <div className="flex gap-2">
+                          <select value={repeatEnd} onChange={e => setRepeatEnd(e.target.value)} className="bg-slate-950 border border-slate-700 rounded-lg py-2 px-2 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+                            <option value="count">Tras</option>
+                            <option value="until">El día</option>
+                          </select>
+                          {repeatEnd === 'count' ? (
+                            <input type="number" min={2} max={104} value={repeatCount} onChange={e => setRepeatCount(Number(e.target.value))} className="w-full min-w-0 bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" title="Cantidad de turnos" />
+                          ) : (
+                            <input type="date" min={date} value={repeatUntil} onChange={e => setRepeatUntil(e.target.value)} className="w-full min-w-0 bg-slate-950 border border-slate-700 rounded-lg py-2 px-2 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                          )}
+                        </div>
+                      </div>
+                    </>
+                  )}
                 </div>
+                {quote && (
+                  <div className="bg-slate-800/50 border border-slate-700/50 rounded-lg p-3 text-xs space-y-1">
+                    {quote.breakdown.map(line => (
+                      <div key={line.label} className="flex justify-between text-slate-400">
+                        <span>{line.label} ({line.minutes} min)</span>
+                        <span>{formatMoney(line.amount)}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between text-white font-bold border-t border-slate-700 pt-1">
+                      <span>Total{repeats ? ' por turno' : ''}</span>
+                      <span>{formatMoney(quote.total)}</span>
+                    </div>
+                    {otherPlayers.length > 0 && (
+                      <div className="flex justify-between text-slate-400">
+                        <span>Por jugador ({otherPlayers.length + 1})</span>
+                        <span>{formatMoney(quote.total / (otherPlayers.length + 1))}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between text-amber-300">
+                      <span>Saldo a cobrar</span>
+                      <span>{formatMoney(Math.max(0, quote.total - (Number(deposit) || 0)))}</span>
+                    </div>
+                  </div>
+                )}
                 <button type="submit" className="w-full bg-blue-600 hover:bg-blue-500 text-white font-medium py-2 rounded-lg transition-colors flex items-center justify-center gap-2 shadow-lg shadow-blue-900/20">
                   <Check size={18} /> Confirmar Reserva
                 </button>
@@ -568,28 +1561,54 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
                 <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2 border-t border-slate-700 pt-4">
                   <List size={14} /> Reservas del {formatDate(date)}
                 </h3>
+                {selectedDateBlocks.map(block => (
+                  <div key={block.id} className="mb-2 bg-amber-950/30 border border-amber-700/40 text-amber-200 text-xs p-2 rounded-lg flex items-center gap-2">
+                    <Wrench size={12} /> Mantenimiento {formatTime(block.start)} - {formatTime(block.end)}{block.reason && ` · ${block.reason}`}
+                  </div>
+                ))}
                 {selectedDateReservations.length === 0 ? (
                   <p className="text-sm text-slate-500 italic text-center py-4">No hay reservas para esta fecha.</p>
                 ) : (
                   <div className="space-y-2">
                     {selectedDateReservations.map(res => (
-                      <div key={res.id} className="bg-slate-800 border border-slate-700 p-3 rounded-lg flex justify-between items-center group">
-                        <div>
-                          <div className="text-white font-medium text-sm">{res.clientName}</div>
-                          <div className="text-xs text-slate-400 flex items-center gap-2 mt-1">
-                            <Clock size={12} /> {formatTime(res.start)} - {formatTime(res.end)}
-                            {Number(res.deposit) > 0 && <span className="text-emerald-400 flex items-center gap-1"><DollarSign size={10} /> {res.deposit}</span>}
+                      <div key={res.id} className={`bg-slate-800 border border-slate-700 p-3 rounded-lg group ${isCancelled(res) ? 'opacity-60' : ''}`}>
+                        <div className="flex justify-between items-center">
+                          <div>
+                            <div className="text-white font-medium text-sm">{res.clientName}</div>
+                            {!res.eventId && <PlayerCount reservation={res} maxPlayers={getPlayerLimit(res, court, classTypes)} className="text-[10px] text-slate-400 mt-0.5" />}
+                            <div className="text-xs text-slate-400 flex items-center gap-2 mt-1">
+                              <Clock size={12} /> {formatTime(res.start)} - {formatTime(res.end)}
+                              {Number(res.deposit) > 0 && <span className="text-emerald-400 flex items-center gap-1"><DollarSign size={10} /> {res.deposit}</span>}
+                              {renderSeriesBadge(res)}
+                              {renderCoachBadge(res)}
+                            </div>
+                            {renderStatus(res)}
+                          </div>
+                          <div className="flex items-center">
+                            {renderPlayersButton(res)}
+                            {renderHistoryButton(res)}
+                            {renderEditButton(res)}
+                            {renderCancelButton(res, 16)}
                           </div>
                         </div>
-                        <button onClick={() => onDeleteRes(res.id)} className="text-slate-500 hover:text-red-400 p-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                          <Trash2 size={16} />
-                        </button>
+                        {renderEditForm(res)}
+                        {renderHistory(res)}
+                        {renderPlayers(res)}
                       </div>
                     ))}
                   </div>
                 )}
               </div>
             </>
+          ) : activeTab === 'maintenance' ? (
+            <MaintenancePanel
+              court={court}
+              blocks={maintenanceBlocks}
+              reservations={existingReservations}
+              onAdd={onAddMaintenance}
+              onRemove={onRemoveMaintenance}
+              showToast={showToast}
+            />
           ) : (
             renderWeekView()
           )}
@@ -599,242 +1618,3436 @@ const ReservationModal = ({ court, isOpen, onClose, onSave, existingReservations
   );
 };
 
-// --- AVAILABILITY FINDER VIEW ---
-const AvailabilityView = ({ elements, reservations, onReserve }) => {
-  const [searchDate, setSearchDate] = useState(() => getLocalYYYYMMDD(new Date()));
-  const [searchTime, setSearchTime] = useState(() => {
-    const now = new Date();
-    // Default to next full hour
-    now.setHours(now.getHours() + 1, 0, 0, 0);
-    const hours = now.getHours().toString().padStart(2, '0');
-    const minutes = now.getMinutes().toString().padStart(2, '0');
-    return `${hours}:${minutes}`;
+// --- SCHEDULE SETTINGS ---
+const WeeklyHoursEditor = ({ schedule, onChange, disabled }) => {
+  const updateDay = (day, changes) => onChange({
+    ...schedule,
+    weekly: { ...schedule.weekly, [day]: { ...schedule.weekly[day], ...changes } },
   });
-  const [duration, setDuration] = useState(90);
 
-  const getAvailableCourts = () => {
-    const courts = elements.filter(el => el.type === 'court');
-    if (!searchDate || !searchTime) return [];
+  return (
+    <div className={`space-y-4 ${disabled ? 'opacity-40 pointer-events-none' : ''}`}>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Inicio de turnos</label>
+        <select value={schedule.slotMinutes} onChange={e => onChange({ ...schedule, slotMinutes: Number(e.target.value) })} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+          {SLOT_OPTIONS.map(m => <option key={m} value={m}>Cada {m} minutos</option>)}
+        </select>
+      </div>
+      <div className="space-y-2">
+        {WEEKDAY_ORDER.map(day => {
+          const hours = schedule.weekly[day];
+          return (
+            <div key={day} className="flex items-center gap-3 bg-slate-800/50 border border-slate-700/50 rounded-lg px-3 py-2">
+              <span className="w-24 text-sm text-slate-300">{WEEKDAYS[day]}</span>
+              <label className="flex items-center gap-1.5 text-xs text-slate-400 cursor-pointer">
+                <input type="checkbox" checked={!hours.closed} onChange={e => updateDay(day, { closed: !e.target.checked })} className="accent-blue-500" />
+                Abierto
+              </label>
+              <input type="time" value={hours.open} disabled={hours.closed} onChange={e => updateDay(day, { open: e.target.value })} className="ml-auto bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-40" />
+              <span className="text-slate-500 text-xs">a</span>
+              <input type="time" value={hours.close} disabled={hours.closed} onChange={e => updateDay(day, { close: e.target.value })} className="bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-40" />
+            </div>
+          );
+        })}
+        <p className="text-[10px] text-slate-500">Si el cierre es anterior a la apertura, el club cierra después de medianoche.</p>
+      </div>
+    </div>
+  );
+};
+
+const ScheduleModal = ({ isOpen, schedule, courts, onClose, onSave, showToast }) => {
+  const [scope, setScope] = useState('club');
+  const [clubDraft, setClubDraft] = useState(schedule);
+  // courtId -> schedule override, or null to follow the club hours
+  const [courtDrafts, setCourtDrafts] = useState(() => Object.fromEntries(courts.map(c => [c.id, c.schedule || null])));
+  const [holidayDate, setHolidayDate] = useState('');
+  const [holidayLabel, setHolidayLabel] = useState('');
 
-    const searchStart = new Date(`${searchDate}T${searchTime}`).getTime();
-    const searchEnd = searchStart + duration * 60000;
+  if (!isOpen) return null;
 
-    return courts.filter(court => {
-      // Find any overlap
-      const hasConflict = reservations.some(res => {
-        if (res.courtId !== court.id) return false;
-        const resStart = new Date(res.start).getTime();
-        const resEnd = new Date(res.end).getTime();
+  const selectedCourt = courts.find(c => c.id === scope);
+  const courtOverride = selectedCourt ? courtDrafts[selectedCourt.id] : null;
 
-        // Simple overlap logic: (StartA < EndB) and (EndA > StartB)
-        return (searchStart < resEnd && searchEnd > resStart);
-      });
-      return !hasConflict;
+  const addHoliday = () => {
+    if (!holidayDate || clubDraft.holidays.some(h => h.date === holidayDate)) return;
+    setClubDraft({
+      ...clubDraft,
+      holidays: [...clubDraft.holidays, { date: holidayDate, label: holidayLabel.trim() }].sort((a, b) => a.date.localeCompare(b.date)),
     });
+    setHolidayDate('');
+    setHolidayLabel('');
   };
 
-  const availableCourts = getAvailableCourts();
+  // A cleared time field would make the club data invalid, and every later save with it.
+  const handleSave = () => {
+    if (!isValidSchedule(clubDraft)) {
+      showToast("Completa los horarios de apertura y cierre del club.", 'error');
+      return;
+    }
+    const invalidCourt = courts.find(c => courtDrafts[c.id] && !isValidCourtSchedule(courtDrafts[c.id]));
+    if (invalidCourt) {
+      showToast(`Completa los horarios de apertura y cierre de la Cancha ${invalidCourt.label}.`, 'error');
+      return;
+    }
+    onSave(clubDraft, courtDrafts);
+  };
 
   return (
-    <div className="flex flex-col h-full bg-slate-950 p-6 md:p-12 overflow-y-auto">
-      <div className="max-w-4xl mx-auto w-full">
-        <div className="mb-8">
-          <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
-            <SearchCheck className="text-blue-500" size={32} /> Buscador de Disponibilidad
-          </h2>
-          <p className="text-slate-400">Encuentra rápidamente canchas libres para un horario específico.</p>
-        </div>
-
-        {/* Search Controls */}
-        <div className="bg-slate-900 border border-slate-800 p-6 rounded-2xl shadow-xl mb-8 grid grid-cols-1 md:grid-cols-3 gap-6">
-          <div>
-            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Fecha</label>
-            <input
-              type="date"
-              value={searchDate}
-              onChange={e => setSearchDate(e.target.value)}
-              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-            />
-          </div>
-          <div>
-            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Hora Inicio</label>
-            <input
-              type="time"
-              value={searchTime}
-              onChange={e => setSearchTime(e.target.value)}
-              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-            />
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4" onPointerDown={(e) => e.stopPropagation()}>
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden flex flex-col max-h-[85vh]"
+      >
+        <div className="bg-slate-800 border-b border-slate-700 p-4">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-xl font-bold text-white">Horarios</h2>
+              <p className="text-sm text-slate-400">Apertura, feriados y grilla de turnos</p>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><X size={20} /></button>
           </div>
-          <div>
-            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Duración</label>
-            <select
-              value={duration}
-              onChange={e => setDuration(Number(e.target.value))}
-              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-            >
-              <option value={60}>60 min</option>
-              <option value={90}>90 min</option>
-              <option value={120}>120 min</option>
-            </select>
+          <div className="flex gap-2 overflow-x-auto custom-scrollbar">
+            <button onClick={() => setScope('club')} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap ${scope === 'club' ? 'bg-blue-600 text-white' : 'bg-slate-900 text-slate-400 hover:text-white'}`}>Club</button>
+            {courts.map(court => (
+              <button key={court.id} onClick={() => setScope(court.id)} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap ${scope === court.id ? 'bg-blue-600 text-white' : 'bg-slate-900 text-slate-400 hover:text-white'}`}>
+                Cancha {court.label}{courtDrafts[court.id] ? ' *' : ''}
+              </button>
+            ))}
           </div>
         </div>
 
-        {/* Results */}
-        <div>
-          <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
-            Resultados
-            <span className="text-sm font-normal bg-slate-800 text-slate-400 px-2 py-0.5 rounded-full">{availableCourts.length} canchas libres</span>
-          </h3>
-
-          {availableCourts.length === 0 ? (
-            <div className="bg-slate-900/50 border border-slate-800 border-dashed rounded-xl p-12 text-center text-slate-500">
-              <AlertCircle className="mx-auto mb-3 opacity-50" size={48} />
-              <p className="text-lg">No hay canchas disponibles para este horario.</p>
-              <p className="text-sm opacity-60">Intenta cambiar la hora o reducir la duración.</p>
-            </div>
+        <div className="p-6 overflow-y-auto custom-scrollbar flex-1 space-y-6">
+          {selectedCourt ? (
+            <>
+              <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!courtOverride}
+                  onChange={e => setCourtDrafts({ ...courtDrafts, [selectedCourt.id]: e.target.checked ? { slotMinutes: clubDraft.slotMinutes, weekly: clubDraft.weekly } : null })}
+                  className="accent-blue-500"
+                />
+                Horario propio para la Cancha {selectedCourt.label}
+              </label>
+              <WeeklyHoursEditor
+                schedule={courtOverride || clubDraft}
+                disabled={!courtOverride}
+                onChange={(next) => setCourtDrafts({ ...courtDrafts, [selectedCourt.id]: { slotMinutes: next.slotMinutes, weekly: next.weekly } })}
+              />
+            </>
           ) : (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {availableCourts.map(court => (
-                <motion.div
-                  key={court.id}
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  className="bg-slate-800 border border-slate-700 p-5 rounded-xl flex flex-col justify-between hover:border-blue-500/50 transition-colors group"
-                >
-                  <div className="mb-4">
-                    <div className="flex items-center justify-between mb-2">
-                      <span className="bg-blue-900/30 text-blue-300 text-xs font-bold px-2 py-1 rounded uppercase tracking-wider">Cancha</span>
-                      <div className="w-3 h-3 rounded-full bg-emerald-500 shadow-[0_0_10px_rgba(16,185,129,0.5)]"></div>
-                    </div>
-                    <h4 className="text-2xl font-black text-white">{court.label}</h4>
-                    <p className="text-slate-400 text-xs mt-1">Superficie {court.color === COLORS.turf.blue ? 'Azul' : court.color === COLORS.turf.green ? 'Verde' : court.color === COLORS.turf.pink ? 'WPT' : 'Estándar'}</p>
+            <>
+              <WeeklyHoursEditor schedule={clubDraft} onChange={setClubDraft} />
+              <div>
+                <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2 border-t border-slate-700 pt-4">
+                  <CalendarDays size={14} /> Feriados y cierres
+                </h3>
+                <div className="flex gap-2 mb-3">
+                  <input type="date" value={holidayDate} onChange={e => setHolidayDate(e.target.value)} className="bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                  <input type="text" value={holidayLabel} onChange={e => setHolidayLabel(e.target.value)} placeholder="Motivo (opcional)" className="flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+                  <button type="button" onClick={addHoliday} className="p-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-white"><Plus size={18} /></button>
+                </div>
+                {clubDraft.holidays.length === 0 ? (
+                  <p className="text-xs text-slate-500 italic">Sin feriados cargados.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {clubDraft.holidays.map(h => (
+                      <div key={h.date} className="bg-slate-800 border border-slate-700 px-3 py-2 rounded-lg flex justify-between items-center text-sm">
+                        <span className="text-white">{formatDate(h.date)} <span className="text-slate-400">{h.label}</span></span>
+                        <button onClick={() => setClubDraft({ ...clubDraft, holidays: clubDraft.holidays.filter(x => x.date !== h.date) })} className="text-slate-500 hover:text-red-400 p-1"><Trash2 size={14} /></button>
+                      </div>
+                    ))}
                   </div>
-
-                  <button
-                    onClick={() => onReserve(court, { date: searchDate, time: searchTime, duration })}
-                    className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-2 group-hover:shadow-lg group-hover:shadow-emerald-900/20"
-                  >
-                    <CheckCircle2 size={18} /> Reservar Ahora
-                  </button>
-                </motion.div>
-              ))}
-            </div>
+                )}
+              </div>
+            </>
           )}
         </div>
-      </div>
+
+        <div className="p-4 border-t border-slate-700">
+          <button onClick={handleSave} className="w-full bg-blue-600 hover:bg-blue-500 text-white font-medium py-2 rounded-lg transition-colors flex items-center justify-center gap-2 shadow-lg shadow-blue-900/20">
+            <Check size={18} /> Guardar Horarios
+          </button>
+        </div>
+      </motion.div>
     </div>
   );
 };
 
-const TimeController = ({ currentDate, onChange }) => {
-  const toInputString = (date) => {
-    const d = new Date(date);
-    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
-    return d.toISOString().slice(0, 16);
-  };
+// --- PRICING SETTINGS ---
+const RateTableEditor = ({ pricing, onChange, disabled }) => {
+  const updateBand = (id, changes) => onChange({
+    ...pricing,
+    bands: pricing.bands.map(b => b.id === id ? { ...b, ...changes } : b),
+  });
+  const toggleDay = (band, day) => updateBand(band.id, {
+    days: band.days.includes(day) ? band.days.filter(d => d !== day) : [...band.days, day],
+  });
+  const addBand = () => onChange({
+    ...pricing,
+    bands: [...pricing.bands, { id: `band-${Date.now()}`, label: 'Nueva franja', days: [1, 2, 3, 4, 5], from: '18:00', to: '23:00', rate: pricing.baseRate }],
+  });
+  const lighting = pricing.lighting || { enabled: false, from: '19:30', until: '07:00', ratePerHour: 0 };
+  const updateLighting = (changes) => onChange({ ...pricing, lighting: { ...lighting, ...changes } });
+
+  const inputClass = 'bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500';
+
   return (
-    <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 bg-slate-900/90 backdrop-blur-md border border-slate-700 text-white px-6 py-3 rounded-2xl shadow-2xl flex items-center gap-4 z-50">
-      <div className="flex flex-col items-start">
-        <span className="text-[10px] text-slate-400 uppercase tracking-widest font-bold">Vista Actual</span>
-        <div className="flex items-center gap-2 text-blue-400"><Clock size={16} /><span className="font-mono font-bold text-lg">{formatTime(currentDate)}</span></div>
+    <div className={`space-y-6 ${disabled ? 'opacity-40 pointer-events-none' : ''}`}>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Tarifa base (por hora)</label>
+        <div className="relative">
+          <DollarSign className="absolute left-3 top-2.5 text-slate-500" size={16} />
+          <input type="number" min={0} value={pricing.baseRate} onChange={e => onChange({ ...pricing, baseRate: Number(e.target.value) })} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 pl-10 pr-4 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+        </div>
       </div>
-      <div className="h-8 w-[1px] bg-slate-700"></div>
-      <div className="flex items-center gap-2">
-        <input type="datetime-local" value={toInputString(currentDate)} onChange={(e) => onChange(new Date(e.target.value))} className="bg-slate-800 border border-slate-600 rounded-lg text-sm px-3 py-1.5 text-white outline-none focus:border-blue-500" />
-        <button onClick={() => onChange(new Date())} className="text-[10px] bg-blue-600 px-2 py-1 rounded hover:bg-blue-500 transition-colors">Ahora</button>
+
+      <div>
+        <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center justify-between">
+          <span className="flex items-center gap-2"><Clock size={14} /> Franjas horarias</span>
+          <button type="button" onClick={addBand} className="text-xs bg-slate-700 hover:bg-slate-600 px-2 py-1 rounded-md flex items-center gap-1"><Plus size={12} /> Agregar</button>
+        </h3>
+        <div className="space-y-2">
+          {pricing.bands.map(band => (
+            <div key={band.id} className="bg-slate-800/50 border border-slate-700/50 rounded-lg p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input type="text" value={band.label} onChange={e => updateBand(band.id, { label: e.target.value })} className={`flex-1 min-w-0 ${inputClass}`} />
+                <div className="relative w-28">
+                  <DollarSign className="absolute left-2 top-1.5 text-slate-500" size={12} />
+                  <input type="number" min={0} value={band.rate} onChange={e => updateBand(band.id, { rate: Number(e.target.value) })} className={`w-full pl-6 ${inputClass}`} title="Precio por hora" />
+                </div>
+                <button type="button" onClick={() => onChange({ ...pricing, bands: pricing.bands.filter(b => b.id !== band.id) })} className="text-slate-500 hover:text-red-400 p-1"><Trash2 size={14} /></button>
+              </div>
+              <div className="flex items-center gap-1 flex-wrap">
+                {WEEKDAY_ORDER.map(day => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(band, day)}
+                    className={`w-7 h-6 rounded text-[10px] font-bold ${band.days.includes(day) ? 'bg-blue-600 text-white' : 'bg-slate-900 text-slate-500'}`}
+                  >
+                    {WEEKDAYS[day].slice(0, 2)}
+                  </button>
+                ))}
+                <input type="time" value={band.from} onChange={e => updateBand(band.id, { from: e.target.value })} className={`ml-auto ${inputClass}`} />
+                <span className="text-slate-500 text-xs">a</span>
+                <input type="time" value={band.to} onChange={e => updateBand(band.id, { to: e.target.value })} className={inputClass} />
+              </div>
+            </div>
+          ))}
+          {pricing.bands.length === 0 && <p className="text-xs text-slate-500 italic">Sin franjas: se cobra siempre la tarifa base.</p>}
+          <p className="text-[10px] text-slate-500">Si varias franjas coinciden se aplica la más cara. Misma hora de inicio y fin cubre el día completo.</p>
+        </div>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer mb-2">
+          <input type="checkbox" checked={lighting.enabled} onChange={e => updateLighting({ enabled: e.target.checked })} className="accent-blue-500" />
+          Recargo por iluminación
+        </label>
+        <div className={`flex items-center gap-2 ${lighting.enabled ? '' : 'opacity-40 pointer-events-none'}`}>
+          <input type="time" value={lighting.from} onChange={e => updateLighting({ from: e.target.value })} className={inputClass} />
+          <span className="text-slate-500 text-xs">a</span>
+          <input type="time" value={lighting.until} onChange={e => updateLighting({ until: e.target.value })} className={inputClass} />
+          <div className="relative flex-1">
+            <DollarSign className="absolute left-2 top-1.5 text-slate-500" size={12} />
+            <input type="number" min={0} value={lighting.ratePerHour} onChange={e => updateLighting({ ratePerHour: Number(e.target.value) })} className={`w-full pl-6 ${inputClass}`} title="Recargo por hora" />
+          </div>
+        </div>
       </div>
     </div>
   );
 };
 
-const DesignToolbar = ({ onAddCourt, onAddZone, onClear }) => (
-  <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 bg-slate-900/90 backdrop-blur-md border border-slate-700 text-white px-6 py-4 rounded-2xl shadow-2xl flex items-center gap-4 z-50">
-    <span className="text-xs text-slate-500 font-bold uppercase mr-2">Diseño</span>
-    <button onClick={() => onAddCourt(COLORS.turf.blue)} className="bg-blue-600 p-2 rounded-lg hover:bg-blue-500"><Plus size={20} /></button>
-    <button onClick={() => onAddCourt(COLORS.turf.green)} className="bg-emerald-600 p-2 rounded-lg hover:bg-emerald-500"><Plus size={20} /></button>
-    <div className="w-[1px] h-6 bg-slate-700"></div>
-    <button onClick={onAddZone} className="bg-slate-700 p-2 rounded-lg hover:bg-slate-600"><Square size={20} /></button>
-    <div className="w-[1px] h-6 bg-slate-700"></div>
-    <button onClick={onClear} className="text-slate-400 hover:text-red-400"><Trash2 size={20} /></button>
+const CancellationPolicyEditor = ({ policy, onChange }) => (
+  <div className="space-y-2 border-t border-slate-700 pt-4">
+    <h3 className="text-sm font-semibold text-slate-300">Política de cancelación</h3>
+    <div className="flex items-center gap-2 text-sm text-slate-300">
+      Aviso mínimo
+      <input
+        type="number"
+        min={0}
+        value={policy.noticeHours}
+        onChange={e => onChange({ ...policy, noticeHours: Math.max(0, Number(e.target.value)) })}
+        className="w-20 bg-slate-950 border border-slate-700 rounded-lg py-1.5 px-2 text-white text-sm outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      horas antes del turno
+    </div>
+    <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+      <input type="checkbox" checked={policy.forfeitDeposit} onChange={e => onChange({ ...policy, forfeitDeposit: e.target.checked })} className="accent-blue-500" />
+      Retener la seña si se cancela con menos aviso
+    </label>
   </div>
 );
 
-export default function PadelClubPlanner() {
-  const [elements, setElements] = useState([]);
-  const [reservations, setReservations] = useState([]);
-  const [mode, setMode] = useState('design');
-  const [viewDate, setViewDate] = useState(new Date());
-  const [toast, setToast] = useState(null);
-  const [selectedId, setSelectedId] = useState(null);
-  const [zoom, setZoom] = useState(1);
-  const [managingState, setManagingState] = useState(null);
-  const [confirmation, setConfirmation] = useState({ isOpen: false, message: '', onConfirm: null }); // NEW STATE FOR CONFIRMATION
-
-  const containerRef = useRef(null);
-  const [containerSize, setContainerSize] = useState({ w: 0, h: 0 });
-
-  useEffect(() => {
-    if (containerRef.current) setContainerSize({ w: containerRef.current.offsetWidth, h: containerRef.current.offsetHeight });
-  }, []);
+const PricingModal = ({ isOpen, pricing, courts, onClose, onSave, showToast }) => {
+  const [scope, setScope] = useState('club');
+  const [clubDraft, setClubDraft] = useState(pricing);
+  // courtId -> rate table override, or null to use the club rates
+  const [courtDrafts, setCourtDrafts] = useState(() => Object.fromEntries(courts.map(c => [c.id, c.pricing || null])));
 
-  const showToast = (message, type = 'success') => setToast({ message, type });
+  if (!isOpen) return null;
 
-  const updateElement = (id, changes) => {
-    setElements(prev => prev.map(el => el.id === id ? { ...el, ...changes } : el));
-  };
+  const selectedCourt = courts.find(c => c.id === scope);
+  const courtOverride = selectedCourt ? courtDrafts[selectedCourt.id] : null;
 
-  const addCourt = (color) => {
-    const newCourt = {
-      id: Date.now(),
-      type: 'court',
-      x: containerSize.w / 2 - COURT_WIDTH_PX / 2 + (Math.random() * 40 - 20),
-      y: containerSize.h / 2 - COURT_HEIGHT_PX / 2 + (Math.random() * 40 - 20),
-      rotation: 0,
-      color,
-      label: elements.filter(e => e.type === 'court').length + 1
-    };
-    setElements([...elements, newCourt]);
+  // A cleared time field would make the club data invalid, and every later save with it.
+  const handleSave = () => {
+    if (!isValidPricing(clubDraft)) {
+      showToast("Completa los horarios de las franjas y de la iluminación del club.", 'error');
+      return;
+    }
+    const invalidCourt = courts.find(c => courtDrafts[c.id] && !isValidPricing(courtDrafts[c.id]));
+    if (invalidCourt) {
+      showToast(`Completa los horarios de las franjas y de la iluminación de la Cancha ${invalidCourt.label}.`, 'error');
+      return;
+    }
+    onSave(clubDraft, courtDrafts);
   };
 
-  const addZone = () => {
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4" onPointerDown={(e) => e.stopPropagation()}>
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden flex flex-col max-h-[85vh]"
+      >
+        <div className="bg-slate-800 border-b border-slate-700 p-4">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h2 className="text-xl font-bold text-white">Tarifas</h2>
+              <p className="text-sm text-slate-400">Precio por hora, franjas y recargos</p>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><X size={20} /></button>
+          </div>
+          <div className="flex gap-2 overflow-x-auto custom-scrollbar">
+            <button onClick={() => setScope('club')} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap ${scope === 'club' ? 'bg-blue-600 text-white' : 'bg-slate-900 text-slate-400 hover:text-white'}`}>Club</button>
+            {courts.map(court => (
+              <button key={court.id} onClick={() => setScope(court.id)} className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap ${scope === court.id ? 'bg-blue-600 text-white' : 'bg-slate-900 text-slate-400 hover:text-white'}`}>
+                Cancha {court.label}{courtDrafts[court.id] ? ' *' : ''}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto custom-scrollbar flex-1 space-y-6">
+          {selectedCourt ? (
+            <>
+              <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!courtOverride}
+                  onChange={e => setCourtDrafts({ ...courtDrafts, [selectedCourt.id]: e.target.checked ? clubDraft : null })}
+                  className="accent-blue-500"
+                />
+                Tarifa propia para la Cancha {selectedCourt.label}
+              </label>
+              <RateTableEditor
+                pricing={courtOverride || clubDraft}
+                disabled={!courtOverride}
+                onChange={(next) => setCourtDrafts({ ...courtDrafts, [selectedCourt.id]: next })}
+              />
+            </>
+          ) : (
+            <>
+              <RateTableEditor pricing={clubDraft} onChange={setClubDraft} />
+              <CancellationPolicyEditor
+                policy={clubDraft.cancellation || DEFAULT_CANCELLATION_POLICY}
+                onChange={(cancellation) => setClubDraft({ ...clubDraft, cancellation })}
+              />
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-slate-700">
+          <p className="text-[10px] text-slate-500 mb-2 text-center">Los cambios aplican a reservas nuevas; las existentes conservan su precio.</p>
+          <button onClick={handleSave} className="w-full bg-blue-600 hover:bg-blue-500 text-white font-medium py-2 rounded-lg transition-colors flex items-center justify-center gap-2 shadow-lg shadow-blue-900/20">
+            <Check size={18} /> Guardar Tarifas
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+// --- CUSTOMER DIRECTORY VIEW ---
+const CustomerProfileForm = ({ customer, onSave }) => {
+  const [fields, setFields] = useState({ name: customer.name, phone: customer.phone, email: customer.email, notes: customer.notes });
+  const update = (key) => (e) => setFields({ ...fields, [key]: e.target.value });
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSave(fields); }}
+      className="grid grid-cols-2 gap-4"
+    >
+      <div className="col-span-2">
+        <label className="block text-xs text-slate-400 mb-1">Nombre</label>
+        <input required type="text" value={fields.name} onChange={update('name')} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Teléfono</label>
+        <input type="tel" value={fields.phone} onChange={update('phone')} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Email</label>
+        <input type="email" value={fields.email} onChange={update('email')} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+      </div>
+      <div className="col-span-2">
+        <label className="block text-xs text-slate-400 mb-1">Notas</label>
+        <textarea rows={2} value={fields.notes} onChange={update('notes')} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none resize-none" />
+      </div>
+      <button type="submit" className="col-span-2 bg-blue-600 hover:bg-blue-500 text-white font-medium py-2 rounded-lg transition-colors flex items-center justify-center gap-2">
+        <Check size={18} /> Guardar Cliente
+      </button>
+    </form>
+  );
+};
+
+const CustomersView = ({ customers, reservations, courts, onCreate, onUpdate, onChangeStatus, canCancel }) => {
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [now] = useState(() => Date.now());
+
+  const courtLabels = new Map(courts.map(c => [c.id, c.label]));
+  const listed = query.trim()
+    ? searchCustomers(customers, query, customers.length)
+    : [...customers].sort((a, b) => a.name.localeCompare(b.name));
+  const selected = customers.find(c => c.id === selectedId);
+  const stats = selected && getCustomerStats(selected.id, reservations, now);
+
+  const handleCreate = () => {
+    const customer = onCreate({ name: query.trim() || 'Nuevo cliente' });
+    setSelectedId(customer.id);
+    setQuery('');
+  };
+
+  const renderBooking = (res) => (
+    <div key={res.id} className={`bg-slate-800 border p-3 rounded-lg flex justify-between items-center ${res.status === 'no-show' ? 'border-red-500/50' : 'border-slate-700'} ${isCancelled(res) ? 'opacity-60' : ''}`}>
+      <div>
+        <div className="text-sm text-white font-medium">{formatDate(res.start)} · {formatTime(res.start)} - {formatTime(res.end)}</div>
+        <div className="text-xs text-slate-400 flex items-center gap-2">
+          Cancha {courtLabels.get(res.courtId) ?? '?'}
+          {res.seriesId && <span className="text-violet-300 flex items-center gap-0.5"><Repeat size={10} /> Serie</span>}
+        </div>
+        {isCancelled(res) ? <CancellationSummary reservation={res} /> : <PaymentSummary reservation={res} />}
+      </div>
+      <ReservationStatusControl reservation={res} onChange={onChangeStatus} canCancel={canCancel} />
+    </div>
+  );
+
+  return (
+    <div className="flex h-full bg-slate-950 overflow-hidden">
+      <div className="w-72 shrink-0 border-r border-slate-800 flex flex-col">
+        <div className="p-4 border-b border-slate-800 space-y-3">
+          <h2 className="text-lg font-bold text-white flex items-center gap-2"><Users className="text-blue-500" size={20} /> Clientes</h2>
+          <div className="flex gap-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-2.5 text-slate-500" size={14} />
+              <input type="text" value={query} onChange={e => setQuery(e.target.value)} placeholder="Nombre, teléfono, email" className="w-full bg-slate-900 border border-slate-700 rounded-lg py-2 pl-8 pr-3 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+            </div>
+            <button onClick={handleCreate} title="Nuevo cliente" className="p-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white"><UserPlus size={18} /></button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar">
+          {listed.length === 0 && <p className="text-sm text-slate-500 italic text-center py-6">Sin clientes.</p>}
+          {listed.map(c => (
+            <button
+              key={c.id}
+              onClick={() => setSelectedId(c.id)}
+              className={`w-full text-left px-4 py-3 border-b border-slate-800/60 transition-colors ${c.id === selectedId ? 'bg-blue-600/20' : 'hover:bg-slate-900'}`}
+            >
+              <div className="text-sm font-medium text-white truncate">{c.name}</div>
+              {(c.phone || c.email) && <div className="text-[10px] text-slate-500 truncate">{c.phone || c.email}</div>}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 md:p-10">
+        {!selected ? (
+          <div className="h-full flex flex-col items-center justify-center text-slate-500">
+            <Users className="mb-3 opacity-50" size={48} />
+            <p>Selecciona un cliente para ver su ficha.</p>
+          </div>
+        ) : (
+          <div className="max-w-3xl mx-auto space-y-8">
+            <div className="bg-slate-900 border border-slate-800 p-6 rounded-2xl">
+              <CustomerProfileForm key={selected.id} customer={selected} onSave={(fields) => onUpdate(selected.id, fields)} />
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {[
+                { label: 'Reservas', value: stats.past.length + stats.upcoming.length },
+                { label: 'Próximas', value: stats.upcoming.length },
+                { label: 'Total abonado', value: formatMoney(stats.totalSpent) },
+                { label: 'No-shows', value: stats.noShows, alert: stats.noShows > 0 },
+                { label: 'Cancel. tardías', value: stats.lateCancellations, alert: stats.lateCancellations > 0 },
+              ].map(card => (
+                <div key={card.label} className="bg-slate-900 border border-slate-800 rounded-xl p-4">
+                  <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">{card.label}</div>
+                  <div className={`text-2xl font-black ${card.alert ? 'text-red-400' : 'text-white'}`}>{card.value}</div>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2"><CalendarDays size={14} /> Próximas reservas</h3>
+              {stats.upcoming.length === 0
+                ? <p className="text-sm text-slate-500 italic">Sin reservas próximas.</p>
+                : <div className="space-y-2">{stats.upcoming.map(renderBooking)}</div>}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2"><List size={14} /> Historial</h3>
+              {stats.past.length === 0
+                ? <p className="text-sm text-slate-500 italic">Sin reservas anteriores.</p>
+                : <div className="space-y-2">{stats.past.map(renderBooking)}</div>}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- COACHES VIEW ---
+const CoachForm = ({ coach, onSave, onRemove }) => {
+  const [name, setName] = useState(coach.name);
+  const [phone, setPhone] = useState(coach.phone);
+  const [availability, setAvailability] = useState(coach.availability);
+
+  const updateDay = (day, hours) => setAvailability(prev => ({ ...prev, [day]: hours }));
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); onSave({ name, phone, availability }); }} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Nombre</label>
+          <input required type="text" value={name} onChange={e => setName(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Teléfono</label>
+          <input type="tel" value={phone} onChange={e => setPhone(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+        </div>
+      </div>
+      <div className="space-y-2">
+        <label className="block text-xs text-slate-400">Disponibilidad semanal</label>
+        {WEEKDAY_ORDER.map(day => {
+          const hours = availability[day];
+          return (
+            <div key={day} className="flex items-center gap-3 bg-slate-800/50 border border-slate-700/50 rounded-lg px-3 py-2">
+              <span className="w-24 text-sm text-slate-300">{WEEKDAYS[day]}</span>
+              <label className="flex items-center gap-1.5 text-xs text-slate-400 cursor-pointer">
+                <input type="checkbox" checked={!!hours} onChange={e => updateDay(day, e.target.checked ? DEFAULT_COACH_AVAILABILITY[1] : null)} className="accent-blue-500" />
+                Da clases
+              </label>
+              {hours ? (
+                <div className="flex items-center gap-2 ml-auto">
+                  <input type="time" value={hours.from} onChange={e => updateDay(day, { ...hours, from: e.target.value })} className="bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500" />
+                  <span className="text-slate-500 text-xs">a</span>
+                  <input type="time" value={hours.to} onChange={e => updateDay(day, { ...hours, to: e.target.value })} className="bg-slate-950 border border-slate-700 rounded-md py-1 px-2 text-xs text-white outline-none focus:ring-2 focus:ring-blue-500" />
+                </div>
+              ) : (
+                <span className="ml-auto text-xs text-slate-500 italic">Libre</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between">
+        <button type="button" onClick={onRemove} className="px-3 py-2 text-sm text-slate-400 hover:text-red-400 flex items-center gap-2"><Trash2 size={14} /> Quitar profesor</button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm text-white font-medium flex items-center gap-2"><Check size={16} /> Guardar</button>
+      </div>
+    </form>
+  );
+};
+
+// Types already used by a booking cannot be removed, only renamed or resized.
+const ClassTypesEditor = ({ classTypes, usedIds, onSave }) => {
+  const [types, setTypes] = useState(classTypes);
+  const updateType = (id, changes) => setTypes(prev => prev.map(t => (t.id === id ? { ...t, ...changes } : t)));
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); onSave(types.map(t => ({ ...t, name: t.name.trim() }))); }} className="space-y-2">
+      {types.map(type => (
+        <div key={type.id} className="flex items-center gap-2">
+          <input required type="text" value={type.name} onChange={e => updateType(type.id, { name: e.target.value })} className="flex-1 bg-slate-950 border border-slate-700 rounded-lg py-1.5 px-3 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+          <label className="text-xs text-slate-400 flex items-center gap-1">
+            Cupo
+            <input required type="number" min={1} max={MAX_CLASS_STUDENTS} value={type.maxStudents} onChange={e => updateType(type.id, { maxStudents: Number(e.target.value) })} className="w-14 bg-slate-950 border border-slate-700 rounded-lg py-1.5 px-2 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+          </label>
+          <button type="button" disabled={usedIds.has(type.id)} onClick={() => setTypes(prev => prev.filter(t => t.id !== type.id))} title={usedIds.has(type.id) ? 'En uso por alguna reserva' : 'Quitar tipo de clase'} className="p-1.5 text-slate-500 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-500"><X size={14} /></button>
+        </div>
+      ))}
+      <div className="flex justify-between pt-2">
+        <button type="button" onClick={() => setTypes(prev => [...prev, createClassType({ name: 'Nueva clase', maxStudents: 4 })])} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1"><Plus size={12} /> Agregar tipo</button>
+        <button type="submit" className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-xs text-white font-medium flex items-center gap-1"><Check size={14} /> Guardar tipos</button>
+      </div>
+    </form>
+  );
+};
+
+const CoachesView = ({ coaches, classTypes, reservations, courts, onCreate, onUpdate, onRemove, onSaveClassTypes }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [now] = useState(() => Date.now());
+
+  const courtLabels = new Map(courts.map(c => [c.id, c.label]));
+  const selected = coaches.find(c => c.id === selectedId);
+  const usedClassTypes = new Set(reservations.map(r => r.classTypeId).filter(id => id != null));
+  const upcoming = selected
+    ? reservations
+      .filter(r => r.coachId === selected.id && !isCancelled(r) && new Date(r.end).getTime() > now)
+      .sort((a, b) => new Date(a.start) - new Date(b.start))
+    : [];
+
+  const handleCreate = () => {
+    const coach = onCreate({ name: 'Nuevo profesor' });
+    setSelectedId(coach.id);
+  };
+
+  return (
+    <div className="flex h-full bg-slate-950 overflow-hidden">
+      <div className="w-72 shrink-0 border-r border-slate-800 flex flex-col">
+        <div className="p-4 border-b border-slate-800 flex items-center justify-between">
+          <h2 className="text-lg font-bold text-white flex items-center gap-2"><GraduationCap className="text-teal-400" size={20} /> Profesores</h2>
+          <button onClick={handleCreate} title="Nuevo profesor" className="p-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white"><UserPlus size={18} /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar">
+          {coaches.length === 0 && <p className="text-sm text-slate-500 italic text-center py-6">Sin profesores.</p>}
+          {coaches.map(c => (
+            <button
+              key={c.id}
+              onClick={() => setSelectedId(c.id)}
+              className={`w-full text-left px-4 py-3 border-b border-slate-800/60 transition-colors ${c.id === selectedId ? 'bg-blue-600/20' : 'hover:bg-slate-900'}`}
+            >
+              <div className="text-sm font-medium text-white truncate">{c.name}</div>
+              {c.phone && <div className="text-[10px] text-slate-500 truncate">{c.phone}</div>}
+            </button>
+          ))}
+        </div>
+        <div className="p-4 border-t border-slate-800">
+          <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">Tipos de clase</h3>
+          <ClassTypesEditor key={classTypes.map(t => `${t.id}:${t.name}:${t.maxStudents}`).join()} classTypes={classTypes} usedIds={usedClassTypes} onSave={onSaveClassTypes} />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 md:p-10">
+        {!selected ? (
+          <div className="h-full flex flex-col items-center justify-center text-slate-500">
+            <GraduationCap className="mb-3 opacity-50" size={48} />
+            <p>Selecciona un profesor para ver su disponibilidad y sus clases.</p>
+          </div>
+        ) : (
+          <div className="max-w-3xl mx-auto space-y-8">
+            <div className="bg-slate-900 border border-slate-800 p-6 rounded-2xl">
+              <CoachForm key={selected.id} coach={selected} onSave={(fields) => onUpdate(selected.id, fields)} onRemove={() => onRemove(selected)} />
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2"><CalendarDays size={14} /> Próximas clases</h3>
+              {upcoming.length === 0 ? (
+                <p className="text-sm text-slate-500 italic">Sin clases próximas.</p>
+              ) : (
+                <div className="space-y-2">
+                  {upcoming.map(res => (
+                    <div key={res.id} className="bg-slate-800 border border-slate-700 p-3 rounded-lg flex justify-between items-center">
+                      <div>
+                        <div className="text-sm text-white font-medium">{formatDate(res.start)} · {formatTime(res.start)} - {formatTime(res.end)}</div>
+                        <div className="text-xs text-slate-400">
+                          Cancha {courtLabels.get(res.courtId) ?? '?'} · {getClassType(res, classTypes)?.name ?? 'Clase'} · {res.players.map(p => p.name).join(', ')}
+                        </div>
+                      </div>
+                      <span className="text-xs text-slate-400">{res.players.length}/{getClassType(res, classTypes)?.maxStudents ?? '?'}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- EVENTS VIEW ---
+const EventForm = ({ courts, onSubmit, onCancel }) => {
+  const [name, setName] = useState('');
+  const [format, setFormat] = useState('americano');
+  const [entrantsText, setEntrantsText] = useState('');
+  const [courtIds, setCourtIds] = useState(() => courts.map(c => c.id));
+  const [date, setDate] = useState(() => getLocalYYYYMMDD(new Date()));
+  const [from, setFrom] = useState('09:00');
+  const [until, setUntil] = useState('13:00');
+  const [matchMinutes, setMatchMinutes] = useState(30);
+
+  const entrantNames = entrantsText.split('\n').map(n => n.trim()).filter(Boolean);
+  const toggleCourt = (id) => setCourtIds(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSubmit({ name, format, entrantNames, courtIds: courts.map(c => c.id).filter(id => courtIds.includes(id)), date, from, until, matchMinutes }); }}
+      className="bg-slate-900 border border-slate-800 p-6 rounded-2xl grid grid-cols-2 gap-4"
+    >
+      <div className="col-span-2">
+        <label className="block text-xs text-slate-400 mb-1">Nombre</label>
+        <input required type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Americano del sábado" className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Formato</label>
+        <select value={format} onChange={e => setFormat(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+          {Object.entries(EVENT_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Duración de cada partido</label>
+        <select value={matchMinutes} onChange={e => setMatchMinutes(Number(e.target.value))} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none">
+          {MATCH_DURATION_OPTIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+        </select>
+      </div>
+      <div className="col-span-2">
+        <label className="block text-xs text-slate-400 mb-1">{EVENT_FORMATS[format].entrants} ({entrantNames.length}), uno por línea</label>
+        <textarea required rows={6} value={entrantsText} onChange={e => setEntrantsText(e.target.value)} placeholder={format === 'americano' ? 'Ana\nBruno\nCarla\nDiego' : 'Ana / Bruno\nCarla / Diego'} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-sm text-white focus:ring-2 focus:ring-blue-500 outline-none font-mono" />
+      </div>
+      <div className="col-span-2">
+        <label className="block text-xs text-slate-400 mb-1">Canchas</label>
+        <div className="flex flex-wrap gap-2">
+          {courts.map(court => (
+            <label key={court.id} className={`text-xs px-2 py-1 rounded-md border cursor-pointer ${courtIds.includes(court.id) ? 'bg-blue-600/20 border-blue-500/50 text-blue-200' : 'border-slate-700 text-slate-400'}`}>
+              <input type="checkbox" checked={courtIds.includes(court.id)} onChange={() => toggleCourt(court.id)} className="hidden" />
+              Cancha {court.label}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-400 mb-1">Fecha</label>
+        <input required type="date" value={date} onChange={e => setDate(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-3 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+      </div>
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label className="block text-xs text-slate-400 mb-1">Desde</label>
+          <input required type="time" value={from} onChange={e => setFrom(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-2 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+        </div>
+        <div className="flex-1">
+          <label className="block text-xs text-slate-400 mb-1">Hasta</label>
+          <input required type="time" value={until} onChange={e => setUntil(e.target.value)} className="w-full bg-slate-950 border border-slate-700 rounded-lg py-2 px-2 text-white focus:ring-2 focus:ring-blue-500 outline-none" />
+        </div>
+      </div>
+      <div className="col-span-2 flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-slate-300 hover:text-white">Cancelar</button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm text-white font-medium flex items-center gap-2"><Check size={16} /> Generar y reservar canchas</button>
+      </div>
+    </form>
+  );
+};
+
+const MatchCard = ({ match, names, courtLabel, onSave }) => {
+  const [home, setHome] = useState(() => (match.score ? String(match.score[0]) : ''));
+  const [away, setAway] = useState(() => (match.score ? String(match.score[1]) : ''));
+  const isReady = match.sides.every(Boolean);
+  const describeSide = (side) => (side ? side.map(id => names.get(id)).join(' / ') : 'A definir');
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSave([Number(home), Number(away)]); }}
+      className={`bg-slate-800 border rounded-lg p-3 flex items-center gap-3 ${match.score ? 'border-emerald-700/50' : 'border-slate-700'}`}
+    >
+      <div className="text-center bg-slate-900 px-2 py-1 rounded shrink-0">
+        <div className="text-xs font-bold text-white">{formatTime(match.start)}</div>
+        <div className="text-[10px] text-slate-400">Cancha {courtLabel}</div>
+      </div>
+      <div className="flex-1 min-w-0 space-y-1 text-sm">
+        <div className="text-white truncate">{describeSide(match.sides[0])}</div>
+        <div className="text-white truncate">{describeSide(match.sides[1])}</div>
+      </div>
+      {isReady && (
+        <>
+          <div className="flex flex-col gap-1">
+            <input required type="number" min={0} value={home} onChange={e => setHome(e.target.value)} className="w-14 bg-slate-950 border border-slate-700 rounded-md py-0.5 px-2 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500" />
+            <input required type="number" min={0} value={away} onChange={e => setAway(e.target.value)} className="w-14 bg-slate-950 border border-slate-700 rounded-md py-0.5 px-2 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500" />
+          </div>
+          <button type="submit" className="p-1.5 bg-emerald-600 hover:bg-emerald-500 rounded-md text-white" title="Guardar resultado"><Check size={14} /></button>
+        </>
+      )}
+    </form>
+  );
+};
+
+// `onDelete` is left out for users who can't delete events.
+const EventsView = ({ events, courts, onCreate, onDelete, onScore }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const courtLabels = new Map(courts.map(c => [c.id, c.label]));
+  const listed = [...events].sort((a, b) => new Date(b.start) - new Date(a.start));
+  const selected = events.find(e => e.id === selectedId);
+
+  const handleCreate = (fields) => {
+    const event = onCreate(fields);
+    if (!event) return;
+    setSelectedId(event.id);
+    setIsCreating(false);
+  };
+
+  const renderDetail = (event) => {
+    const names = new Map(event.entrants.map(e => [e.id, e.name]));
+    const matches = getMatches(event);
+    const rounds = [...new Set(matches.map(m => m.round))];
+    const champion = getChampion(event);
+    const played = matches.filter(m => m.score).length;
+
+    return (
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div className="bg-slate-900 border border-slate-800 p-6 rounded-2xl flex justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-white">{event.name}</h2>
+            <p className="text-sm text-slate-400 mt-1">
+              {EVENT_FORMATS[event.format].label} · {formatDate(event.date)} · {formatTime(event.start)} - {formatTime(event.end)}
+            </p>
+            <p className="text-xs text-slate-500 mt-1">
+              {[...new Set(event.matches.map(m => m.courtId))].map(id => `Cancha ${courtLabels.get(id) ?? '?'}`).join(', ')} · {played}/{matches.length} partidos jugados
+            </p>
+          </div>
+          {onDelete && <button onClick={() => onDelete(event)} title="Eliminar evento y liberar canchas" className="p-2 text-slate-500 hover:text-red-400"><Trash2 size={18} /></button>}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-slate-300 mb-3 flex items-center gap-2"><BarChart3 size={14} /> Posiciones</h3>
+          {champion && (
+            <div className="mb-3 bg-amber-500/10 border border-amber-500/40 text-amber-200 rounded-lg px-4 py-2 text-sm flex items-center gap-2">
+              <Trophy size={16} /> Campeón: <span className="font-bold">{champion.name}</span>
+            </div>
+          )}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-[10px] uppercase tracking-wider text-slate-500 text-left">
+                <th className="py-2">#</th><th>{EVENT_FORMATS[event.format].entrants}</th><th className="text-right">PJ</th><th className="text-right">G</th><th className="text-right">P</th>
+                <th className="text-right">{event.format === 'americano' ? 'Puntos' : 'Games'}</th><th className="text-right">Dif.</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getStandings(event).map((row, i) => (
+                <tr key={row.entrant.id} className="border-t border-slate-800 text-slate-300">
+                  <td className="py-2 text-slate-500">{i + 1}</td>
+                  <td className="text-white">{row.entrant.name}</td>
+                  <td className="text-right">{row.played}</td>
+                  <td className="text-right">{row.won}</td>
+                  <td className="text-right">{row.lost}</td>
+                  <td className="text-right font-bold text-white">{row.scored}</td>
+                  <td className="text-right">{row.diff > 0 ? `+${row.diff}` : row.diff}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {rounds.map(round => (
+          <div key={round}>
+            <h3 className="text-sm font-semibold text-slate-300 mb-3">Ronda {round}</h3>
+            <div className="space-y-2">
+              {matches.filter(m => m.round === round).map(match => (
+                <MatchCard
+                  key={`${match.id}-${match.score?.join('-')}`}
+                  match={match}
+                  names={names}
+                  courtLabel={courtLabels.get(match.courtId) ?? '?'}
+                  onSave={(score) => onScore(event, match.id, score)}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex h-full bg-slate-950 overflow-hidden">
+      <div className="w-72 shrink-0 border-r border-slate-800 flex flex-col">
+        <div className="p-4 border-b border-slate-800 flex items-center justify-between">
+          <h2 className="text-lg font-bold text-white flex items-center gap-2"><Trophy className="text-amber-500" size={20} /> Eventos</h2>
+          <button onClick={() => setIsCreating(true)} title="Nuevo evento" className="p-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white"><Plus size={18} /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto custom-scrollbar">
+          {listed.length === 0 && <p className="text-sm text-slate-500 italic text-center py-6">Sin eventos.</p>}
+          {listed.map(event => (
+            <button
+              key={event.id}
+              onClick={() => { setSelectedId(event.id); setIsCreating(false); }}
+              className={`w-full text-left px-4 py-3 border-b border-slate-800/60 transition-colors ${event.id === selectedId && !isCreating ? 'bg-blue-600/20' : 'hover:bg-slate-900'}`}
+            >
+              <div className="text-sm font-medium text-white truncate">{event.name}</div>
+              <div className="text-[10px] text-slate-500 truncate">{EVENT_FORMATS[event.format].label} · {formatDate(event.date)}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 md:p-10">
+        {isCreating ? (
+          <div className="max-w-3xl mx-auto">
+            <EventForm courts={courts} onSubmit={handleCreate} onCancel={() => setIsCreating(false)} />
+          </div>
+        ) : !selected ? (
+          <div className="h-full flex flex-col items-center justify-center text-slate-500">
+            <Trophy className="mb-3 opacity-50" size={48} />
+            <p>Crea un torneo o americano, o selecciona uno para cargar resultados.</p>
+          </div>
+        ) : renderDetail(selected)}
+      </div>
+    </div>
+  );
+};
+
+// --- REPORTS VIEW ---
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatHours = (minutes) => `${(minutes / 60).toFixed(1)} h`;
+
+const OccupancyBar = ({ value }) => (
+  <div className="h-2 w-full bg-slate-800 rounded-full overflow-hidden">
+    <div className="h-full bg-gradient-to-r from-blue-500 to-emerald-400 rounded-full" style={{ width: `${Math.min(100, value * 100)}%` }} />
+  </div>
+);
+
+const CsvButton = ({ onClick }) => (
+  <button onClick={onClick} className="text-xs bg-slate-800 hover:bg-slate-700 border border-slate-700 px-2 py-1 rounded-md flex items-center gap-1 text-slate-300">
+    <FileDown size={12} /> CSV
+  </button>
+);
+
+const ReportsView = ({ courts, reservations, schedule }) => {
+  const [range, setRange] = useState(() => {
+    const to = new Date();
+    const from = new Date();
+    from.setDate(to.getDate() - 29);
+    return { from: getLocalYYYYMMDD(from), to: getLocalYYYYMMDD(to) };
+  });
+
+  const setPreset = (days) => {
+    const to = new Date();
+    const from = new Date();
+    from.setDate(to.getDate() - (days - 1));
+    setRange({ from: getLocalYYYYMMDD(from), to: getLocalYYYYMMDD(to) });
+  };
+
+  const isValidRange = range.from && range.to && range.from <= range.to;
+  const occupancy = useMemo(
+    () => (isValidRange ? buildOccupancyReport({ courts, reservations, schedule, ...range }) : null),
+    [isValidRange, courts, reservations, schedule, range]
+  );
+  const collections = useMemo(
+    () => (isValidRange ? buildCollectionsReport({ reservations, ...range }) : null),
+    [isValidRange, reservations, range]
+  );
+  const cancellations = useMemo(
+    () => (isValidRange ? buildCancellationReport({ reservations, ...range }) : null),
+    [isValidRange, reservations, range]
+  );
+  const courtLabels = new Map(courts.map(c => [c.id, c.label]));
+
+  const exportCsv = (name, rows, columns) => {
+    downloadTextFile(`${name}-${range.from}_${range.to}.csv`, toCSV(rows, columns), 'text/csv');
+  };
+
+  const openHours = occupancy
+    ? Array.from({ length: 24 }, (_, h) => h).filter(h => occupancy.heatmap.some(row => row[h].openMinutes > 0))
+    : [];
+
+  const inputClass = 'bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="flex flex-col h-full bg-slate-950 p-6 md:p-12 overflow-y-auto">
+      <div className="max-w-5xl mx-auto w-full space-y-8">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
+              <BarChart3 className="text-blue-500" size={32} /> Reportes
+            </h2>
+            <p className="text-slate-400">Ocupación de canchas, cobros y cancelaciones del período.</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className={inputClass} />
+            <span className="text-slate-500 text-sm">a</span>
+            <input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className={inputClass} />
+            {[7, 30, 90].map(days => (
+              <button key={days} onClick={() => setPreset(days)} className="text-xs bg-slate-800 hover:bg-slate-700 border border-slate-700 px-2 py-2 rounded-lg">{days} días</button>
+            ))}
+          </div>
+        </div>
+
+        {!isValidRange ? (
+          <div className="bg-slate-900/50 border border-slate-800 border-dashed rounded-xl p-12 text-center text-slate-500">
+            <AlertCircle className="mx-auto mb-3 opacity-50" size={48} />
+            <p className="text-lg">Elige un rango de fechas válido.</p>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { label: 'Ocupación', value: formatPercent(occupancy.totals.occupancy) },
+                { label: 'Horas reservadas', value: formatHours(occupancy.totals.bookedMinutes) },
+                { label: 'Reservas', value: occupancy.totals.bookings },
+                { label: 'Total cobrado', value: formatMoney(collections.total) },
+              ].map(card => (
+                <div key={card.label} className="bg-slate-900 border border-slate-800 rounded-xl p-4">
+                  <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">{card.label}</div>
+                  <div className="text-2xl font-black text-white">{card.value}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="bg-slate-900 border border-slate-800 rounded-2xl p-5">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-semibold text-slate-300">Por cancha</h3>
+                  <CsvButton onClick={() => exportCsv('ocupacion-canchas', occupancy.courts, [
+                    { header: 'Cancha', value: r => r.label },
+                    { header: 'Horas abiertas', value: r => (r.openMinutes / 60).toFixed(1) },
+                    { header: 'Horas reservadas', value: r => (r.bookedMinutes / 60).toFixed(1) },
+                    { header: 'Reservas', value: r => r.bookings },
+                    { header: 'Ocupación %', value: r => Math.round(r.occupancy * 100) },
+                  ])} />
+                </div>
+                <div className="space-y-3">
+                  {occupancy.courts.length === 0 && <p className="text-sm text-slate-500 italic">No hay canchas en el diseño.</p>}
+                  {occupancy.courts.map(row => (
+                    <div key={row.courtId}>
+                      <div className="flex justify-between text-xs mb-1">
+                        <span className="text-white font-medium">Cancha {row.label}</span>
+                        <span className="text-slate-400">{formatHours(row.bookedMinutes)} · {formatPercent(row.occupancy)}</span>
+                      </div>
+                      <OccupancyBar value={row.occupancy} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="bg-slate-900 border border-slate-800 rounded-2xl p-5">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-semibold text-slate-300">Por día de la semana</h3>
+                  <CsvButton onClick={() => exportCsv('ocupacion-dias', WEEKDAY_ORDER.map(d => occupancy.weekdays[d]), [
+                    { header: 'Día', value: r => WEEKDAYS[r.day] },
+                    { header: 'Horas abiertas', value: r => (r.openMinutes / 60).toFixed(1) },
+                    { header: 'Horas reservadas', value: r => (r.bookedMinutes / 60).toFixed(1) },
+                    { header: 'Ocupación %', value: r => Math.round(r.occupancy * 100) },
+                  ])} />
+                </div>
+                <div className="space-y-3">
+                  {WEEKDAY_ORDER.map(day => {
+                    const row = occupancy.weekdays[day];
+                    return (
+                      <div key={day}>
+                        <div className="flex justify-between text-xs mb-1">
+                          <span className="text-white font-medium">{WEEKDAYS[day]}</span>
+                          <span className="text-slate-400">{formatPercent(row.occupancy)}</span>
+                        </div>
+                        <OccupancyBar value={row.occupancy} />
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-slate-900 border border-slate-800 rounded-2xl p-5">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-sm font-semibold text-slate-300">Mapa de calor por hora</h3>
+                <CsvButton onClick={() => exportCsv('ocupacion-horas', WEEKDAY_ORDER, [
+                  { header: 'Día', value: d => WEEKDAYS[d] },
+                  ...openHours.map(h => ({ header: `${String(h).padStart(2, '0')}:00`, value: d => Math.round(occupancy.heatmap[d][h].occupancy * 100) })),
+                ])} />
+              </div>
+              {openHours.length === 0 ? (
+                <p className="text-sm text-slate-500 italic">Sin horarios de apertura en el período.</p>
+              ) : (
+                <div className="overflow-x-auto custom-scrollbar">
+                  <table className="text-[10px] border-separate border-spacing-0.5">
+                    <thead>
+                      <tr>
+                        <th />
+                        {openHours.map(h => <th key={h} className="text-slate-500 font-mono font-normal px-1">{String(h).padStart(2, '0')}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {WEEKDAY_ORDER.map(day => (
+                        <tr key={day}>
+                          <td className="text-slate-400 pr-2 whitespace-nowrap">{WEEKDAYS[day].slice(0, 3)}</td>
+                          {openHours.map(h => {
+                            const cell = occupancy.heatmap[day][h];
+                            return (
+                              <td
+                                key={h}
+                                title={`${WEEKDAYS[day]} ${String(h).padStart(2, '0')}:00 · ${formatPercent(cell.occupancy)}`}
+                                className="w-8 h-7 rounded text-center text-white/80"
+                                style={{ backgroundColor: cell.openMinutes > 0 ? `rgba(16, 185, 129, ${0.08 + cell.occupancy * 0.85})` : 'rgba(30, 41, 59, 0.4)' }}
+                              >
+                                {cell.openMinutes > 0 ? Math.round(cell.occupancy * 100) : ''}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="bg-slate-900 border border-slate-800 rounded-2xl p-5">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-sm font-semibold text-slate-300">Cobros</h3>
+                <CsvButton onClick={() => exportCsv('cobros', collections.days, [
+                  { header: 'Fecha', value: r => r.date },
+                  { header: 'Señas', value: r => r.deposits },
+                  { header: 'Pagos', value: r => r.payments },
+                  { header: 'Devoluciones', value: r => r.refunds },
+                  { header: 'Total', value: r => r.total },
+                ])} />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4 text-sm">
+                <div><div className="text-slate-500 text-xs">Señas</div><div className="text-white font-bold">{formatMoney(collections.deposits)}</div></div>
+                <div><div className="text-slate-500 text-xs">Pagos posteriores</div><div className="text-white font-bold">{formatMoney(collections.payments)}</div></div>
+                <div><div className="text-slate-500 text-xs">Devoluciones</div><div className="text-red-300 font-bold">{formatMoney(collections.refunds)}</div></div>
+                <div><div className="text-slate-500 text-xs">Total cobrado</div><div className="text-emerald-400 font-bold">{formatMoney(collections.total)}</div></div>
+                <div><div className="text-slate-500 text-xs">Facturado</div><div className="text-white font-bold">{formatMoney(collections.billed)}</div></div>
+              </div>
+              <div className="max-h-64 overflow-y-auto custom-scrollbar">
+                <table className="w-full text-xs">
+                  <thead className="text-slate-500 text-left">
+                    <tr><th className="py-1">Fecha</th><th className="text-right">Señas</th><th className="text-right">Pagos</th><th className="text-right">Devoluciones</th><th className="text-right">Total</th></tr>
+                  </thead>
+                  <tbody>
+                    {collections.days.filter(d => d.deposits + d.payments + d.refunds > 0).map(d => (
+                      <tr key={d.date} className="border-t border-slate-800 text-slate-300">
+                        <td className="py-1.5">{formatDate(d.date)}</td>
+                        <td className="text-right">{formatMoney(d.deposits)}</td>
+                        <td className="text-right">{formatMoney(d.payments)}</td>
+                        <td className="text-right text-red-300">{d.refunds > 0 ? `-${formatMoney(d.refunds)}` : formatMoney(0)}</td>
+                        <td className="text-right text-white font-medium">{formatMoney(d.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="bg-slate-900 border border-slate-800 rounded-2xl p-5">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-sm font-semibold text-slate-300">Cancelaciones y ausencias</h3>
+                <CsvButton onClick={() => exportCsv('cancelaciones', cancellations.rows, [
+                  { header: 'Fecha', value: r => getLocalYYYYMMDD(r.start) },
+                  { header: 'Hora', value: r => getLocalHHMM(r.start) },
+                  { header: 'Cancha', value: r => courtLabels.get(r.courtId) ?? '?' },
+                  { header: 'Cliente', value: r => r.clientName },
+                  { header: 'Estado', value: r => RESERVATION_STATUS[r.status].label },
+                  { header: 'Tardía', value: r => (r.cancellation?.isLate ? 'Sí' : '') },
+                  { header: 'Seña retenida', value: r => r.cancellation?.forfeited || 0 },
+                ])} />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+                <div><div className="text-slate-500 text-xs">Cancelaciones</div><div className="text-white font-bold">{cancellations.cancelled}</div></div>
+                <div><div className="text-slate-500 text-xs">Tardías</div><div className="text-amber-300 font-bold">{cancellations.late}</div></div>
+                <div><div className="text-slate-500 text-xs">No-shows</div><div className="text-red-300 font-bold">{cancellations.noShows}</div></div>
+                <div><div className="text-slate-500 text-xs">Señas retenidas</div><div className="text-white font-bold">{formatMoney(cancellations.forfeited)}</div></div>
+              </div>
+              {cancellations.rows.length === 0 ? (
+                <p className="text-sm text-slate-500 italic">Sin cancelaciones ni ausencias en el período.</p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto custom-scrollbar space-y-1">
+                  {cancellations.rows.map(r => (
+                    <div key={r.id} className="flex items-center justify-between gap-2 text-xs border-t border-slate-800 py-1.5">
+                      <span className="text-slate-300">{formatDate(r.start)} {formatTime(r.start)} · Cancha {courtLabels.get(r.courtId) ?? '?'} · {r.clientName}</span>
+                      <span className={`px-1.5 py-0.5 rounded border text-[10px] ${RESERVATION_STATUS[r.status].className}`}>
+                        {RESERVATION_STATUS[r.status].label}{r.cancellation?.isLate ? ' (tardía)' : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- WAITLIST ---
+const WaitlistForm = ({ customers, courts, onSubmit }) => {
+  const [client, setClient] = useState({ name: '', customerId: null });
+  const [phone, setPhone] = useState('');
+  const [courtId, setCourtId] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!client.name.trim()) return;
+    onSubmit({ ...client, phone, courtId: courtId === '' ? null : Number(courtId) });
+    setClient({ name: '', customerId: null });
+    setPhone('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-6 max-w-md mx-auto text-left space-y-3">
+      <p className="text-sm text-slate-300 font-medium flex items-center gap-2"><Hourglass size={14} className="text-amber-400" /> Anotar en lista de espera</p>
+      <CustomerPicker customers={customers} name={client.name} customerId={client.customerId} onChange={setClient} />
+      <div className="grid grid-cols-2 gap-2">
+        {!client.customerId && (
+          <input type="tel" value={phone} onChange={e => setPhone(e.target.value)} placeholder="Teléfono" className="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500" />
+        )}
+        <select value={courtId} onChange={e => setCourtId(e.target.value)} className={`bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500 ${client.customerId ? 'col-span-2' : ''}`}>
+          <option value="">Cualquier cancha</option>
+          {courts.map(c => <option key={c.id} value={c.id}>Cancha {c.label}</option>)}
+        </select>
+      </div>
+      <button type="submit" className="w-full bg-amber-600 hover:bg-amber-500 text-white font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-2">
+        <Plus size={16} /> Agregar a la lista
+      </button>
+    </form>
+  );
+};
+
+const WaitlistPanel = ({ waitlist, courts, onClose, onBook, onRemove }) => {
+  const courtLabel = (id) => courts.find(c => c.id === id)?.label ?? '?';
+  const freed = waitlist.filter(e => e.freed);
+  const waiting = waitlist.filter(e => !e.freed).sort((a, b) => getEntryRange(a).start - getEntryRange(b).start);
+
+  const describe = (entry) => `${formatDate(`${entry.date}T${entry.time}`)} · ${entry.time} · ${entry.duration} min`;
+
+  return (
+    <motion.div
+      initial={{ x: 40, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      className="fixed top-20 right-4 z-[90] w-80 max-h-[75vh] bg-slate-900 border border-slate-700 rounded-2xl shadow-2xl flex flex-col overflow-hidden"
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between p-4 border-b border-slate-800">
+        <h3 className="font-bold text-white flex items-center gap-2"><Hourglass size={16} className="text-amber-400" /> Lista de espera</h3>
+        <button onClick={onClose} className="p-1 hover:bg-slate-800 rounded-full text-slate-400 hover:text-white"><X size={16} /></button>
+      </div>
+      <div className="overflow-y-auto custom-scrollbar p-4 space-y-4">
+        {freed.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-[10px] uppercase tracking-wider text-emerald-400 font-bold">Horarios liberados</div>
+            {freed.map(entry => (
+              <div key={entry.id} className="bg-emerald-900/20 border border-emerald-700/50 rounded-lg p-3">
+                <div className="text-sm text-white font-medium">{entry.clientName}</div>
+                <div className="text-xs text-slate-400">{describe(entry)}</div>
+                <div className="text-xs text-emerald-300 mb-2">Se liberó la cancha {courtLabel(entry.freed.courtId)}{entry.phone && ` · ${entry.phone}`}</div>
+                <div className="flex gap-2">
+                  <button onClick={() => onBook(entry)} className="flex-1 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-bold py-1.5 rounded-md flex items-center justify-center gap-1"><CheckCircle2 size={12} /> Reservar</button>
+                  <button onClick={() => onRemove(entry.id)} className="px-2 text-xs text-slate-400 hover:text-white bg-slate-800 rounded-md">Descartar</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="space-y-2">
+          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">En espera</div>
+          {waiting.length === 0 && <p className="text-xs text-slate-500 italic">Nadie en espera.</p>}
+          {waiting.map(entry => (
+            <div key={entry.id} className="bg-slate-800/60 border border-slate-700 rounded-lg p-3 flex items-start justify-between gap-2">
+              <div>
+                <div className="text-sm text-white">{entry.clientName}</div>
+                <div className="text-xs text-slate-400">{describe(entry)}</div>
+                <div className="text-[10px] text-slate-500">{entry.courtId == null ? 'Cualquier cancha' : `Cancha ${courtLabel(entry.courtId)}`}</div>
+              </div>
+              <button onClick={() => onRemove(entry.id)} title="Quitar" className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={14} /></button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- AVAILABILITY FINDER VIEW ---
+// One row per suggestion with a button per free court; each opens the booking
+// form prefilled with the suggested date, time and duration.
+const AlternativeGroup = ({ title, suggestions, describe, onReserve }) => suggestions.length > 0 && (
+  <div>
+    <h4 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{title}</h4>
+    <div className="space-y-1.5">
+      {suggestions.map(s => (
+        <div key={`${s.date}-${s.time}-${s.duration}`} className="flex flex-wrap items-center gap-2 bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2">
+          <span className="text-sm font-bold text-white w-28">{describe(s)}</span>
+          <span className="text-[10px] text-slate-500 flex-1">{s.courts.length} {s.courts.length === 1 ? 'cancha libre' : 'canchas libres'}</span>
+          {s.courts.map(court => (
+            <button
+              key={court.id}
+              onClick={() => onReserve(court, { date: s.date, time: s.time, duration: s.duration })}
+              className="text-xs bg-emerald-600/20 hover:bg-emerald-600 text-emerald-300 hover:text-white border border-emerald-600/40 px-2 py-1 rounded-md transition-colors"
+            >
+              {court.label}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// `otherVenues` carry their own `occurrences`; reserving at one of them passes its id
+// as the third argument of onReserve.
+const AvailabilityView = ({ venueName, otherVenues, elements, reservations, maintenance, schedule, pricing, customers, coaches, coachReservations, waitlist, onReserve, onAddToWaitlist }) => {
+  const [searchDate, setSearchDate] = useState(() => getLocalYYYYMMDD(new Date()));
+  const [duration, setDuration] = useState(90);
+  const [searchTime, setSearchTime] = useState(() => {
+    const now = new Date();
+    // Default to next full hour
+    now.setHours(now.getHours() + 1, 0, 0, 0);
+    return getDefaultSlot(schedule, searchDate, duration, now);
+  });
+  const [filters, setFilters] = useState(DEFAULT_COURT_FILTERS);
+  const [coachId, setCoachId] = useState('any');
+  const [venueScope, setVenueScope] = useState('current'); // 'current' | 'all'
+
+  const courts = elements.filter(el => el.type === 'court');
+  const matchingCourts = courts.filter(court => matchesCourtFilters(court, filters));
+  const isFiltered = Object.keys(DEFAULT_COURT_FILTERS).some(key => filters[key] !== DEFAULT_COURT_FILTERS[key]);
+  const updateFilters = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+  const searchesAll = venueScope === 'all' && otherVenues.length > 0;
+  const getVenueCourts = (venue) => venue.elements.filter(el => el.type === 'court');
+
+  const ownSlots = getSearchSlots(courts, schedule, searchDate, duration);
+  const slotOptions = searchesAll
+    ? [...new Set([...ownSlots, ...otherVenues.flatMap(v => getSearchSlots(getVenueCourts(v), v.schedule, searchDate, duration))])].sort()
+    : ownSlots;
+  const selectedTime = slotOptions.includes(searchTime) ? searchTime : '';
+
+  // Searching by coach only offers slots where the coach is free as well.
+  const coach = coaches.find(c => String(c.id) === coachId);
+  const club = { reservations, maintenance, schedule, coach, coachReservations };
+  const query = { date: searchDate, time: selectedTime, duration };
+  const reserve = (court, values, venueId) => onReserve(court, { ...values, ...(coach && { coachId: coach.id }) }, venueId);
+  const availableCourts = searchDate && selectedTime ? findFreeCourts(matchingCourts, club, query) : [];
+  // One group per venue with a free court; the current venue (venue: null) first.
+  const results = [{ venue: null, courts: availableCourts }];
+  if (searchesAll && selectedTime) {
+    otherVenues.forEach(venue => results.push({
+      venue,
+      courts: findFreeCourts(
+        getVenueCourts(venue).filter(court => matchesCourtFilters(court, filters)),
+        { reservations: venue.occurrences, maintenance: venue.maintenance, schedule: venue.schedule, coach, coachReservations },
+        query
+      ),
+    }));
+  }
+  const freeGroups = results.filter(group => group.courts.length > 0);
+  const freeCount = freeGroups.reduce((sum, group) => sum + group.courts.length, 0);
+  // Only worked out when the exact search comes back empty; alternatives stay at the current venue.
+  const alternatives = selectedTime && freeCount === 0 ? suggestAlternatives(matchingCourts, club, query) : null;
+  const hasAlternatives = alternatives && Object.values(alternatives).some(group => group.length > 0);
+  const waitingCount = selectedTime
+    ? waitlist.filter(e => !e.freed && e.date === searchDate && e.time === selectedTime && e.duration === duration).length
+    : 0;
+
+  const getQuote = (court, venue) => {
+    const start = new Date(`${searchDate}T${selectedTime}`);
+    return calculatePrice(getEffectivePricing(venue?.pricing ?? pricing, court), start, new Date(start.getTime() + duration * 60000)).total;
+  };
+
+  const renderCourtCard = (court, venue) => (
+    <motion.div
+      key={court.id}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-slate-800 border border-slate-700 p-5 rounded-xl flex flex-col justify-between hover:border-blue-500/50 transition-colors group"
+    >
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <span className="bg-blue-900/30 text-blue-300 text-xs font-bold px-2 py-1 rounded uppercase tracking-wider">Cancha</span>
+          <div className="w-3 h-3 rounded-full bg-emerald-500 shadow-[0_0_10px_rgba(16,185,129,0.5)]"></div>
+        </div>
+        <h4 className="text-2xl font-black text-white">{court.label}</h4>
+        <p className="text-slate-400 text-xs mt-1">{describeCourt(court)}</p>
+        {coach && <p className="text-teal-300 text-xs mt-1 flex items-center gap-1"><GraduationCap size={12} /> Con {coach.name}</p>}
+        <p className="text-emerald-300 text-sm font-bold mt-2">{formatMoney(getQuote(court, venue))}</p>
+      </div>
+
+      <button
+        onClick={() => reserve(court, { date: searchDate, time: selectedTime, duration }, venue?.id)}
+        className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-2 group-hover:shadow-lg group-hover:shadow-emerald-900/20"
+      >
+        <CheckCircle2 size={18} /> Reservar Ahora
+      </button>
+    </motion.div>
+  );
+
+  return (
+    <div className="flex flex-col h-full bg-slate-950 p-6 md:p-12 overflow-y-auto">
+      <div className="max-w-4xl mx-auto w-full">
+        <div className="mb-8">
+          <h2 className="text-3xl font-bold text-white mb-2 flex items-center gap-3">
+            <SearchCheck className="text-blue-500" size={32} /> Buscador de Disponibilidad
+          </h2>
+          <p className="text-slate-400">Encuentra rápidamente canchas libres para un horario específico.</p>
+        </div>
+
+        {/* Search Controls */}
+        <div className="bg-slate-900 border border-slate-800 p-6 rounded-2xl shadow-xl mb-8 grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Fecha</label>
+            <input
+              type="date"
+              value={searchDate}
+              onChange={e => setSearchDate(e.target.value)}
+              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Hora Inicio</label>
+            <select
+              value={selectedTime}
+              onChange={e => setSearchTime(e.target.value)}
+              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+            >
+              <option value="" disabled>{slotOptions.length === 0 ? 'Club cerrado' : 'Elegir hora'}</option>
+              {slotOptions.map(slot => <option key={slot} value={slot}>{slot}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Duración</label>
+            <select
+              value={duration}
+              onChange={e => setDuration(Number(e.target.value))}
+              className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+            >
+              {DURATION_OPTIONS.map(d => <option key={d} value={d}>{d} min</option>)}
+            </select>
+          </div>
+          {otherVenues.length > 0 && (
+            <div className="md:col-span-3 flex items-center gap-3 border-t border-slate-800 pt-4">
+              <label className="text-xs font-bold text-slate-500 uppercase tracking-wider flex items-center gap-1.5"><Building2 size={14} /> Sedes</label>
+              <select value={venueScope} onChange={e => setVenueScope(e.target.value)} className="bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+                <option value="current">Solo {venueName}</option>
+                <option value="all">Todas las sedes</option>
+              </select>
+            </div>
+          )}
+          <div className="md:col-span-3 grid grid-cols-2 md:grid-cols-5 gap-4 items-end border-t border-slate-800 pt-4">
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Cubierta</label>
+              <select value={filters.covered} onChange={e => updateFilters({ covered: e.target.value })} className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+                <option value="any">Cualquiera</option>
+                <option value="covered">Techada</option>
+                <option value="outdoor">Descubierta</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Superficie</label>
+              <select value={filters.surface} onChange={e => updateFilters({ surface: e.target.value })} className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+                <option value="any">Cualquiera</option>
+                {Object.entries(COURT_SURFACES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Formato</label>
+              <select value={filters.format} onChange={e => updateFilters({ format: e.target.value })} className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+                <option value="any">Cualquiera</option>
+                {Object.entries(COURT_FORMATS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-2">Profesor</label>
+              <select value={coachId} onChange={e => setCoachId(e.target.value)} className="w-full bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+                <option value="any">Sin profesor</option>
+                {coaches.map(c => <option key={c.id} value={String(c.id)}>{c.name}</option>)}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer py-2">
+              <input type="checkbox" checked={filters.lighting} onChange={e => updateFilters({ lighting: e.target.checked })} className="accent-blue-500" />
+              Con iluminación
+            </label>
+          </div>
+        </div>
+
+        {/* Results */}
+        <div>
+          <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
+            Resultados
+            <span className="text-sm font-normal bg-slate-800 text-slate-400 px-2 py-0.5 rounded-full">{freeCount} canchas libres</span>
+          </h3>
+
+          {freeCount === 0 ? (
+            <div className="bg-slate-900/50 border border-slate-800 border-dashed rounded-xl p-12 text-center text-slate-500">
+              <AlertCircle className="mx-auto mb-3 opacity-50" size={48} />
+              <p className="text-lg">{coach ? `No hay canchas con ${coach.name} disponible para este horario` : 'No hay canchas disponibles para este horario'}{searchesAll ? ' en ninguna sede.' : '.'}</p>
+              <p className="text-sm opacity-60">Intenta cambiar la hora{isFiltered ? ', quitar filtros' : ''} o reducir la duración.</p>
+              {hasAlternatives && (
+                <div className="mt-6 space-y-4 text-left">
+                  <AlternativeGroup title="Mismo día, otro horario" suggestions={alternatives.sameDay} describe={(s) => s.time} onReserve={reserve} />
+                  <AlternativeGroup title="Mismo horario, otro día" suggestions={alternatives.nearbyDays} describe={(s) => formatDate(s.date)} onReserve={reserve} />
+                  <AlternativeGroup title="Turno más corto" suggestions={alternatives.shorter} describe={(s) => `${s.duration} min`} onReserve={reserve} />
+                </div>
+              )}
+              {selectedTime && courts.length > 0 && (
+                <>
+                  {waitingCount > 0 && <p className="text-xs text-amber-300 mt-4">{waitingCount} {waitingCount === 1 ? 'persona espera' : 'personas esperan'} este horario.</p>}
+                  <WaitlistForm
+                    customers={customers}
+                    courts={courts}
+                    onSubmit={(fields) => onAddToWaitlist({ ...fields, date: searchDate, time: selectedTime, duration })}
+                  />
+                </>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {freeGroups.map(group => (
+                <div key={group.venue?.id ?? 'current'}>
+                  {searchesAll && (
+                    <h4 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                      <Building2 size={14} /> {group.venue?.name ?? venueName}
+                    </h4>
+                  )}
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {group.courts.map(court => renderCourtCard(court, group.venue))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- TIMELINE (GANTT) DAY VIEW ---
+const TIMELINE_PX_PER_MIN = 2;
+const TIMELINE_ROW_HEIGHT = 64;
+const TIMELINE_DEFAULT_HOURS = { open: 8, close: 23 }; // shown when every court is closed
+
+const TimelineView = ({ courts, reservations, maintenance, schedule, coaches, coachReservations, classTypes, onBook, onOpenCourt, onReschedule, showToast }) => {
+  const [date, setDate] = useState(() => getLocalYYYYMMDD(new Date()));
+  const [coachFilter, setCoachFilter] = useState('all'); // 'all' or a coach id; other bookings are dimmed
+  const [preview, setPreview] = useState(null); // { id, courtId, start, end, error } while dragging
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const dayStart = new Date(`${date}T00:00:00`).getTime();
+  const windows = courts.map(c => getDayWindow(getEffectiveSchedule(schedule, c), date)).filter(Boolean);
+  const rangeStart = windows.length ? Math.min(...windows.map(w => w.start)) : dayStart + TIMELINE_DEFAULT_HOURS.open * 3600000;
+  const rangeEnd = windows.length ? Math.max(...windows.map(w => w.end)) : dayStart + TIMELINE_DEFAULT_HOURS.close * 3600000;
+  const trackWidth = ((rangeEnd - rangeStart) / 60000) * TIMELINE_PX_PER_MIN;
+  const stepMs = schedule.slotMinutes * 60000;
+
+  const toX = (time) => ((new Date(time).getTime() - rangeStart) / 60000) * TIMELINE_PX_PER_MIN;
+
+  const hourTicks = [];
+  for (let t = Math.ceil(rangeStart / 3600000) * 3600000; t <= rangeEnd; t += 3600000) hourTicks.push(t);
+
+  const dayReservations = reservations.filter(r => new Date(r.start).getTime() < rangeEnd && new Date(r.end).getTime() > rangeStart);
+
+  const shiftDate = (days) => {
+    const d = new Date(`${date}T00:00:00`);
+    d.setDate(d.getDate() + days);
+    setDate(getLocalYYYYMMDD(d));
+  };
+
+  const validateChange = (res, courtId, start, end) => {
+    const court = courts.find(c => c.id === courtId);
+    const slotError = validateSlot(getEffectiveSchedule(schedule, court), start, end);
+    if (slotError) return slotError;
+    const playerLimit = getPlayerLimit(res, court, classTypes);
+    if (res.players.length > playerLimit) return `La cancha ${court.label} admite hasta ${playerLimit} jugadores.`;
+    const candidate = { ...res, courtId, start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+    const conflict = findConflict([candidate], withMaintenance(reservations, maintenance));
+    if (conflict) {
+      return conflict.conflictWith.isMaintenance ? 'La cancha está en mantenimiento en ese horario.' : `Se superpone con la reserva de ${conflict.conflictWith.clientName}.`;
+    }
+    const coach = coaches.find(c => c.id === res.coachId);
+    return coach ? validateCoachBooking(coach, [candidate], coachReservations) : null;
+  };
+
+  const filteredCoach = coaches.find(c => String(c.id) === coachFilter);
+  const coachNames = new Map(coaches.map(c => [c.id, c.name]));
+
+  // mode: 'move' drags the block in time and across court rows, 'resize' drags its end.
+  const handleBlockPointerDown = (e, res, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const origStart = new Date(res.start).getTime();
+    const origEnd = new Date(res.end).getTime();
+    const origRow = courts.findIndex(c => c.id === res.courtId);
+    let latest = null;
+
+    const onPointerMove = (ev) => {
+      const deltaMs = Math.round((((ev.clientX - startX) / TIMELINE_PX_PER_MIN) * 60000) / stepMs) * stepMs;
+      let start = origStart;
+      let end = origEnd;
+      let courtId = res.courtId;
+
+      if (mode === 'move') {
+        start += deltaMs;
+        end += deltaMs;
+        const row = Math.min(courts.length - 1, Math.max(0, origRow + Math.round((ev.clientY - startY) / TIMELINE_ROW_HEIGHT)));
+        courtId = courts[row].id;
+      } else {
+        end = Math.max(origStart + stepMs, origEnd + deltaMs);
+      }
+
+      latest = { id: res.id, courtId, start, end, error: validateChange(res, courtId, start, end) };
+      setPreview(latest);
+    };
+
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      setPreview(null);
+
+      const unchanged = !latest || (latest.start === origStart && latest.end === origEnd && latest.courtId === res.courtId);
+      if (unchanged) {
+        onOpenCourt(courts[origRow]);
+        return;
+      }
+      if (latest.error) {
+        showToast(latest.error, 'error');
+        return;
+      }
+      onReschedule(res, {
+        courtId: latest.courtId,
+        start: new Date(latest.start).toISOString(),
+        end: new Date(latest.end).toISOString(),
+      });
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  const handleTrackClick = (e, court) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const minutes = (e.clientX - rect.left) / TIMELINE_PX_PER_MIN;
+    const time = rangeStart + Math.floor((minutes * 60000) / stepMs) * stepMs;
+    onBook(court, { date: getLocalYYYYMMDD(time), time: getLocalHHMM(time), duration: 90, ...(filteredCoach && { coachId: filteredCoach.id }) });
+  };
+
+  const showNowLine = now >= rangeStart && now <= rangeEnd;
+
+  return (
+    <div className="flex flex-col h-full bg-slate-950 p-6 overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-white flex items-center gap-3">
+          <GanttChart className="text-blue-500" size={28} /> Agenda del Día
+        </h2>
+        <div className="flex items-center gap-2">
+          <button onClick={() => shiftDate(-1)} className="p-2 bg-slate-800 border border-slate-700 rounded-lg hover:bg-slate-700"><ChevronLeft size={18} /></button>
+          <input type="date" value={date} onChange={e => e.target.value && setDate(e.target.value)} className="bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500" />
+          <button onClick={() => shiftDate(1)} className="p-2 bg-slate-800 border border-slate-700 rounded-lg hover:bg-slate-700"><ChevronRight size={18} /></button>
+          <button onClick={() => setDate(getLocalYYYYMMDD(new Date()))} className="text-xs bg-blue-600 px-3 py-2 rounded-lg hover:bg-blue-500 transition-colors">Hoy</button>
+          {coaches.length > 0 && (
+            <select value={coachFilter} onChange={e => setCoachFilter(e.target.value)} title="Resaltar las clases de un profesor" className="bg-slate-800 border border-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500">
+              <option value="all">Todos los profesores</option>
+              {coaches.map(c => <option key={c.id} value={String(c.id)}>{c.name}</option>)}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {courts.length === 0 ? (
+        <div className="bg-slate-900/50 border border-slate-800 border-dashed rounded-xl p-12 text-center text-slate-500">
+          <AlertCircle className="mx-auto mb-3 opacity-50" size={48} />
+          <p className="text-lg">No hay canchas en el diseño.</p>
+        </div>
+      ) : (
+        <div className="flex-1 overflow-auto custom-scrollbar border border-slate-800 rounded-xl bg-slate-900/50">
+          <div className="relative" style={{ width: trackWidth + 112 }}>
+            {/* Time axis */}
+            <div className="flex sticky top-0 z-30 bg-slate-900 border-b border-slate-800 h-8">
+              <div className="w-28 shrink-0 sticky left-0 bg-slate-900 z-10 border-r border-slate-800" />
+              <div className="relative" style={{ width: trackWidth }}>
+                {hourTicks.map(t => (
+                  <span key={t} className="absolute top-2 text-[10px] font-mono text-slate-500 -translate-x-1/2" style={{ left: toX(t) }}>{getLocalHHMM(t)}</span>
+                ))}
+              </div>
+            </div>
+
+            {courts.map(court => {
+              const openWindow = getDayWindow(getEffectiveSchedule(schedule, court), date);
+              return (
+                <div key={court.id} className="flex border-b border-slate-800" style={{ height: TIMELINE_ROW_HEIGHT }}>
+                  <div className="w-28 shrink-0 sticky left-0 z-20 bg-slate-900 border-r border-slate-800 flex items-center gap-2 px-3">
+                    <div className="w-3 h-3 rounded-full" style={{ backgroundColor: court.color }} />
+                    <span className="text-sm font-bold text-white">Cancha {court.label}</span>
+                  </div>
+                  <div className="relative cursor-cell" style={{ width: trackWidth }} onClick={(e) => handleTrackClick(e, court)}>
+                    {/* Closed hours */}
+                    {!openWindow ? (
+                      <div className="absolute inset-0 bg-slate-800/60 flex items-center justify-center text-xs text-slate-500 pointer-events-none">Cerrado</div>
+                    ) : (
+                      <>
+                        <div className="absolute inset-y-0 left-0 bg-slate-800/60 pointer-events-none" style={{ width: Math.max(0, toX(openWindow.start)) }} />
+                        <div className="absolute inset-y-0 right-0 bg-slate-800/60 pointer-events-none" style={{ width: Math.max(0, trackWidth - toX(openWindow.end)) }} />
+                      </>
+                    )}
+                    {hourTicks.map(t => (
+                      <div key={t} className="absolute inset-y-0 w-px bg-slate-800 pointer-events-none" style={{ left: toX(t) }} />
+                    ))}
+
+                    {blocksInRange(maintenance, court.id, rangeStart, rangeEnd).map(block => (
+                      <div
+                        key={block.id}
+                        onClick={(e) => { e.stopPropagation(); onOpenCourt(court); }}
+                        className="absolute top-1 bottom-1 rounded-lg border border-amber-500/60 px-2 py-1 overflow-hidden cursor-pointer text-amber-100"
+                        style={{
+                          left: Math.max(0, toX(block.start)),
+                          width: Math.min(trackWidth, toX(block.end)) - Math.max(0, toX(block.start)),
+                          backgroundImage: `repeating-linear-gradient(45deg, ${COLORS.maintenanceOverlay} 0 8px, rgba(15,23,42,0.8) 8px 16px)`,
+                        }}
+                        title={`Mantenimiento${block.reason ? ` · ${block.reason}` : ''}`}
+                      >
+                        <div className="text-xs font-bold truncate flex items-center gap-1"><Wrench size={10} /> {block.reason || 'Mantenimiento'}</div>
+                      </div>
+                    ))}
+
+                    {/* Event blocks are scheduled from the events view and cannot be dragged. */}
+                    {dayReservations.filter(r => r.courtId === court.id && preview?.id !== r.id).map(res => (
+                      <div
+                        key={res.id}
+                        onPointerDown={res.eventId ? undefined : (e) => handleBlockPointerDown(e, res, 'move')}
+                        onClick={(e) => e.stopPropagation()}
+                        className={`absolute top-2 bottom-2 rounded-lg border px-2 py-1 overflow-hidden shadow-md ${filteredCoach && res.coachId !== filteredCoach.id ? 'opacity-30' : ''} ${res.eventId ? 'bg-orange-600/80 border-orange-400/60' : `cursor-grab active:cursor-grabbing ${res.seriesId ? 'bg-violet-600/80 border-violet-400/60' : 'bg-blue-600/80 border-blue-400/60'}`}`}
+                        style={{ left: toX(res.start), width: toX(res.end) - toX(res.start) }}
+                        title={`${res.clientName} · ${formatTime(res.start)} - ${formatTime(res.end)}`}
+                      >
+                        <div className="text-xs font-bold text-white truncate flex items-center gap-1">{res.eventId ? <Trophy size={10} /> : res.seriesId && <Repeat size={10} />}{res.clientName}</div>
+                        <div className="text-[10px] text-white/80 font-mono">{formatTime(res.start)} - {formatTime(res.end)}</div>
+                        {res.coachId != null && <div className="text-[10px] text-white/90 truncate flex items-center gap-1"><GraduationCap size={10} /> {coachNames.get(res.coachId)}</div>}
+                        {!res.eventId && (
+                          <div
+                            onPointerDown={(e) => handleBlockPointerDown(e, res, 'resize')}
+                            className="absolute top-0 right-0 bottom-0 w-2 cursor-ew-resize hover:bg-white/30"
+                          />
+                        )}
+                      </div>
+                    ))}
+
+                    {preview?.courtId === court.id && (
+                      <div
+                        className={`absolute top-2 bottom-2 rounded-lg border-2 border-dashed px-2 py-1 pointer-events-none ${preview.error ? 'bg-red-600/40 border-red-400' : 'bg-emerald-600/40 border-emerald-400'}`}
+                        style={{ left: toX(preview.start), width: toX(preview.end) - toX(preview.start) }}
+                      >
+                        <div className="text-[10px] text-white font-mono">{formatTime(preview.start)} - {formatTime(preview.end)}</div>
+                        {preview.error && <div className="text-[10px] text-red-100 truncate">{preview.error}</div>}
+                      </div>
+                    )}
+
+                    {showNowLine && (
+                      <div className="absolute inset-y-0 w-0.5 bg-red-500 pointer-events-none z-10" style={{ left: toX(now) }} />
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TimeController = ({ currentDate, onChange }) => {
+  const toInputString = (date) => {
+    const d = new Date(date);
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+    return d.toISOString().slice(0, 16);
+  };
+  return (
+    <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 bg-slate-900/90 backdrop-blur-md border border-slate-700 text-white px-6 py-3 rounded-2xl shadow-2xl flex items-center gap-4 z-50">
+      <div className="flex flex-col items-start">
+        <span className="text-[10px] text-slate-400 uppercase tracking-widest font-bold">Vista Actual</span>
+        <div className="flex items-center gap-2 text-blue-400"><Clock size={16} /><span className="font-mono font-bold text-lg">{formatTime(currentDate)}</span></div>
+      </div>
+      <div className="h-8 w-[1px] bg-slate-700"></div>
+      <div className="flex items-center gap-2">
+        <input type="datetime-local" value={toInputString(currentDate)} onChange={(e) => onChange(new Date(e.target.value))} className="bg-slate-800 border border-slate-600 rounded-lg text-sm px-3 py-1.5 text-white outline-none focus:border-blue-500" />
+        <button onClick={() => onChange(new Date())} className="text-[10px] bg-blue-600 px-2 py-1 rounded hover:bg-blue-500 transition-colors">Ahora</button>
+      </div>
+    </div>
+  );
+};
+
+// --- DESIGN INSPECTOR ---
+const TURF_OPTIONS = [
+  { color: COLORS.turf.blue, label: 'Azul' },
+  { color: COLORS.turf.green, label: 'Verde' },
+  { color: COLORS.turf.terracotta, label: 'Terracota' },
+  { color: COLORS.turf.pink, label: 'WPT' },
+];
+
+// Numeric input that only reports a value on blur or Enter, so typing "12.5"
+// does not commit "1" and "12" to the undo history along the way.
+const NumberField = ({ label, value, onCommit, min, step = 0.1, suffix = 'm', disabled }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const next = Number(draft);
+    setDraft(null);
+    if (draft.trim() !== '' && Number.isFinite(next) && (min == null || next >= min)) onCommit(next);
+  };
+
+  return (
+    <label className="block">
+      <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">{label}</span>
+      <div className="relative mt-1">
+        <input
+          type="number"
+          step={step}
+          disabled={disabled}
+          value={draft ?? Number(value.toFixed(2))}
+          onChange={e => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+          className="w-full bg-slate-950 border border-slate-700 rounded-lg pl-3 pr-8 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        />
+        <span className="absolute right-3 top-1.5 text-xs text-slate-500">{suffix}</span>
+      </div>
+    </label>
+  );
+};
+
+const ElementInspector = ({ element, elements, onChange }) => {
+  const bounds = getBounds(element);
+  const isCourt = element.type === 'court';
+  const isWall = element.type === 'wall';
+  const typeMeta = LEGEND_ITEMS[getLegendKey(element)];
+  const width = isCourt ? COURT_WIDTH_M : pxToMetres(element.width);
+  const height = isCourt ? COURT_HEIGHT_M : pxToMetres(element.height);
+  const minSize = pxToMetres(isWall ? 1 : MIN_SIZE_PX);
+  const neighbours = elements
+    .filter(el => el.id !== element.id)
+    .map(el => ({ el, gap: getGap(element, el) }))
+    .sort((a, b) => a.gap - b.gap)
+    .slice(0, 4);
+
+  // Resizing keeps the centre in place, as the canvas handles do for opposite edges.
+  const resize = (key, metres) => {
+    const px = metresToPx(metres);
+    const shift = (element[key] - px) / 2;
+    onChange(key === 'width' ? { width: px, x: element.x + shift } : { height: px, y: element.y + shift }, 'Redimensionar');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Nombre</div>
+        <input
+          key={element.id}
+          defaultValue={element.label ?? ''}
+          placeholder={isCourt ? 'Número o nombre' : typeMeta.label}
+          onBlur={e => {
+            if (e.target.value === String(element.label ?? '')) return;
+            if (onChange({ label: e.target.value.trim() }, 'Renombrar') === false) e.target.value = element.label ?? '';
+          }}
+          onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+          className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {element.type === 'zone' && (
+        <div>
+          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Tipo</div>
+          <select
+            value={element.zoneType}
+            onChange={e => onChange({ zoneType: e.target.value }, 'Cambiar tipo')}
+            className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(ZONE_TYPES).map(([type, meta]) => <option key={type} value={type}>{meta.label}</option>)}
+          </select>
+        </div>
+      )}
+      {isWall && (
+        <div>
+          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Tipo</div>
+          <select
+            value={element.wallType}
+            onChange={e => onChange({ wallType: e.target.value }, 'Cambiar tipo')}
+            className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(WALL_TYPES).map(([type, meta]) => <option key={type} value={type}>{meta.label}</option>)}
+          </select>
+        </div>
+      )}
+      {isCourt && (
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block">
+            <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">Superficie</span>
+            <select
+              value={element.surface}
+              onChange={e => onChange({ surface: e.target.value }, 'Cambiar superficie')}
+              className="mt-1 w-full bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(COURT_SURFACES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-[10px] uppercase tracking-wider text-slate-500 font-bold">Formato</span>
+            <select
+              value={element.format}
+              onChange={e => onChange({ format: e.target.value }, 'Cambiar formato')}
+              className="mt-1 w-full bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(COURT_FORMATS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+            <input type="checkbox" checked={element.covered} onChange={e => onChange({ covered: e.target.checked }, e.target.checked ? 'Techar cancha' : 'Destechar cancha')} className="accent-blue-500" />
+            Techada
+          </label>
+          <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+            <input type="checkbox" checked={element.lighting} onChange={e => onChange({ lighting: e.target.checked }, 'Cambiar iluminación')} className="accent-blue-500" />
+            Iluminación
+          </label>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <NumberField label="Posición X" value={pxToMetres(bounds.left)} onCommit={m => onChange({ x: element.x + metresToPx(m) - bounds.left }, 'Mover')} />
+        <NumberField label="Posición Y" value={pxToMetres(bounds.top)} onCommit={m => onChange({ y: element.y + metresToPx(m) - bounds.top }, 'Mover')} />
+        <NumberField label={isWall ? 'Largo' : 'Ancho'} value={width} min={minSize} disabled={isCourt} onCommit={m => resize('width', m)} />
+        <NumberField label={isWall ? 'Espesor' : 'Largo'} value={height} min={isWall ? 0.05 : minSize} step={isWall ? 0.05 : 0.1} disabled={isCourt} onCommit={m => resize('height', m)} />
+        <NumberField label="Rotación" value={element.rotation} step={1} suffix="°" onCommit={deg => onChange({ rotation: normalizeAngle(deg) }, 'Rotar')} />
+        {typeMeta.capacityLabel && (
+          <NumberField label={typeMeta.capacityLabel} value={element.capacity ?? 0} min={0} step={1} suffix="" onCommit={n => onChange({ capacity: Math.round(n) }, 'Cambiar capacidad')} />
+        )}
+        {isWall && (
+          <NumberField label="Altura" value={element.wallHeight ?? 0} min={0} step={0.1} onCommit={m => onChange({ wallHeight: m }, 'Cambiar altura')} />
+        )}
+      </div>
+
+      {!isWall && (
+        <div>
+          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Color</div>
+          {isCourt ? (
+            <div className="flex gap-2">
+              {TURF_OPTIONS.map(opt => (
+                <button
+                  key={opt.color}
+                  title={opt.label}
+                  onClick={() => onChange({ color: opt.color }, 'Cambiar color')}
+                  className={`w-8 h-8 rounded-lg border-2 ${element.color === opt.color ? 'border-white' : 'border-transparent'}`}
+                  style={{ backgroundColor: opt.color }}
+                />
+              ))}
+            </div>
+          ) : (
+            <input
+              type="color"
+              value={element.color || typeMeta.color}
+              onChange={e => onChange({ color: e.target.value }, 'Cambiar color')}
+              className="w-full h-8 bg-slate-950 border border-slate-700 rounded-lg cursor-pointer"
+            />
+          )}
+        </div>
+      )}
+
+      {neighbours.length > 0 && (
+        <div>
+          <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-1">Distancia a</div>
+          <div className="space-y-1">
+            {neighbours.map(({ el, gap }) => (
+              <div key={el.id} className="flex justify-between text-xs">
+                <span className="text-slate-300">{getElementName(el)}</span>
+                <span className={`font-mono ${gap === 0 ? 'text-red-400' : 'text-slate-400'}`}>{formatMetres(gap)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SiteInspector = ({ site, elements, onChange }) => {
+  const layout = getLayoutBounds(elements);
+  const outside = elements.filter(el => isOutsideSite(el, site)).length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-400">Medidas del terreno real. Se dibuja desde la esquina superior izquierda del plano.</p>
+      <div className="grid grid-cols-2 gap-2">
+        <NumberField label="Ancho" value={site?.width ?? 0} min={1} step={1} onCommit={m => onChange({ width: m, height: site?.height ?? m })} />
+        <NumberField label="Largo" value={site?.height ?? 0} min={1} step={1} onCommit={m => onChange({ width: site?.width ?? m, height: m })} />
+      </div>
+      {site && (
+        <button onClick={() => onChange(null)} className="text-xs text-slate-400 hover:text-red-400">Quitar terreno</button>
+      )}
+      <div className="border-t border-slate-800 pt-3 space-y-1 text-xs">
+        <div className="flex justify-between">
+          <span className="text-slate-500">Superficie ocupada</span>
+          <span className="text-slate-300 font-mono">{layout ? `${formatMetres(layout.width)} × ${formatMetres(layout.height)}` : '—'}</span>
+        </div>
+        {site && (
+          <div className="flex justify-between">
+            <span className="text-slate-500">Terreno</span>
+            <span className="text-slate-300 font-mono">{site.width} m × {site.height} m</span>
+          </div>
+        )}
+        {outside > 0 && (
+          <p className="text-amber-400 flex items-center gap-1 pt-1"><AlertTriangle size={12} /> {outside} {outside === 1 ? 'elemento sale' : 'elementos salen'} del terreno</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SelectionInspector = ({ selection, onRotate, onDuplicate, onDelete }) => {
+  const box = getLayoutBounds(selection);
+  const courtCount = selection.filter(el => el.type === 'court').length;
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-slate-300">
+        {selection.length} elementos
+        <span className="text-slate-500"> · {courtCount} {courtCount === 1 ? 'cancha' : 'canchas'}</span>
+      </div>
+      <div className="flex justify-between text-xs">
+        <span className="text-slate-500">Ocupan</span>
+        <span className="text-slate-300 font-mono">{formatMetres(box.width)} × {formatMetres(box.height)}</span>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <button onClick={onRotate} title="Rotar 90°" className="bg-slate-800 hover:bg-blue-600 rounded-lg py-2 flex justify-center"><RotateCw size={16} /></button>
+        <button onClick={onDuplicate} title="Duplicar (Ctrl+D)" className="bg-slate-800 hover:bg-blue-600 rounded-lg py-2 flex justify-center"><Copy size={16} /></button>
+        <button onClick={onDelete} title="Eliminar (Supr)" className="bg-slate-800 hover:bg-red-500 rounded-lg py-2 flex justify-center"><Trash2 size={16} /></button>
+      </div>
+      <p className="text-[10px] text-slate-500">Shift+clic o arrastrar sobre el plano para seleccionar. Ctrl+C / Ctrl+V para copiar y pegar.</p>
+    </div>
+  );
+};
+
+const InspectorPanel = ({
+  selection, elements, site, onChange, onChangeSite, onRotateSelection, onDuplicateSelection, onDeleteSelection, onClose
+}) => {
+  const element = selection.length === 1 ? selection[0] : null;
+  const title = element ? (element.type === 'court' ? 'Cancha' : LEGEND_ITEMS[getLegendKey(element)].label) : selection.length > 1 ? 'Selección' : 'Terreno';
+
+  return (
+    <motion.div
+      initial={{ x: 40, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      className="absolute top-20 right-4 z-50 w-64 bg-slate-900/95 backdrop-blur-md border border-slate-700 rounded-2xl shadow-2xl p-4"
+      onPointerDown={e => e.stopPropagation()}
+      onClick={e => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-sm font-bold text-white flex items-center gap-2">
+          <SlidersHorizontal size={14} className="text-blue-400" />
+          {title}
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-slate-800 rounded-full text-slate-400 hover:text-white"><X size={14} /></button>
+      </div>
+      {element && <ElementInspector key={element.id} element={element} elements={elements} onChange={onChange} />}
+      {selection.length > 1 && (
+        <SelectionInspector selection={selection} onRotate={onRotateSelection} onDuplicate={onDuplicateSelection} onDelete={onDeleteSelection} />
+      )}
+      {selection.length === 0 && <SiteInspector site={site} elements={elements} onChange={onChangeSite} />}
+    </motion.div>
+  );
+};
+
+// Click and drag on the canvas to measure; Shift keeps the line horizontal or vertical.
+const MeasureOverlay = ({ measurement, onChange, zoom }) => {
+  const toCanvas = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / zoom, y: (e.clientY - rect.top) / zoom };
+  };
+
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toCanvas(e);
+    onChange({ start: point, end: point, active: true });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!measurement?.active) return;
+    let end = toCanvas(e);
+    if (e.shiftKey) {
+      const { start } = measurement;
+      end = Math.abs(end.x - start.x) > Math.abs(end.y - start.y) ? { x: end.x, y: start.y } : { x: start.x, y: end.y };
+    }
+    onChange({ ...measurement, end });
+  };
+
+  const { start, end } = measurement || {};
+  const distance = measurement ? Math.hypot(end.x - start.x, end.y - start.y) : 0;
+
+  return (
+    <div
+      className="absolute inset-0 z-[70] cursor-crosshair"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => measurement && onChange({ ...measurement, active: false })}
+      onClick={e => e.stopPropagation()}
+    >
+      {measurement && distance > 0 && (
+        <svg className="absolute inset-0 w-full h-full overflow-visible pointer-events-none">
+          <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="#facc15" strokeWidth={2 / zoom} strokeDasharray={`${6 / zoom} ${4 / zoom}`} />
+          <circle cx={start.x} cy={start.y} r={4 / zoom} fill="#facc15" />
+          <circle cx={end.x} cy={end.y} r={4 / zoom} fill="#facc15" />
+          <text
+            x={(start.x + end.x) / 2}
+            y={(start.y + end.y) / 2 - 8 / zoom}
+            fill="#fef08a"
+            fontSize={13 / zoom}
+            fontWeight="bold"
+            textAnchor="middle"
+            style={{ paintOrder: 'stroke', stroke: '#0f172a', strokeWidth: 4 / zoom }}
+          >
+            {formatMetres(distance)}
+          </text>
+        </svg>
+      )}
+    </div>
+  );
+};
+
+const SiteBoundary = ({ site, zoom }) => (
+  <div
+    className="absolute top-0 left-0 border-2 border-dashed border-amber-400/60 pointer-events-none"
+    style={{ width: metresToPx(site.width), height: metresToPx(site.height), borderWidth: 2 / zoom }}
+  >
+    <span className="absolute left-1/2 -translate-x-1/2 text-amber-300 font-mono font-bold whitespace-nowrap" style={{ top: 4 / zoom, fontSize: 12 / zoom }}>{site.width} m</span>
+    <span className="absolute top-1/2 -translate-y-1/2 text-amber-300 font-mono font-bold whitespace-nowrap" style={{ left: 4 / zoom, fontSize: 12 / zoom }}>{site.height} m</span>
+  </div>
+);
+
+// --- STAFF ---
+// Views that need a permission; every role can open the others.
+const MODE_PERMISSIONS = { design: 'design', reports: 'viewReports' };
+
+// Full-screen PIN pad shown while nobody is logged in on this device.
+const PinLogin = ({ clubName, onSubmit }) => {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+
+  const press = (digit) => {
+    setError('');
+    setPin(prev => (prev.length < PIN_LENGTH.max ? prev + digit : prev));
+  };
+
+  // onSubmit resolves to null once logged in, otherwise to the message to show.
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (pin.length < PIN_LENGTH.min) return;
+    setPin('');
+    const message = await onSubmit(pin);
+    if (message) setError(message);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[200] flex items-center justify-center bg-slate-950/95 backdrop-blur-md p-4" onPointerDown={(e) => e.stopPropagation()}>
+      <form onSubmit={handleSubmit} className="bg-slate-900 border border-slate-700 rounded-2xl shadow-2xl p-6 w-72 flex flex-col items-center gap-4">
+        <div className="bg-slate-800 p-3 rounded-full"><Lock size={22} className="text-blue-400" /></div>
+        <div className="text-center">
+          <h2 className="text-lg font-bold text-white">{clubName}</h2>
+          <p className="text-sm text-slate-400">Ingresa tu PIN</p>
+        </div>
+        <input
+          autoFocus
+          type="password"
+          inputMode="numeric"
+          value={pin}
+          onChange={e => { setError(''); setPin(e.target.value.replace(/\D/g, '').slice(0, PIN_LENGTH.max)); }}
+          className="w-full text-center tracking-[0.5em] text-2xl bg-slate-950 border border-slate-700 rounded-lg py-2 text-white outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <p className="h-4 text-xs text-red-400">{error}</p>
+        <div className="grid grid-cols-3 gap-2 w-full">
+          {['1', '2', '3', '4', '5', '6', '7', '8', '9'].map(digit => (
+            <button key={digit} type="button" onClick={() => press(digit)} className="py-3 rounded-lg bg-slate-800 hover:bg-slate-700 text-lg font-medium text-white">{digit}</button>
+          ))}
+          <button type="button" onClick={() => setPin(prev => prev.slice(0, -1))} title="Borrar" className="py-3 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-400 flex items-center justify-center"><ChevronLeft size={20} /></button>
+          <button type="button" onClick={() => press('0')} className="py-3 rounded-lg bg-slate-800 hover:bg-slate-700 text-lg font-medium text-white">0</button>
+          <button type="submit" disabled={pin.length < PIN_LENGTH.min} title="Entrar" className="py-3 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:hover:bg-blue-600 text-white flex items-center justify-center"><Check size={20} /></button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const StaffForm = ({ member, isFirst, onSubmit, onCancel }) => {
+  const [name, setName] = useState(member?.name ?? '');
+  const [role, setRole] = useState(member?.role ?? (isFirst ? 'owner' : 'reception'));
+  const [pin, setPin] = useState('');
+
+  // onSubmit returns false when the account is rejected, so the form stays open.
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onSubmit({ name, role, pin })) setPin('');
+  };
+
+  const inputClass = 'bg-slate-950 border border-slate-700 rounded-md py-1.5 px-2 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-800/50 border border-slate-700/50 rounded-lg p-3 space-y-2">
+      <div className="flex gap-2">
+        <input autoFocus value={name} onChange={e => setName(e.target.value)} placeholder="Nombre" className={`flex-1 min-w-0 ${inputClass}`} />
+        <select value={role} onChange={e => setRole(e.target.value)} disabled={isFirst} title={isFirst ? 'La primera cuenta es la del dueño' : 'Rol'} className={`${inputClass} disabled:opacity-60`}>
+          {Object.entries(ROLES).map(([id, r]) => <option key={id} value={id}>{r.label}</option>)}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          inputMode="numeric"
+          value={pin}
+          onChange={e => setPin(e.target.value.replace(/\D/g, '').slice(0, PIN_LENGTH.max))}
+          placeholder={member ? 'Nuevo PIN (vacío para mantenerlo)' : `PIN (${PIN_LENGTH.min} a ${PIN_LENGTH.max} dígitos)`}
+          className={`flex-1 min-w-0 ${inputClass}`}
+        />
+        <button type="submit" title="Guardar" className="p-1.5 bg-blue-600 hover:bg-blue-500 rounded-md text-white"><Check size={16} /></button>
+        {onCancel && <button type="button" onClick={onCancel} title="Cancelar" className="p-1.5 bg-slate-800 hover:bg-slate-700 rounded-md text-slate-300"><X size={16} /></button>}
+      </div>
+    </form>
+  );
+};
+
+const StaffModal = ({ staff, currentStaffId, onCreate, onUpdate, onRemove, onClose }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4" onPointerDown={(e) => e.stopPropagation()}>
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden flex flex-col max-h-[85vh]"
+      >
+        <div className="bg-slate-800 border-b border-slate-700 p-4 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-white">Usuarios</h2>
+            <p className="text-sm text-slate-400">Cuentas del personal, roles y PIN de acceso</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-full text-slate-400 hover:text-white"><X size={20} /></button>
+        </div>
+
+        <div className="p-6 overflow-y-auto custom-scrollbar flex-1 space-y-6">
+          {staff.length === 0 && (
+            <p className="text-sm text-slate-400">
+              Mientras no haya cuentas cualquiera puede usar todo. Al crear la primera (la del dueño), cada dispositivo pedirá un PIN para entrar.
+            </p>
+          )}
+          <div className="space-y-2">
+            {staff.map(member => (editingId === member.id ? (
+              <StaffForm
+                key={member.id}
+                member={member}
+                onSubmit={(values) => {
+                  const saved = onUpdate(member.id, values);
+                  if (saved) setEditingId(null);
+                  return saved;
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <div key={member.id} className="flex items-center gap-3 bg-slate-800/50 border border-slate-700/50 rounded-lg px-3 py-2">
+                <User size={16} className="text-slate-500" />
+                <span className="text-sm text-white truncate">{member.name}</span>
+                {member.id === currentStaffId && <span className="text-[10px] text-slate-500">(tú)</span>}
+                <span className="ml-auto text-[10px] px-1.5 py-0.5 rounded border border-slate-600 text-slate-300">{ROLES[member.role].label}</span>
+                <button onClick={() => setEditingId(member.id)} title="Editar" className="p-1 text-slate-500 hover:text-blue-400"><Pencil size={14} /></button>
+                <button onClick={() => onRemove(member)} title="Eliminar cuenta" className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={14} /></button>
+              </div>
+            )))}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-slate-300 mb-2 flex items-center gap-2"><UserPlus size={14} /> Nueva cuenta</h3>
+            <StaffForm key={staff.length} isFirst={staff.length === 0} onSubmit={onCreate} />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-slate-300 mb-2">Permisos por rol</h3>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-500">
+                  <th className="text-left font-normal pb-1"></th>
+                  {Object.values(ROLES).map(r => <th key={r.label} className="font-normal pb-1">{r.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(PERMISSIONS).map(([id, label]) => (
+                  <tr key={id} className="border-t border-slate-800">
+                    <td className="py-1 text-slate-300">{label}</td>
+                    {Object.keys(ROLES).map(roleId => (
+                      <td key={roleId} className="py-1 text-center">
+                        {hasPermission({ role: roleId }, id) ? <Check size={12} className="inline text-emerald-400" /> : <X size={12} className="inline text-slate-600" />}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+// --- VENUE SWITCHER ---
+const VenueSwitcher = ({ venues, activeVenueId, onSwitch, onCreate, onRename, canEdit }) => {
+  const [editing, setEditing] = useState(null); // 'create' | 'rename' while the name input is open
+  const [name, setName] = useState('');
+  const activeVenue = venues.find(v => v.id === activeVenueId);
+
+  const startEditing = (kind) => {
+    setEditing(kind);
+    setName(kind === 'rename' ? activeVenue.name : '');
+  };
+
+  // The handlers return false when the name is rejected, so the input stays open.
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const saved = editing === 'create' ? onCreate(name) : onRename(activeVenueId, name);
+    if (saved) setEditing(null);
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={handleSubmit} className="flex items-center gap-1">
+        <input
+          autoFocus
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Escape') setEditing(null); }}
+          placeholder={editing === 'create' ? 'Nombre de la nueva sede' : 'Nombre de la sede'}
+          className="w-40 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button type="submit" title="Guardar" className="p-1.5 rounded-lg text-emerald-400 hover:bg-slate-800 transition-colors"><Check size={16} /></button>
+        <button type="button" onClick={() => setEditing(null)} title="Cancelar" className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><X size={16} /></button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <Building2 size={16} className="text-slate-500" />
+      <select
+        value={activeVenueId}
+        onChange={e => onSwitch(e.target.value)}
+        title="Sede"
+        className="max-w-44 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-sm text-white outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {venues.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+      </select>
+      {canEdit && (
+        <>
+          <button onClick={() => startEditing('rename')} title="Renombrar sede" className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Pencil size={14} /></button>
+          <button onClick={() => startEditing('create')} title="Nueva sede" className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Plus size={14} /></button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- LEGEND ---
+const LayoutLegend = ({ elements, hiddenTypes, onToggle }) => {
+  const counts = elements.reduce((acc, el) => {
+    const key = getLegendKey(el);
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+  const keys = Object.keys(LEGEND_ITEMS).filter(key => counts[key]);
+  if (keys.length === 0) return null;
+
+  return (
+    <div className="absolute top-4 left-4 z-50 bg-slate-900/90 backdrop-blur-md border border-slate-700 rounded-xl p-3 shadow-xl w-48" onPointerDown={e => e.stopPropagation()} onClick={e => e.stopPropagation()}>
+      <div className="text-[10px] uppercase tracking-wider text-slate-500 font-bold mb-2 flex items-center gap-1.5"><Layers size={12} /> Leyenda</div>
+      <div className="space-y-1">
+        {keys.map(key => {
+          const item = LEGEND_ITEMS[key];
+          const Icon = item.icon;
+          const hidden = hiddenTypes.includes(key);
+          return (
+            <button
+              key={key}
+              onClick={() => onToggle(key)}
+              title={hidden ? 'Mostrar' : 'Ocultar'}
+              className={`w-full flex items-center gap-2 text-xs px-1.5 py-1 rounded-md hover:bg-slate-800 ${hidden ? 'opacity-40' : ''}`}
+            >
+              <span className="w-3 h-3 rounded-sm shrink-0" style={{ backgroundColor: item.color }} />
+              <Icon size={12} className="text-slate-400 shrink-0" />
+              <span className="text-slate-200 truncate">{item.label}</span>
+              <span className="ml-auto text-slate-500 font-mono">{counts[key]}</span>
+              {hidden ? <EyeOff size={12} className="text-slate-500" /> : <Eye size={12} className="text-slate-500" />}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const DesignToolbar = ({
+  onAddCourt, onAddZone, onAddWall, onClear, history, snapToGrid, onToggleSnap, overlapCount,
+  isMeasuring, onToggleMeasure, isInspectorOpen, onToggleInspector
+}) => {
+  const [isAddMenuOpen, setIsAddMenuOpen] = useState(false);
+
+  return (
+    <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 bg-slate-900/90 backdrop-blur-md border border-slate-700 text-white px-6 py-4 rounded-2xl shadow-2xl flex items-center gap-4 z-50">
+      {overlapCount > 0 && (
+        <div className="absolute -top-10 left-1/2 -translate-x-1/2 whitespace-nowrap bg-red-600/90 text-white text-xs font-medium px-3 py-1.5 rounded-full flex items-center gap-1.5 shadow-lg">
+          <AlertTriangle size={12} /> {overlapCount} elementos superpuestos
+        </div>
+      )}
+      <span className="text-xs text-slate-500 font-bold uppercase mr-2">Diseño</span>
+      <button onClick={history.undo} disabled={!history.canUndo} title={history.canUndo ? `Deshacer: ${history.undoLabel} (Ctrl+Z)` : 'Nada para deshacer'} className="p-2 rounded-lg hover:bg-slate-700 disabled:opacity-30 disabled:hover:bg-transparent"><Undo2 size={20} /></button>
+      <button onClick={history.redo} disabled={!history.canRedo} title={history.canRedo ? `Rehacer: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nada para rehacer'} className="p-2 rounded-lg hover:bg-slate-700 disabled:opacity-30 disabled:hover:bg-transparent"><Redo2 size={20} /></button>
+      <button onClick={onToggleSnap} title={snapToGrid ? 'Ajustar a la grilla de 1 m: activado (Alt para mover libre)' : 'Ajustar a la grilla de 1 m: desactivado'} className={`p-2 rounded-lg ${snapToGrid ? 'bg-fuchsia-600/30 text-fuchsia-300' : 'text-slate-400 hover:bg-slate-700'}`}><Magnet size={20} /></button>
+      <button onClick={onToggleMeasure} title="Medir distancias (Shift para recto)" className={`p-2 rounded-lg ${isMeasuring ? 'bg-yellow-500/30 text-yellow-300' : 'text-slate-400 hover:bg-slate-700'}`}><Ruler size={20} /></button>
+      <button onClick={onToggleInspector} title="Inspector y terreno" className={`p-2 rounded-lg ${isInspectorOpen ? 'bg-blue-600/30 text-blue-300' : 'text-slate-400 hover:bg-slate-700'}`}><SlidersHorizontal size={20} /></button>
+      <div className="w-[1px] h-6 bg-slate-700"></div>
+      <button onClick={() => onAddCourt(COLORS.turf.blue)} className="bg-blue-600 p-2 rounded-lg hover:bg-blue-500"><Plus size={20} /></button>
+      <button onClick={() => onAddCourt(COLORS.turf.green)} className="bg-emerald-600 p-2 rounded-lg hover:bg-emerald-500"><Plus size={20} /></button>
+      <div className="w-[1px] h-6 bg-slate-700"></div>
+      <div className="relative">
+        <button onClick={() => setIsAddMenuOpen(!isAddMenuOpen)} title="Agregar zona o muro" className={`p-2 rounded-lg ${isAddMenuOpen ? 'bg-slate-600' : 'bg-slate-700 hover:bg-slate-600'}`}><Square size={20} /></button>
+        {isAddMenuOpen && (
+          <div className="absolute bottom-14 left-1/2 -translate-x-1/2 bg-slate-900 border border-slate-700 rounded-xl shadow-2xl p-1 w-44">
+            {Object.entries(ZONE_TYPES).map(([type, meta]) => (
+              <button key={type} onClick={() => { onAddZone(type); setIsAddMenuOpen(false); }} className="w-full flex items-center gap-2 px-3 py-2 text-sm rounded-lg hover:bg-slate-800">
+                <meta.icon size={14} style={{ color: meta.color }} /> {meta.label}
+              </button>
+            ))}
+            <div className="h-[1px] bg-slate-800 my-1" />
+            {Object.entries(WALL_TYPES).map(([type, meta]) => (
+              <button key={type} onClick={() => { onAddWall(type); setIsAddMenuOpen(false); }} className="w-full flex items-center gap-2 px-3 py-2 text-sm rounded-lg hover:bg-slate-800">
+                <meta.icon size={14} style={{ color: meta.color }} /> {meta.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="w-[1px] h-6 bg-slate-700"></div>
+      <button onClick={onClear} className="text-slate-400 hover:text-red-400"><Trash2 size={20} /></button>
+    </div>
+  );
+};
+
+export default function PadelClubPlanner() {
+  const [storedClub] = useState(() => clubRepository.load());
+  // Only the active venue is held in the state below; `venues` keeps the others as
+  // they were left (its entry for the active venue is refreshed on every switch).
+  const [venues, setVenues] = useState(storedClub.data.venues);
+  const [activeVenueId, setActiveVenueId] = useState(storedClub.data.activeVenueId);
+  const storedVenue = getVenue(storedClub.data.venues, storedClub.data.activeVenueId);
+  const elementsHistory = useHistoryState(storedVenue.elements);
+  const elements = elementsHistory.present;
+  const [reservations, setReservations] = useState(storedVenue.reservations);
+  const [schedule, setSchedule] = useState(storedVenue.schedule);
+  const [isScheduleOpen, setIsScheduleOpen] = useState(false);
+  const [pricing, setPricing] = useState(storedVenue.pricing);
+  const [customers, setCustomers] = useState(storedClub.data.customers);
+  const [waitlist, setWaitlist] = useState(storedVenue.waitlist);
+  const [maintenance, setMaintenance] = useState(storedVenue.maintenance);
+  const [events, setEvents] = useState(storedVenue.events);
+  const [coaches, setCoaches] = useState(storedClub.data.coaches);
+  const [classTypes, setClassTypes] = useState(storedClub.data.classTypes);
+  const [staff, setStaff] = useState(storedClub.data.staff);
+  const [currentStaffId, setCurrentStaffId] = useState(null); // who is logged in on this device
+  const [isStaffOpen, setIsStaffOpen] = useState(false);
+  const [isWaitlistOpen, setIsWaitlistOpen] = useState(false);
+  const [isPricingOpen, setIsPricingOpen] = useState(false);
+  const currentUser = staff.find(member => member.id === currentStaffId) || null;
+  const isLocked = staff.length > 0 && !currentUser;
+  // Without staff accounts the app is open to everyone.
+  const can = (permission) => staff.length === 0 || hasPermission(currentUser, permission);
+  // A view the current user can't open (after switching users, or a role changed
+  // on another device) falls back to the reservations view.
+  const [selectedMode, setMode] = useState('design');
+  const mode = !MODE_PERMISSIONS[selectedMode] || can(MODE_PERMISSIONS[selectedMode]) ? selectedMode : 'manage';
+  const [viewDate, setViewDate] = useState(new Date());
+  const [toast, setToast] = useState(() => storedClub.error ? { message: storedClub.error, type: 'error' } : null);
+  const [hiddenTypes, setHiddenTypes] = useState([]); // legend keys filtered out of the canvas
+  const [selectedIds, setSelectedIds] = useState([]); // the last one is the primary, which shows the controls
+  const [marquee, setMarquee] = useState(null); // { start, end } while rubber-band selecting
+  const clipboardRef = useRef(null); // { elements, pastes } copied with Ctrl+C
+  const [zoom, setZoom] = useState(1);
+  const [managingState, setManagingState] = useState(null);
+  const [confirmation, setConfirmation] = useState({ isOpen: false, message: '', onConfirm: null }); // NEW STATE FOR CONFIRMATION
+  const [snapToGrid, setSnapToGrid] = useState(true);
+  const [site, setSite] = useState(storedVenue.site);
+  const [isInspectorOpen, setIsInspectorOpen] = useState(true);
+  const [isMeasuring, setIsMeasuring] = useState(false);
+  const [measurement, setMeasurement] = useState(null); // { start, end, active } in canvas pixels
+  const [guides, setGuides] = useState([]);
+  const gestureCollisionRef = useRef(false); // whether the element being dragged/resized currently overlaps another
+
+  const containerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [containerSize, setContainerSize] = useState({ w: 0, h: 0 });
+
+  useEffect(() => {
+    if (containerRef.current) setContainerSize({ w: containerRef.current.offsetWidth, h: containerRef.current.offsetHeight });
+  }, []);
+
+  const showToast = (message, type = 'success') => setToast({ message, type });
+
+  const allVenues = useMemo(() => venues.map(v => (
+    v.id === activeVenueId ? { ...v, elements, reservations, waitlist, maintenance, events, site, schedule, pricing } : v
+  )), [venues, activeVenueId, elements, reservations, waitlist, maintenance, events, site, schedule, pricing]);
+  const activeVenue = getVenue(allVenues, activeVenueId);
+  const clubData = useMemo(() => ({ venues: allVenues, activeVenueId, customers, coaches, classTypes, staff }), [allVenues, activeVenueId, customers, coaches, classTypes, staff]);
+
+  // --- SELECTION ---
+  // Clicking an unselected element selects only it; clicking one that is already
+  // selected keeps the selection so it can be dragged as a group.
+  const selectElement = (id, toggle = false) => {
+    if (toggle) {
+      setSelectedIds(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+    } else if (!selectedIds.includes(id)) {
+      setSelectedIds([id]);
+    }
+  };
+
+  // The selection an action on `id` applies to: the whole selection when `id` is part of it.
+  const getActionGroup = (id) => (
+    selectedIds.includes(id) ? elements.filter(e => selectedIds.includes(e.id)) : elements.filter(e => e.id === id)
+  );
+
+  // Rubber-band selection on the empty canvas; Shift adds to the current selection.
+  const handleCanvasPointerDown = (e) => {
+    if (mode !== 'design' || isMeasuring || e.target !== e.currentTarget) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const toCanvas = (ev) => ({ x: (ev.clientX - rect.left) / zoom, y: (ev.clientY - rect.top) / zoom });
+    const start = toCanvas(e);
+    const additive = e.shiftKey;
+    let end = start;
+
+    const onPointerMove = (ev) => {
+      end = toCanvas(ev);
+      setMarquee({ start, end });
+    };
+
+    const onPointerUp = () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      setMarquee(null);
+      const box = {
+        left: Math.min(start.x, end.x), right: Math.max(start.x, end.x),
+        top: Math.min(start.y, end.y), bottom: Math.max(start.y, end.y),
+      };
+      if (box.right - box.left < 3 && box.bottom - box.top < 3) {
+        if (!additive) setSelectedIds([]);
+        return;
+      }
+      const hits = visibleElements.filter(el => boundsIntersect(getBounds(el), box)).map(el => el.id);
+      setSelectedIds(prev => (additive ? [...new Set([...prev, ...hits])] : hits));
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+  };
+
+  // Transient update used while dragging/resizing; the gesture is recorded as one
+  // history entry by onInteractionStart/endInteraction.
+  const updateElements = (changed) => {
+    const byId = new Map(changed.map(el => [el.id, el]));
+    const others = elements.filter(e => !byId.has(e.id));
+    gestureCollisionRef.current = changed.some(el => collidesWithAny(el, others));
+    elementsHistory.set(prev => prev.map(e => byId.get(e.id) || e));
+  };
+
+  const updateElement = (id, changes) => {
+    updateElements([{ ...elements.find(e => e.id === id), ...changes }]);
+  };
+
+  // `position` is where the dragged element would go; the rest of its group follows
+  // it. Snapping is computed for the dragged element only.
+  const moveElement = (id, position, { snap }) => {
+    const group = getActionGroup(id);
+    const lead = group.find(e => e.id === id);
+    let dx = position.x - lead.x;
+    let dy = position.y - lead.y;
+    if (snap) {
+      const groupIds = new Set(group.map(e => e.id));
+      const snapped = snapPosition({ ...lead, ...position }, elements.filter(e => !groupIds.has(e.id)), {
+        grid: snapToGrid ? SCALE : null,
+        threshold: SNAP_THRESHOLD_PX / zoom,
+      });
+      dx = snapped.x - lead.x;
+      dy = snapped.y - lead.y;
+      setGuides(snapped.guides);
+    } else {
+      setGuides([]);
+    }
+    updateElements(translateElements(group, dx, dy));
+  };
+
+  // A gesture that ends on top of another element is rolled back, so the stored
+  // layout never gains overlaps in the designer.
+  const endInteraction = (label) => {
+    setGuides([]);
+    const collides = gestureCollisionRef.current;
+    gestureCollisionRef.current = false;
+    if (collides) {
+      elementsHistory.cancel();
+      showToast("No se puede ubicar ahí: se superpone con otro elemento.", 'error');
+      return;
+    }
+    elementsHistory.end(label);
+  };
+
+  const addCourt = (color) => {
+    const newCourt = {
+      id: Date.now(),
+      type: 'court',
+      x: containerSize.w / 2 - COURT_WIDTH_PX / 2 + (Math.random() * 40 - 20),
+      y: containerSize.h / 2 - COURT_HEIGHT_PX / 2 + (Math.random() * 40 - 20),
+      rotation: 0,
+      color,
+      label: getNextCourtLabels(elements)[0],
+      ...DEFAULT_COURT_ATTRIBUTES,
+    };
+    elementsHistory.commit('Agregar cancha', prev => [...prev, findFreePosition(newCourt, prev)]);
+  };
+
+  const addZone = (zoneType = 'generic') => {
     const newZone = {
       id: Date.now(),
       type: 'zone',
+      zoneType,
       x: containerSize.w / 2 - 50,
       y: containerSize.h / 2 - 25,
       rotation: 0,
       width: 10 * SCALE,
       height: 5 * SCALE,
     };
-    setElements([...elements, newZone]);
+    elementsHistory.commit('Agregar zona', prev => [...prev, findFreePosition(newZone, prev)]);
+  };
+
+  const addWall = (wallType) => {
+    const newWall = {
+      id: Date.now(),
+      type: 'wall',
+      wallType,
+      x: containerSize.w / 2 - 5 * SCALE,
+      y: containerSize.h / 2,
+      rotation: 0,
+      width: 10 * SCALE,
+      height: WALL_THICKNESS_PX,
+    };
+    elementsHistory.commit(wallType === 'fence' ? 'Agregar cerco' : 'Agregar pared', prev => [...prev, findFreePosition(newWall, prev)]);
+  };
+
+  // Rotation handle drag: `degrees` is relative to the angle(s) when the gesture began.
+  // A selection turns rigidly around its common centre.
+  const rotateElementBy = (id, degrees) => {
+    const group = getActionGroup(id);
+    updateElements(group.length > 1
+      ? rotateGroup(group, degrees)
+      : group.map(el => ({ ...el, rotation: normalizeAngle(el.rotation + degrees) })));
   };
 
+  // Quarter turn from the toolbar button; a selection turns as a block.
   const rotateElement = (id) => {
-    setElements(prev => prev.map(el => el.id === id ? { ...el, rotation: el.rotation === 0 ? 90 : 0 } : el));
+    const group = getActionGroup(id);
+    const rotated = group.length > 1
+      ? rotateGroup(group, 90)
+      : group.map(el => ({ ...el, rotation: normalizeAngle(el.rotation + 90) }));
+    const byId = new Map(rotated.map(el => [el.id, el]));
+    const others = elements.filter(e => !byId.has(e.id));
+    if (rotated.some(el => collidesWithAny(el, others))) {
+      showToast("No hay espacio para rotar: se superpondría con otro elemento.", 'error');
+      return;
+    }
+    elementsHistory.commit('Rotar', prev => prev.map(e => byId.get(e.id) || e));
+  };
+
+  // Numeric edits from the inspector; like canvas gestures, they may not create overlaps.
+  // Returns false when the change is rejected.
+  const editElement = (id, changes, label = 'Editar') => {
+    const next = { ...elements.find(e => e.id === id), ...changes };
+    if (collidesWithAny(next, elements)) {
+      showToast("No se puede aplicar: se superpondría con otro elemento.", 'error');
+      return false;
+    }
+    if (next.type === 'court' && 'label' in changes) {
+      if (!next.label) {
+        showToast("La cancha necesita un nombre.", 'error');
+        return false;
+      }
+      if (isCourtLabelTaken(elements, next)) {
+        showToast(`Ya hay una cancha "${next.label}" en esta sede.`, 'error');
+        return false;
+      }
+    }
+    elementsHistory.commit(label, prev => prev.map(e => e.id === id ? next : e));
+    return true;
   };
 
   const deleteElement = (id) => {
-    setElements(prev => prev.filter(el => el.id !== id));
-    setSelectedId(null);
+    const ids = new Set(getActionGroup(id).map(e => e.id));
+    elementsHistory.commit(ids.size > 1 ? `Eliminar ${ids.size} elementos` : 'Eliminar', prev => prev.filter(el => !ids.has(el.id)));
+    setSelectedIds([]);
+  };
+
+  const clearElements = () => {
+    elementsHistory.commit('Vaciar diseño', prev => (prev.length === 0 ? prev : []));
+    setSelectedIds([]);
+  };
+
+  // --- COPY / PASTE ---
+  // Copies keep their relative positions and are shifted until they fit; courts get
+  // the next free numbers, as addCourt does.
+  const insertCopies = (source, label, shift) => {
+    if (source.length === 0) return;
+    const baseId = Date.now();
+    const labels = getNextCourtLabels(elements, source.filter(el => el.type === 'court').length);
+    const copies = translateElements(source, shift, shift).map((el, i) => ({
+      ...el,
+      id: baseId + i,
+      ...(el.type === 'court' && { label: labels.shift() }),
+    }));
+    const { dx, dy } = findFreeOffset(copies, elements);
+    const placed = translateElements(copies, dx, dy);
+    elementsHistory.commit(label, prev => [...prev, ...placed]);
+    setSelectedIds(placed.map(el => el.id));
+  };
+
+  const selectedElements = elements.filter(e => selectedIds.includes(e.id));
+  const visibleElements = elements.filter(el => !hiddenTypes.includes(getLegendKey(el)));
+
+  const copySelection = () => {
+    if (selectedElements.length === 0) return;
+    clipboardRef.current = { elements: selectedElements, pastes: 0 };
+    showToast(selectedElements.length === 1 ? "Elemento copiado" : `${selectedElements.length} elementos copiados`, 'success');
+  };
+
+  const pasteClipboard = () => {
+    const clipboard = clipboardRef.current;
+    if (!clipboard) return;
+    clipboard.pastes += 1;
+    insertCopies(clipboard.elements, 'Pegar', clipboard.pastes * 2 * SCALE);
+  };
+
+  const duplicateSelection = () => insertCopies(selectedElements, 'Duplicar', 2 * SCALE);
+
+  const { undo, redo } = elementsHistory;
+  useEffect(() => {
+    if (mode !== 'design') return;
+    const onKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      if ((e.key === 'Delete' || e.key === 'Backspace') && selectedIds.length > 0) {
+        e.preventDefault();
+        deleteElement(selectedIds[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setSelectedIds([]);
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      } else if (key === 'c') {
+        copySelection();
+      } else if (key === 'v') {
+        e.preventDefault();
+        pasteClipboard();
+      } else if (key === 'd') {
+        e.preventDefault();
+        duplicateSelection();
+      } else if (key === 'a') {
+        e.preventDefault();
+        setSelectedIds(visibleElements.map(el => el.id));
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const occurrences = useMemo(() => expandReservations(reservations), [reservations]);
+  // What holds a court: cancelled bookings stay in `occurrences` for history and reports only.
+  const activeOccurrences = useMemo(() => occurrences.filter(r => !isCancelled(r)), [occurrences]);
+  // The other venues with the bookings that hold their courts, for the cross-venue search.
+  const otherVenues = useMemo(() => venues.filter(v => v.id !== activeVenueId).map(v => ({
+    ...v,
+    occurrences: expandReservations(v.reservations).filter(r => !isCancelled(r)),
+  })), [venues, activeVenueId]);
+  // Coaches work for the whole group, so their classes at every venue count.
+  const coachBookings = useMemo(() => (
+    [...activeOccurrences, ...otherVenues.flatMap(v => v.occurrences)].filter(r => r.coachId != null)
+  ), [activeOccurrences, otherVenues]);
+  const cancellationPolicy = pricing.cancellation || DEFAULT_CANCELLATION_POLICY;
+  const courts = useMemo(() => elements.filter(el => el.type === 'court'), [elements]);
+  const freedCount = waitlist.filter(e => e.freed).length;
+  const overlappingIds = useMemo(() => findOverlappingIds(elements), [elements]);
+  const selectionBounds = selectedElements.length > 1 ? getLayoutBounds(selectedElements) : null;
+  const toggleHiddenType = (key) => {
+    setHiddenTypes(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+    setSelectedIds([]);
   };
 
   const handleSaveReservation = (newRes) => {
     setReservations([...reservations, newRes]);
   };
 
-  // UPDATED: No more window.confirm
-  const handleDeleteReservation = (resId) => {
+  // --- WAITLIST ---
+  // Flags the entries whose window overlaps the cancelled bookings; the toast
+  // replaces the cancellation one so staff notice it.
+  const notifyWaitlist = (freedReservations) => {
+    const matches = findFreedEntries(waitlist, freedReservations);
+    if (matches.length === 0) return;
+    setWaitlist(prev => markFreed(prev, matches));
+    setIsWaitlistOpen(true);
+    showToast(`Se liberó un horario pedido por ${matches.length} ${matches.length === 1 ? 'persona' : 'personas'} en lista de espera`, 'success');
+  };
+
+  const handleAddToWaitlist = ({ name, customerId, phone, ...slot }) => {
+    const customer = customers.find(c => c.id === customerId)
+      || findCustomerByName(customers, name)
+      || handleCreateCustomer({ name, phone });
+    const entry = createWaitlistEntry({ ...slot, customerId: customer.id, clientName: customer.name, phone: customer.phone || phone });
+    setWaitlist(prev => [...prev, entry]);
+    showToast(`${customer.name} quedó en lista de espera`, 'success');
+  };
+
+  const handleRemoveWaitlistEntry = (id) => {
+    setWaitlist(prev => prev.filter(e => e.id !== id));
+  };
+
+  // One-click conversion: books the freed court for the requested window, re-checking
+  // hours and conflicts in case the slot was taken again in the meantime.
+  const handleBookWaitlistEntry = (entry) => {
+    const court = elements.find(el => el.id === entry.freed.courtId);
+    if (!court) {
+      showToast("La cancha liberada ya no existe.", 'error');
+      return;
+    }
+    const { start, end } = getEntryRange(entry);
+    const slotError = validateSlot(getEffectiveSchedule(schedule, court), start, end);
+    if (slotError) {
+      showToast(slotError, 'error');
+      return;
+    }
+    const newRes = toReservation(entry, court.id, calculatePrice(getEffectivePricing(pricing, court), start, end).total);
+    const conflict = findConflict([newRes], withMaintenance(occurrences, maintenance));
+    if (conflict) {
+      showToast(conflict.conflictWith.isMaintenance ? getConflictMessage(conflict) : "¡Conflicto! El horario ya fue ocupado nuevamente.", 'error');
+      return;
+    }
+    setReservations(prev => [...prev, newRes]);
+    handleRemoveWaitlistEntry(entry.id);
+    showToast(`Reserva creada para ${entry.clientName} en la cancha ${court.label}`, 'success');
+  };
+
+  // Receives an expanded reservation; occurrences of a series can be cancelled
+  // one at a time (as an exception) or together with the whole series.
+  // Cancelled bookings are kept with their status; the policy decides whether the
+  // deposit is kept, and the confirmation spells it out before staff commit.
+  const describeCancellationTerms = (res) => {
+    const { isLate, forfeited, refund } = evaluateCancellation(res, cancellationPolicy);
+    const terms = [];
+    if (isLate) terms.push(`Cancelación tardía (menos de ${cancellationPolicy.noticeHours} h)${forfeited > 0 ? `: se retiene la seña de ${formatMoney(forfeited)}` : ''}.`);
+    if (refund > 0) terms.push(`Se devuelven ${formatMoney(refund)}.`);
+    return terms.join(' ');
+  };
+
+  // Receives an expanded reservation; a series can be cancelled one occurrence at
+  // a time or from an occurrence onwards (earlier ones keep their status).
+  const handleCancelReservation = (res) => {
+    if (!can('deleteReservations')) {
+      showToast("Tu usuario no puede cancelar reservas.", 'error');
+      return;
+    }
+    const closeConfirmation = () => setConfirmation({ isOpen: false, message: '', onConfirm: null });
+    const terms = describeCancellationTerms(res);
+    const pending = res.seriesId
+      ? occurrences.filter(o => o.seriesId === res.seriesId && o.status === 'confirmed' && o.start >= res.start)
+      : [res];
+
+    if (pending.length > 1) {
+      setConfirmation({
+        isOpen: true,
+        message: `Este turno es parte de una serie (${describeRecurrence(res.recurrence)}). ¿Cancelar solo el del ${formatDate(res.start)} o también los ${pending.length - 1} siguientes? ${terms}`,
+        confirmLabel: 'Solo este',
+        onConfirm: () => {
+          setReservations(prev => cancelReservation(prev, res, cancellationPolicy));
+          showToast("Turno cancelado. El resto de la serie se mantiene.", 'success');
+          notifyWaitlist([res]);
+          closeConfirmation();
+        },
+        altLabel: 'Este y los siguientes',
+        onAlt: () => {
+          setReservations(prev => pending.reduce((list, occurrence) => cancelReservation(list, occurrence, cancellationPolicy), prev));
+          showToast(`Serie cancelada (${pending.length} turnos)`, 'success');
+          notifyWaitlist(pending);
+          closeConfirmation();
+        }
+      });
+      return;
+    }
+
     setConfirmation({
       isOpen: true,
-      message: "¿Estás seguro de cancelar esta reserva? El horario quedará disponible.",
+      message: `¿Estás seguro de cancelar esta reserva? El horario quedará disponible. ${terms}`,
       onConfirm: () => {
-        setReservations(prev => prev.filter(r => r.id !== resId));
+        setReservations(prev => cancelReservation(prev, res, cancellationPolicy));
         showToast("Reserva cancelada exitosamente", 'success');
+        notifyWaitlist([res]);
+        closeConfirmation();
+      }
+    });
+  };
+
+  const handleChangeStatus = (res, status) => {
+    if (status === 'cancelled') {
+      handleCancelReservation(res);
+      return;
+    }
+    setReservations(prev => editReservation(prev, res, { status }));
+    showToast(`Reserva marcada como «${RESERVATION_STATUS[status].label}»`, 'success');
+  };
+
+  // Edits from the reservation cards. The target court's hours, bookings and
+  // maintenance are checked (the booking itself is ignored), and the price is only
+  // recomputed when the time or court changes, so renaming never re-prices a booking.
+  // Returns whether the edit was applied.
+  const handleEditReservation = (res, { clientName, customerId, courtId, date, time, duration, deposit }) => {
+    const court = courts.find(c => c.id === courtId);
+    const start = new Date(`${date}T${time}`);
+    if (!court || isNaN(start.getTime())) {
+      showToast("La fecha u hora seleccionada no es válida.", 'error');
+      return false;
+    }
+    const end = new Date(start.getTime() + duration * 60000);
+    const slotError = validateSlot(getEffectiveSchedule(schedule, court), start, end);
+    if (slotError) {
+      showToast(slotError, 'error');
+      return false;
+    }
+    const playerLimit = getPlayerLimit(res, court, classTypes);
+    if (res.players.length > playerLimit) {
+      showToast(`La cancha ${court.label} admite hasta ${playerLimit} jugadores.`, 'error');
+      return false;
+    }
+    const candidate = { ...res, courtId, start: start.toISOString(), end: end.toISOString() };
+    const conflict = findConflict([candidate], withMaintenance(occurrences, maintenance));
+    if (conflict) {
+      showToast(getConflictMessage(conflict), 'error');
+      return false;
+    }
+    const coach = coaches.find(c => c.id === res.coachId);
+    const coachError = coach && validateCoachBooking(coach, [candidate], coachBookings);
+    if (coachError) {
+      showToast(coachError, 'error');
+      return false;
+    }
+
+    const customer = customers.find(c => c.id === customerId)
+      || findCustomerByName(customers, clientName)
+      || handleCreateCustomer({ name: clientName });
+    const rescheduled = courtId !== res.courtId || candidate.start !== new Date(res.start).toISOString() || candidate.end !== new Date(res.end).toISOString();
+    setReservations(prev => editReservation(prev, res, {
+      clientName: customer.name,
+      customerId: customer.id,
+      ...(customer.id !== res.customerId && { players: withOrganizer(res.players, { clientName: customer.name, customerId: customer.id }) }),
+      courtId,
+      start: candidate.start,
+      end: candidate.end,
+      deposit: deposit || '0',
+      ...(rescheduled && { price: calculatePrice(getEffectivePricing(pricing, court), start, end).total }),
+    }));
+    showToast(courtId !== res.courtId ? `Reserva movida a la cancha ${court.label}` : "Reserva actualizada", 'success');
+    return true;
+  };
+
+  // Used by the timeline; a series occurrence is moved as an exception, leaving the rest of the series intact.
+  // The price is recomputed because the new time or court may fall in a different rate band.
+  const handleRescheduleReservation = (res, { courtId, start, end }) => {
+    const court = elements.find(el => el.id === courtId);
+    const price = calculatePrice(getEffectivePricing(pricing, court), start, end).total;
+    setReservations(prev => editReservation(prev, res, { courtId, start, end, price }));
+    showToast("Reserva reprogramada", 'success');
+  };
+
+  // --- MAINTENANCE ---
+  const handleAddMaintenance = (block) => {
+    setMaintenance(prev => [...prev, block]);
+  };
+
+  const handleRemoveMaintenance = (id) => {
+    setMaintenance(prev => prev.filter(b => b.id !== id));
+    showToast("Bloqueo eliminado", 'success');
+  };
+
+  // --- CUSTOMERS ---
+  const handleCreateCustomer = (fields) => {
+    const customer = createCustomer(fields);
+    setCustomers(prev => [...prev, customer]);
+    return customer;
+  };
+
+  // Reservations keep a snapshot of the name, so a rename is propagated to them.
+  const handleUpdateCustomer = (id, fields) => {
+    setCustomers(prev => prev.map(c => c.id === id ? { ...c, ...fields, name: fields.name.trim() } : c));
+    const rename = (list) => list.map(r => {
+      const renamed = r.customerId === id ? { ...r, clientName: fields.name.trim() } : r;
+      return r.players.some(p => p.customerId === id)
+        ? { ...renamed, players: r.players.map(p => (p.customerId === id ? { ...p, name: fields.name.trim() } : p)) }
+        : renamed;
+    });
+    // Customers are shared by every venue, and so is the new name.
+    setReservations(rename);
+    setVenues(prev => prev.map(v => (v.id === activeVenueId ? v : { ...v, reservations: rename(v.reservations) })));
+    showToast("Cliente actualizado", 'success');
+  };
+
+  // Payments on a series occurrence are stored on the series, tagged with the occurrence they settle.
+  // `playerId` credits the payment to one player's share.
+  const handleAddPayment = (res, { amount, method, playerId }) => {
+    const payment = { id: Date.now(), amount, method, date: new Date().toISOString(), ...(playerId != null && { playerId }) };
+    if (res.seriesId) {
+      setReservations(prev => prev.map(r => r.id === res.seriesId
+        ? { ...r, payments: [...(r.payments || []), { ...payment, occurrenceKey: res.occurrenceKey }] }
+        : r));
+    } else {
+      setReservations(prev => prev.map(r => r.id === res.id ? { ...r, payments: [...(r.payments || []), payment] } : r));
+    }
+  };
+
+  // --- PLAYERS ---
+  // Like other edits, players added to a series occurrence only join that occurrence.
+  const handleAddPlayer = (res, { name, customerId }) => {
+    if (!name.trim()) {
+      showToast("Completa el nombre del jugador.", 'error');
+      return false;
+    }
+    const court = courts.find(c => c.id === res.courtId);
+    const playerLimit = getPlayerLimit(res, court, classTypes);
+    if (res.players.length >= playerLimit) {
+      showToast(getClassType(res, classTypes) ? `La clase admite hasta ${playerLimit} alumnos.` : `La cancha ${court.label} admite hasta ${playerLimit} jugadores.`, 'error');
+      return false;
+    }
+    const customer = customers.find(c => c.id === customerId)
+      || findCustomerByName(customers, name.trim())
+      || handleCreateCustomer({ name: name.trim() });
+    if (res.players.some(p => p.customerId === customer.id)) {
+      showToast(`${customer.name} ya está en la reserva.`, 'error');
+      return false;
+    }
+    const player = createPlayer({ customerId: customer.id, name: customer.name });
+    setReservations(prev => applyToReservation(prev, res, { players: [...res.players, player] }));
+    showToast(`${customer.name} se sumó a la reserva`, 'success');
+    return true;
+  };
+
+  // Players who already paid stay, so their payments keep an owner.
+  const handleRemovePlayer = (res, player) => {
+    if (getPlayerShares(res).find(s => s.player === player).paid > 0) {
+      showToast(`${player.name} ya tiene pagos registrados y no se puede quitar.`, 'error');
+      return;
+    }
+    setReservations(prev => applyToReservation(prev, res, { players: res.players.filter(p => p.id !== player.id) }));
+    showToast(`${player.name} ya no está en la reserva`, 'success');
+  };
+
+  // --- COACHES ---
+  const handleCreateCoach = (fields) => {
+    const coach = createCoach(fields);
+    setCoaches(prev => [...prev, coach]);
+    return coach;
+  };
+
+  const handleUpdateCoach = (id, fields) => {
+    const badDay = WEEKDAY_ORDER.find(day => fields.availability[day] && fields.availability[day].from >= fields.availability[day].to);
+    if (badDay != null) {
+      showToast(`El horario del ${WEEKDAYS[badDay].toLowerCase()} termina antes de empezar.`, 'error');
+      return;
+    }
+    setCoaches(prev => prev.map(c => (c.id === id ? { ...c, ...fields, name: fields.name.trim() } : c)));
+    showToast("Profesor actualizado", 'success');
+  };
+
+  // Past classes keep the coach's id, so only coaches with nothing pending can go.
+  const handleRemoveCoach = (coach) => {
+    const pending = coachBookings.filter(r => r.coachId === coach.id && new Date(r.end).getTime() > Date.now());
+    if (pending.length > 0) {
+      showToast(`${coach.name} tiene ${pending.length} ${pending.length === 1 ? 'clase pendiente' : 'clases pendientes'}. Cancélalas antes de quitarlo.`, 'error');
+      return;
+    }
+    setConfirmation({
+      isOpen: true,
+      message: `¿Quitar a ${coach.name} del plantel de profesores?`,
+      onConfirm: () => {
+        setCoaches(prev => prev.filter(c => c.id !== coach.id));
+        showToast("Profesor eliminado", 'success');
+        setConfirmation({ isOpen: false, message: '', onConfirm: null });
+      }
+    });
+  };
+
+  const handleSaveClassTypes = (types) => {
+    setClassTypes(types);
+    showToast("Tipos de clase guardados", 'success');
+  };
+
+  // --- EVENTS ---
+  // Every court of the event must be open and free for the whole window, so the
+  // event is reserved as one block or not at all. Returns the event, or null.
+  const handleCreateEvent = (fields) => {
+    const setupError = validateEventSetup(fields);
+    if (setupError) {
+      showToast(setupError, 'error');
+      return null;
+    }
+    const event = createEvent(fields);
+    // Like the club hours, an end at or before the start falls on the next day.
+    const untilDate = fields.until <= fields.from ? addDays(fields.date, 1) : fields.date;
+    if (new Date(event.end) > new Date(`${untilDate}T${fields.until}`)) {
+      showToast(`Los ${event.matches.length} partidos no entran en el horario: el evento terminaría a las ${formatTime(event.end)}.`, 'error');
+      return null;
+    }
+    const blocks = getEventReservations(event);
+    for (const block of blocks) {
+      const court = courts.find(c => c.id === block.courtId);
+      const slotError = validateSlot(getEffectiveSchedule(schedule, court), block.start, block.end);
+      if (slotError) {
+        showToast(`Cancha ${court.label}: ${slotError}`, 'error');
+        return null;
+      }
+    }
+    const conflict = findConflict(blocks, withMaintenance(activeOccurrences, maintenance));
+    if (conflict) {
+      showToast(getConflictMessage(conflict, ` (cancha ${courts.find(c => c.id === conflict.occurrence.courtId)?.label})`), 'error');
+      return null;
+    }
+    setEvents(prev => [...prev, event]);
+    setReservations(prev => [...prev, ...blocks]);
+    showToast(`${event.name}: ${event.matches.length} partidos en ${blocks.length} ${blocks.length === 1 ? 'cancha' : 'canchas'}`, 'success');
+    return event;
+  };
+
+  const handleDeleteEvent = (event) => {
+    setConfirmation({
+      isOpen: true,
+      message: `¿Eliminar «${event.name}» con sus resultados? Las canchas reservadas para el evento quedarán libres.`,
+      onConfirm: () => {
+        const freed = reservations.filter(r => r.eventId === event.id);
+        setEvents(prev => prev.filter(e => e.id !== event.id));
+        setReservations(prev => prev.filter(r => r.eventId !== event.id));
+        showToast("Evento eliminado", 'success');
+        notifyWaitlist(freed);
+        setConfirmation({ isOpen: false, message: '', onConfirm: null });
+      }
+    });
+  };
+
+  const handleScoreMatch = (event, matchId, score) => {
+    const scoreError = validateScore(event, score);
+    if (scoreError) {
+      showToast(scoreError, 'error');
+      return;
+    }
+    setEvents(prev => prev.map(e => (e.id === event.id ? recordScore(e, matchId, score) : e)));
+    showToast("Resultado guardado", 'success');
+  };
+
+  // --- VENUES ---
+  // Loads a venue into the live state. The undo history belongs to the layout that
+  // was open, so it starts over.
+  const loadVenue = (venue) => {
+    elementsHistory.reset(venue.elements);
+    setReservations(venue.reservations);
+    setWaitlist(venue.waitlist);
+    setMaintenance(venue.maintenance);
+    setEvents(venue.events);
+    setSite(venue.site);
+    setSchedule(venue.schedule);
+    setPricing(venue.pricing);
+    setActiveVenueId(venue.id);
+    setSelectedIds([]);
+    setManagingState(null);
+  };
+
+  const handleSwitchVenue = (id) => {
+    if (id === activeVenueId) return;
+    setVenues(allVenues);
+    loadVenue(getVenue(allVenues, id));
+  };
+
+  const handleCreateVenue = (name) => {
+    const nameError = validateVenueName(venues, name);
+    if (nameError) {
+      showToast(nameError, 'error');
+      return false;
+    }
+    const venue = createVenue({ name });
+    setVenues([...allVenues, venue]);
+    loadVenue(venue);
+    showToast(`Sede "${venue.name}" creada`, 'success');
+    return true;
+  };
+
+  const handleRenameVenue = (id, name) => {
+    const nameError = validateVenueName(venues, name, id);
+    if (nameError) {
+      showToast(nameError, 'error');
+      return false;
+    }
+    setVenues(prev => prev.map(v => (v.id === id ? { ...v, name: name.trim() } : v)));
+    showToast("Sede renombrada", 'success');
+    return true;
+  };
+
+  // --- STAFF ---
+  // PINs are checked here, or by the sync server when it keeps them (see lib/staff).
+  // The PIN stays in memory as the session's credentials for staff changes.
+  // Resolves to null once logged in, otherwise the message for the PIN pad.
+  const handleLogin = async (pin) => {
+    let staffId;
+    try {
+      staffId = clubSync.keepsPins ? await clubSync.login(pin) : findStaffByPin(staff, pin)?.id;
+    } catch (err) {
+      return err.message;
+    }
+    const member = staff.find(m => m.id === staffId);
+    if (!member) return 'PIN incorrecto.';
+    syncSessionRef.current?.setCredentials({ staffId: member.id, pin });
+    setCurrentStaffId(member.id);
+    showToast(`Hola, ${member.name} (${ROLES[member.role].label})`, 'success');
+    return null;
+  };
+
+  // Staff changes still waiting to be sent go out with the credentials that made them.
+  const handleLock = () => {
+    syncSessionRef.current?.flush();
+    syncSessionRef.current?.setCredentials(null);
+    setCurrentStaffId(null);
+    setManagingState(null);
+    setIsStaffOpen(false);
+  };
+
+  // The record with its PIN: the hash goes into the record, or the PIN goes to the
+  // sync server with the next push when the server keeps the hashes.
+  const withPin = (member, pin) => {
+    if (!clubSync.keepsPins) return { ...member, pinHash: hashPin(pin, member.id) };
+    syncSessionRef.current?.setPin(member.id, pin);
+    const { pinHash: _pinHash, ...record } = member;
+    return record;
+  };
+
+  // The first account is the owner's and logs in straight away, so whoever sets up
+  // the accounts isn't locked out. Returns whether the account was created.
+  const handleCreateStaff = ({ name, role, pin }) => {
+    if (!name.trim()) {
+      showToast("La cuenta necesita un nombre.", 'error');
+      return false;
+    }
+    const pinError = validatePin(staff, pin);
+    if (pinError) {
+      showToast(pinError, 'error');
+      return false;
+    }
+    const member = withPin(createStaffMember({ name, role: staff.length === 0 ? 'owner' : role, pin }), pin);
+    setStaff(prev => [...prev, member]);
+    if (staff.length === 0) {
+      syncSessionRef.current?.setCredentials({ staffId: member.id, pin });
+      setCurrentStaffId(member.id);
+    }
+    showToast(`Cuenta de ${member.name} creada`, 'success');
+    return true;
+  };
+
+  // An empty PIN keeps the current one. Returns whether the changes were applied.
+  const handleUpdateStaff = (id, { name, role, pin }) => {
+    const member = staff.find(m => m.id === id);
+    if (!name.trim()) {
+      showToast("La cuenta necesita un nombre.", 'error');
+      return false;
+    }
+    if (member.role === 'owner' && role !== 'owner' && isLastOwner(staff, id)) {
+      showToast("Debe quedar al menos una cuenta con el rol de dueño.", 'error');
+      return false;
+    }
+    const pinError = pin && validatePin(staff, pin, id);
+    if (pinError) {
+      showToast(pinError, 'error');
+      return false;
+    }
+    const changed = { ...member, name: name.trim(), role };
+    const updated = pin ? withPin(changed, pin) : changed;
+    setStaff(prev => prev.map(m => (m.id === id ? updated : m)));
+    showToast("Cuenta actualizada", 'success');
+    return true;
+  };
+
+  // Removing the last account opens the app to everyone again.
+  const handleRemoveStaff = (member) => {
+    if (staff.length > 1 && member.role === 'owner' && isLastOwner(staff, member.id)) {
+      showToast("Debe quedar al menos una cuenta con el rol de dueño.", 'error');
+      return;
+    }
+    setConfirmation({
+      isOpen: true,
+      title: 'Eliminar Cuenta',
+      message: staff.length === 1
+        ? `¿Eliminar la cuenta de ${member.name}? Sin cuentas, la app deja de pedir PIN y cualquiera puede usar todo.`
+        : `¿Eliminar la cuenta de ${member.name}?${member.id === currentStaffId ? ' Se cerrará tu sesión.' : ''}`,
+      onConfirm: () => {
+        setStaff(prev => prev.filter(m => m.id !== member.id));
+        if (member.id === currentStaffId) setCurrentStaffId(null);
+        showToast("Cuenta eliminada", 'success');
+        setConfirmation({ isOpen: false, message: '', onConfirm: null });
+      }
+    });
+  };
+
+  // --- SYNC ---
+  // Takes in a state merged with the other tabs or devices. The open venue stays open
+  // while it exists; a layout changed elsewhere restarts the undo history.
+  const adoptSharedData = (data) => {
+    setVenues(data.venues);
+    setCustomers(data.customers);
+    setCoaches(data.coaches);
+    setClassTypes(data.classTypes);
+    setStaff(data.staff);
+    const venue = getVenue(data.venues, activeVenueId);
+    if (venue.id !== activeVenueId) {
+      loadVenue(venue);
+      return;
+    }
+    if (!isSameValue(venue.elements, elements)) {
+      elementsHistory.reset(venue.elements);
+      setSelectedIds(prev => prev.filter(id => venue.elements.some(el => el.id === id)));
+    }
+    setReservations(venue.reservations);
+    setWaitlist(venue.waitlist);
+    setMaintenance(venue.maintenance);
+    setEvents(venue.events);
+    setSite(venue.site);
+    setSchedule(venue.schedule);
+    setPricing(venue.pricing);
+  };
+
+  // The session calls back long after the render that created it, so it goes
+  // through refs holding the latest handlers.
+  const syncHandlersRef = useRef(null);
+  const syncSessionRef = useRef(null);
+  useEffect(() => {
+    syncHandlersRef.current = {
+      onData: adoptSharedData,
+      onConflict: (message) => showToast(message, 'error'),
+      onError: (message) => showToast(message, 'error'),
+    };
+  });
+
+  useEffect(() => {
+    const session = createSyncSession(clubSync, { revision: storedClub.revision, data: storedClub.data }, {
+      onData: (data) => syncHandlersRef.current.onData(data),
+      onConflict: (message) => syncHandlersRef.current.onConflict(message),
+      onError: (message) => syncHandlersRef.current.onError(message),
+    });
+    syncSessionRef.current = session;
+    return session.subscribe();
+  }, [storedClub]);
+
+  // Flushes are debounced so a drag (one update per pointermove) results in a single write.
+  useEffect(() => {
+    const session = syncSessionRef.current;
+    session.track(clubData);
+    const timer = setTimeout(session.flush, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [clubData]);
+
+  // --- EXPORT / IMPORT ---
+  // Backups carry the PIN hashes (see lib/staff), so they are for users who manage staff.
+  const handleExportBackup = () => {
+    if (!can('manageStaff')) return;
+    downloadTextFile(datedFilename('club-padel', 'json'), serializeClub(clubData, 2), 'application/json');
+    showToast("Respaldo exportado", 'success');
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = parseClubFile(await file.text());
+    } catch (err) {
+      showToast(err instanceof StorageError ? `No se pudo importar: ${err.message}` : "No se pudo leer el archivo.", 'error');
+      return;
+    }
+
+    // Accounts need their PIN hashes to log in: they stay as they are when the sync
+    // server keeps the hashes, or when the backup was made without them.
+    const keepsStaff = clubSync.keepsPins || data.staff.some(m => !m.pinHash);
+    setConfirmation({
+      isOpen: true,
+      title: 'Importar Respaldo',
+      message: `Se reemplazarán todas las sedes, clientes, profesores${keepsStaff ? '' : ' y usuarios'} actuales por ${data.venues.length} ${data.venues.length === 1 ? 'sede' : 'sedes'} con ${data.venues.reduce((sum, v) => sum + v.reservations.length, 0)} reservas de "${file.name}".${keepsStaff ? ' Los usuarios actuales se mantienen.' : ''}`,
+      confirmLabel: 'Importar',
+      onConfirm: () => {
+        setVenues(data.venues);
+        loadVenue(getVenue(data.venues, data.activeVenueId));
+        setCustomers(data.customers);
+        setCoaches(data.coaches);
+        setClassTypes(data.classTypes);
+        if (!keepsStaff) setStaff(data.staff);
+        showToast("Respaldo importado correctamente", 'success');
         setConfirmation({ isOpen: false, message: '', onConfirm: null });
       }
     });
   };
 
+  const handleSaveSchedule = (clubSchedule, courtSchedules) => {
+    setSchedule(clubSchedule);
+    const changed = elements.some(el => el.type === 'court' && !isSameValue(el.schedule || null, courtSchedules[el.id]));
+    if (changed) {
+      elementsHistory.commit('Horarios de canchas', prev => prev.map(el => (
+        el.type === 'court' && el.id in courtSchedules ? { ...el, schedule: courtSchedules[el.id] || undefined } : el
+      )));
+    }
+    setIsScheduleOpen(false);
+    showToast("Horarios actualizados", 'success');
+  };
+
+  const handleSavePricing = (clubPricing, courtPricing) => {
+    setPricing(clubPricing);
+    const changed = elements.some(el => el.type === 'court' && !isSameValue(el.pricing || null, courtPricing[el.id]));
+    if (changed) {
+      elementsHistory.commit('Tarifas de canchas', prev => prev.map(el => (
+        el.type === 'court' && el.id in courtPricing ? { ...el, pricing: courtPricing[el.id] || undefined } : el
+      )));
+    }
+    setIsPricingOpen(false);
+    showToast("Tarifas actualizadas", 'success');
+  };
+
+  // Pass a court to export only its agenda; without one the whole club is exported.
+  const handleExportCalendar = (court) => {
+    const courtLabels = new Map(elements.filter(el => el.type === 'court').map(el => [el.id, el.label]));
+    const source = court ? occurrences.filter(r => r.courtId === court.id) : occurrences;
+    if (source.length === 0) {
+      showToast("No hay reservas para exportar.", 'error');
+      return;
+    }
+    const ics = buildICalendar(source, {
+      calendarName: court ? `Cancha ${court.label}` : activeVenue.name,
+      getCourtLabel: (id) => courtLabels.get(id) ?? '?',
+    });
+    downloadTextFile(datedFilename(court ? `cancha-${court.label}` : 'club-padel', 'ics'), ics, 'text/calendar');
+    showToast(`Calendario exportado (${source.length} reservas)`, 'success');
+  };
+
   const zoomIn = () => setZoom(prev => Math.min(prev + 0.1, 3));
   const zoomOut = () => setZoom(prev => Math.max(prev - 0.1, 0.5));
   const resetZoom = () => setZoom(1);
@@ -854,20 +5067,130 @@ export default function PadelClubPlanner() {
           <div>
             <h1 className="font-bold text-lg text-white leading-tight">Padel Architect <span className="text-blue-400">Manager</span></h1>
           </div>
+          <div className="border-l border-slate-800 pl-3">
+            <VenueSwitcher
+              venues={allVenues}
+              activeVenueId={activeVenueId}
+              onSwitch={handleSwitchVenue}
+              onCreate={handleCreateVenue}
+              onRename={handleRenameVenue}
+              canEdit={can('design')}
+            />
+          </div>
         </div>
 
-        <div className="bg-slate-950 p-1 rounded-xl border border-slate-800 flex gap-1">
-          <button onClick={() => setMode('design')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'design' ? 'bg-slate-800 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><LayoutTemplate size={16} /> <span className="hidden md:inline">Arquitecto</span></button>
-          <button onClick={() => setMode('manage')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'manage' ? 'bg-blue-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Armchair size={16} /> <span className="hidden md:inline">Gestión</span></button>
-          <button onClick={() => setMode('search')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'search' ? 'bg-emerald-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Search size={16} /> <span className="hidden md:inline">Disponibilidad</span></button>
+        <div className="flex items-center gap-3">
+          <div className="flex gap-1">
+            {can('design') && <button onClick={() => setIsScheduleOpen(true)} title="Horarios y turnos" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Clock size={18} /></button>}
+            {can('editPricing') && <button onClick={() => setIsPricingOpen(true)} title="Tarifas" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Tag size={18} /></button>}
+            {can('manageStaff') && <button onClick={handleExportBackup} title="Exportar respaldo (JSON)" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Download size={18} /></button>}
+            {can('manageStaff') && <button onClick={() => importInputRef.current?.click()} title="Importar respaldo (JSON)" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><Upload size={18} /></button>}
+            <button onClick={() => handleExportCalendar()} title="Exportar reservas del club (.ics)" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><CalendarArrowDown size={18} /></button>
+            <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportFile} className="hidden" />
+            <button onClick={() => setIsWaitlistOpen(!isWaitlistOpen)} title="Lista de espera" className="relative p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors">
+              {freedCount > 0 ? <BellRing size={18} className="text-amber-400" /> : <Hourglass size={18} />}
+              {waitlist.length > 0 && (
+                <span className={`absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full text-[10px] font-bold flex items-center justify-center ${freedCount > 0 ? 'bg-amber-500 text-black' : 'bg-slate-700 text-white'}`}>
+                  {freedCount > 0 ? freedCount : waitlist.length}
+                </span>
+              )}
+            </button>
+          </div>
+
+          <div className="bg-slate-950 p-1 rounded-xl border border-slate-800 flex gap-1">
+            {can('design') && <button onClick={() => setMode('design')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'design' ? 'bg-slate-800 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><LayoutTemplate size={16} /> <span className="hidden md:inline">Arquitecto</span></button>}
+            <button onClick={() => setMode('manage')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'manage' ? 'bg-blue-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Armchair size={16} /> <span className="hidden md:inline">Gestión</span></button>
+            <button onClick={() => setMode('timeline')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'timeline' ? 'bg-violet-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><GanttChart size={16} /> <span className="hidden md:inline">Agenda</span></button>
+            <button onClick={() => setMode('customers')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'customers' ? 'bg-amber-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Users size={16} /> <span className="hidden md:inline">Clientes</span></button>
+            <button onClick={() => setMode('coaches')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'coaches' ? 'bg-teal-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><GraduationCap size={16} /> <span className="hidden md:inline">Profesores</span></button>
+            <button onClick={() => setMode('events')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'events' ? 'bg-orange-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Trophy size={16} /> <span className="hidden md:inline">Eventos</span></button>
+            {can('viewReports') && <button onClick={() => setMode('reports')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'reports' ? 'bg-cyan-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><BarChart3 size={16} /> <span className="hidden md:inline">Reportes</span></button>}
+            <button onClick={() => setMode('search')} className={`px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-medium flex items-center gap-2 transition-all ${mode === 'search' ? 'bg-emerald-600 text-white shadow-sm' : 'text-slate-500 hover:text-slate-300'}`}><Search size={16} /> <span className="hidden md:inline">Disponibilidad</span></button>
+          </div>
+
+          <div className="flex items-center gap-1">
+            {can('manageStaff') && <button onClick={() => setIsStaffOpen(true)} title="Usuarios y permisos" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"><ShieldCheck size={18} /></button>}
+            {currentUser && (
+              <button onClick={handleLock} title="Cambiar usuario" className="flex items-center gap-2 pl-2 pr-3 py-1.5 rounded-lg text-slate-300 hover:text-white hover:bg-slate-800 transition-colors">
+                <Lock size={14} />
+                <span className="text-left leading-tight">
+                  <span className="block text-xs font-medium">{currentUser.name}</span>
+                  <span className="block text-[10px] text-slate-500">{ROLES[currentUser.role].label}</span>
+                </span>
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
-      <div className="flex-1 relative bg-slate-950 overflow-hidden" onClick={() => setSelectedId(null)}>
+      <div className="flex-1 relative bg-slate-950 overflow-hidden">
         {mode === 'search' ? (
-          <AvailabilityView elements={elements} reservations={reservations} onReserve={(court, values) => setManagingState({ court, initialValues: values })} />
+          <AvailabilityView
+            venueName={activeVenue.name}
+            otherVenues={otherVenues}
+            elements={elements}
+            reservations={activeOccurrences}
+            maintenance={maintenance}
+            schedule={schedule}
+            pricing={pricing}
+            customers={customers}
+            coaches={coaches}
+            coachReservations={coachBookings}
+            waitlist={waitlist}
+            onReserve={(court, values, venueId) => {
+              if (venueId != null) handleSwitchVenue(venueId);
+              setManagingState({ court, initialValues: values });
+            }}
+            onAddToWaitlist={handleAddToWaitlist}
+          />
+        ) : mode === 'coaches' ? (
+          <CoachesView
+            coaches={coaches}
+            classTypes={classTypes}
+            reservations={occurrences}
+            courts={courts}
+            onCreate={handleCreateCoach}
+            onUpdate={handleUpdateCoach}
+            onRemove={handleRemoveCoach}
+            onSaveClassTypes={handleSaveClassTypes}
+          />
+        ) : mode === 'events' ? (
+          <EventsView
+            events={events}
+            courts={courts}
+            onCreate={handleCreateEvent}
+            onDelete={can('deleteReservations') ? handleDeleteEvent : null}
+            onScore={handleScoreMatch}
+          />
+        ) : mode === 'reports' ? (
+          <ReportsView courts={courts} reservations={occurrences} schedule={schedule} />
+        ) : mode === 'customers' ? (
+          <CustomersView
+            customers={customers}
+            reservations={occurrences}
+            courts={elements.filter(el => el.type === 'court')}
+            onCreate={handleCreateCustomer}
+            onUpdate={handleUpdateCustomer}
+            onChangeStatus={handleChangeStatus}
+            canCancel={can('deleteReservations')}
+          />
+        ) : mode === 'timeline' ? (
+          <TimelineView
+            courts={elements.filter(el => el.type === 'court')}
+            reservations={activeOccurrences}
+            maintenance={maintenance}
+            schedule={schedule}
+            coaches={coaches}
+            coachReservations={coachBookings}
+            classTypes={classTypes}
+            onBook={(court, values) => setManagingState({ court, initialValues: values })}
+            onOpenCourt={(court) => setManagingState({ court })}
+            onReschedule={handleRescheduleReservation}
+            showToast={showToast}
+          />
         ) : (
           <>
+            <LayoutLegend elements={elements} hiddenTypes={hiddenTypes} onToggle={toggleHiddenType} />
             <div className="absolute bottom-6 right-6 flex flex-col gap-2 z-50">
               <button onClick={zoomIn} className="p-2 bg-slate-800 border border-slate-700 text-white rounded-lg hover:bg-slate-700 shadow-lg"><ZoomIn size={20} /></button>
               <button onClick={resetZoom} className="p-2 bg-slate-800 border border-slate-700 text-white text-xs font-bold rounded-lg hover:bg-slate-700 shadow-lg w-10 h-10 flex items-center justify-center">{Math.round(zoom * 100)}%</button>
@@ -876,34 +5199,69 @@ export default function PadelClubPlanner() {
 
             <motion.div className="absolute inset-0 origin-center" animate={{ scale: zoom }} transition={{ type: false }} style={{ touchAction: 'none' }}>
               <div className="absolute inset-0 opacity-10 pointer-events-none" style={{ backgroundImage: `linear-gradient(#475569 1px, transparent 1px), linear-gradient(90deg, #475569 1px, transparent 1px)`, backgroundSize: `${SCALE}px ${SCALE}px` }}></div>
-              <div ref={containerRef} className="absolute inset-0 m-0">
-                {elements.map(el => {
+              <div ref={containerRef} className="absolute inset-0 m-0" onPointerDown={handleCanvasPointerDown}>
+                {site && <SiteBoundary site={site} zoom={zoom} />}
+                {visibleElements.map(el => {
                   if (el.type === 'court') {
-                    const activeRes = getCourtStatus(el.id, reservations, viewDate);
+                    const activeRes = getCourtStatus(el.id, activeOccurrences, viewDate);
+                    const activeBlock = findActiveBlock(el.id, maintenance, viewDate);
                     return (
                       <PadelCourt
                         key={el.id}
                         data={el}
-                        isSelected={selectedId === el.id}
-                        onSelect={setSelectedId}
-                        onUpdate={updateElement}
+                        isSelected={selectedIds.includes(el.id)}
+                        showControls={selectedIds[selectedIds.length - 1] === el.id}
+                        isColliding={overlappingIds.has(el.id)}
+                        onSelect={selectElement}
+                        onMove={moveElement}
+                        onRotateBy={rotateElementBy}
+                        onInteractionStart={elementsHistory.begin}
+                        onInteractionEnd={endInteraction}
                         onRotate={() => rotateElement(el.id)}
                         onDelete={() => deleteElement(el.id)}
                         containerRef={containerRef}
                         mode={mode}
                         activeReservation={activeRes}
+                        activeBlock={activeBlock}
+                        activeCoach={activeRes?.coachId != null ? coaches.find(c => c.id === activeRes.coachId) : null}
+                        playerLimit={activeRes && getPlayerLimit(activeRes, el, classTypes)}
                         onManage={() => setManagingState({ court: el })}
                         zoom={zoom}
                       />
                     );
+                  } else if (el.type === 'wall') {
+                    return (
+                      <WallSegment
+                        key={el.id}
+                        data={el}
+                        isSelected={selectedIds.includes(el.id)}
+                        showControls={selectedIds[selectedIds.length - 1] === el.id}
+                        isColliding={overlappingIds.has(el.id)}
+                        onSelect={selectElement}
+                        onMove={moveElement}
+                        onUpdate={updateElement}
+                        onInteractionStart={elementsHistory.begin}
+                        onInteractionEnd={endInteraction}
+                        onRotate={() => rotateElement(el.id)}
+                        onDelete={() => deleteElement(el.id)}
+                        mode={mode}
+                        zoom={zoom}
+                      />
+                    );
                   } else {
                     return (
                       <GenericZone
                         key={el.id}
                         data={el}
-                        isSelected={selectedId === el.id}
-                        onSelect={setSelectedId}
+                        isSelected={selectedIds.includes(el.id)}
+                        showControls={selectedIds[selectedIds.length - 1] === el.id}
+                        isColliding={overlappingIds.has(el.id)}
+                        onSelect={selectElement}
+                        onMove={moveElement}
+                        onRotateBy={rotateElementBy}
                         onUpdate={updateElement}
+                        onInteractionStart={elementsHistory.begin}
+                        onInteractionEnd={endInteraction}
                         onRotate={() => rotateElement(el.id)}
                         onDelete={() => deleteElement(el.id)}
                         containerRef={containerRef}
@@ -913,34 +5271,155 @@ export default function PadelClubPlanner() {
                     );
                   }
                 })}
+                {mode === 'design' && selectionBounds && (
+                  <div
+                    className="absolute border border-dashed border-yellow-400/70 pointer-events-none"
+                    style={{ left: selectionBounds.left - 6, top: selectionBounds.top - 6, width: selectionBounds.width + 12, height: selectionBounds.height + 12 }}
+                  />
+                )}
+                {marquee && (
+                  <div
+                    className="absolute bg-blue-500/10 border border-blue-400 pointer-events-none z-[60]"
+                    style={{
+                      left: Math.min(marquee.start.x, marquee.end.x),
+                      top: Math.min(marquee.start.y, marquee.end.y),
+                      width: Math.abs(marquee.end.x - marquee.start.x),
+                      height: Math.abs(marquee.end.y - marquee.start.y),
+                    }}
+                  />
+                )}
+                {mode === 'design' && isMeasuring && <MeasureOverlay measurement={measurement} onChange={setMeasurement} zoom={zoom} />}
+                {guides.map((g, i) => (
+                  <div
+                    key={i}
+                    className="absolute bg-fuchsia-400 pointer-events-none z-[60]"
+                    style={g.axis === 'x'
+                      ? { left: g.pos, top: g.from, width: 1 / zoom, height: g.to - g.from }
+                      : { top: g.pos, left: g.from, height: 1 / zoom, width: g.to - g.from }}
+                  />
+                ))}
               </div>
             </motion.div>
           </>
         )}
       </div>
 
-      {mode === 'design' && <DesignToolbar onAddCourt={addCourt} onAddZone={addZone} onClear={() => setElements([])} />}
+      {mode === 'design' && (
+        <DesignToolbar
+          onAddCourt={addCourt}
+          onAddZone={addZone}
+          onAddWall={addWall}
+          onClear={clearElements}
+          history={elementsHistory}
+          snapToGrid={snapToGrid}
+          onToggleSnap={() => setSnapToGrid(!snapToGrid)}
+          overlapCount={overlappingIds.size}
+          isMeasuring={isMeasuring}
+          onToggleMeasure={() => { setIsMeasuring(!isMeasuring); setMeasurement(null); }}
+          isInspectorOpen={isInspectorOpen}
+          onToggleInspector={() => setIsInspectorOpen(!isInspectorOpen)}
+        />
+      )}
+      {mode === 'design' && isInspectorOpen && (
+        <InspectorPanel
+          selection={selectedElements}
+          elements={elements}
+          site={site}
+          onChange={(changes, label) => editElement(selectedIds[0], changes, label)}
+          onRotateSelection={() => rotateElement(selectedIds[0])}
+          onDuplicateSelection={duplicateSelection}
+          onDeleteSelection={() => deleteElement(selectedIds[0])}
+          onChangeSite={setSite}
+          onClose={() => setIsInspectorOpen(false)}
+        />
+      )}
       {mode === 'manage' && <TimeController currentDate={viewDate} onChange={setViewDate} />}
 
       {managingState && (
         <ReservationModal
           court={managingState.court}
+          courts={courts}
+          schedule={getEffectiveSchedule(schedule, managingState.court)}
+          pricing={getEffectivePricing(pricing, managingState.court)}
+          customers={customers}
+          onCreateCustomer={handleCreateCustomer}
           initialValues={managingState.initialValues}
           isOpen={!!managingState}
           onClose={() => setManagingState(null)}
           onSave={handleSaveReservation}
-          existingReservations={reservations.filter(r => r.courtId === managingState.court.id)}
-          onDeleteRes={handleDeleteReservation}
+          existingReservations={occurrences.filter(r => r.courtId === managingState.court.id)}
+          maintenanceBlocks={maintenance.filter(b => b.courtId === managingState.court.id)}
+          onAddMaintenance={handleAddMaintenance}
+          onRemoveMaintenance={handleRemoveMaintenance}
+          onCancelRes={handleCancelReservation}
+          onChangeStatus={handleChangeStatus}
+          onEditReservation={handleEditReservation}
+          onAddPayment={handleAddPayment}
+          onAddPlayer={handleAddPlayer}
+          onRemovePlayer={handleRemovePlayer}
+          coaches={coaches}
+          classTypes={classTypes}
+          coachReservations={coachBookings}
+          onExportCalendar={() => handleExportCalendar(managingState.court)}
+          showToast={showToast}
+          canCancel={can('deleteReservations')}
+        />
+      )}
+
+      {isWaitlistOpen && (
+        <WaitlistPanel
+          waitlist={waitlist}
+          courts={courts}
+          onClose={() => setIsWaitlistOpen(false)}
+          onBook={handleBookWaitlistEntry}
+          onRemove={handleRemoveWaitlistEntry}
+        />
+      )}
+
+      {isScheduleOpen && can('design') && (
+        <ScheduleModal
+          isOpen={isScheduleOpen}
+          schedule={schedule}
+          courts={elements.filter(el => el.type === 'court')}
+          onClose={() => setIsScheduleOpen(false)}
+          onSave={handleSaveSchedule}
           showToast={showToast}
         />
       )}
 
+      {isPricingOpen && can('editPricing') && (
+        <PricingModal
+          isOpen={isPricingOpen}
+          pricing={pricing}
+          courts={elements.filter(el => el.type === 'court')}
+          onClose={() => setIsPricingOpen(false)}
+          onSave={handleSavePricing}
+          showToast={showToast}
+        />
+      )}
+
+      {isStaffOpen && can('manageStaff') && (
+        <StaffModal
+          staff={staff}
+          currentStaffId={currentStaffId}
+          onCreate={handleCreateStaff}
+          onUpdate={handleUpdateStaff}
+          onRemove={handleRemoveStaff}
+          onClose={() => setIsStaffOpen(false)}
+        />
+      )}
+
+      {isLocked && <PinLogin clubName={activeVenue.name} onSubmit={handleLogin} />}
+
       {/* CONFIRM MODAL */}
       <ConfirmModal
         isOpen={confirmation.isOpen}
-        title="Cancelar Reserva"
+        title={confirmation.title || 'Cancelar Reserva'}
         message={confirmation.message}
         onConfirm={confirmation.onConfirm}
+        confirmLabel={confirmation.confirmLabel}
+        altLabel={confirmation.altLabel}
+        onAlt={confirmation.onAlt}
         onCancel={() => setConfirmation({ ...confirmation, isOpen: false })}
       />
     </div>
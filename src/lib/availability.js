@@ -0,0 +1,73 @@
+import { DURATION_OPTIONS, getEffectiveSchedule, getSlotStarts, validateSlot, addDays } from './schedule';
+import { rangesOverlap } from './recurrence';
+import { blocksInRange } from './courts';
+import { validateCoachBooking } from './coaches';
+
+// --- AVAILABILITY SEARCH ---
+// query: { date: 'YYYY-MM-DD', time: 'HH:MM', duration }
+// club: { reservations, maintenance, schedule, coach?, coachReservations? }, where
+// `reservations` are the expanded occurrences that still hold their slot (cancelled
+// ones left out). With a `coach`, nothing is free unless the coach is available too;
+// `coachReservations` (default: `reservations`) adds the coach's classes at other venues.
+
+export const findFreeCourts = (courts, { reservations, maintenance, schedule, coach = null, coachReservations = reservations }, { date, time, duration }) => {
+  const start = new Date(`${date}T${time}`).getTime();
+  const end = start + duration * 60000;
+  if (coach && validateCoachBooking(coach, [{ id: null, coachId: coach.id, start, end }], coachReservations)) return [];
+  return courts.filter(court => (
+    !validateSlot(getEffectiveSchedule(schedule, court), start, end)
+    && blocksInRange(maintenance, court.id, start, end).length === 0
+    && !reservations.some(res => (
+      res.courtId === court.id && rangesOverlap(start, end, new Date(res.start).getTime(), new Date(res.end).getTime())
+    ))
+  ));
+};
+
+// Courts may have their own hours, so a start time is offered when it is valid on at least one court.
+export const getSearchSlots = (courts, schedule, date, duration) => (
+  [...new Set([schedule, ...courts.map(c => getEffectiveSchedule(schedule, c))]
+    .flatMap(sch => getSlotStarts(sch, date, duration)))].sort()
+);
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Ranked alternatives for a query with no free court, in three groups:
+//   sameDay    - other start times within ±hoursAround, nearest first
+//   nearbyDays - the same time up to daysAround days away, nearest first (later day on ties)
+//   shorter    - shorter durations at the same time, longest first
+// Each suggestion is { date, time, duration, courts } with the courts free for it.
+// Nothing that starts before `now` is suggested.
+export const suggestAlternatives = (courts, club, query, { hoursAround = 3, daysAround = 3, limit = 6, now = Date.now() } = {}) => {
+  const suggest = (candidate) => {
+    if (new Date(`${candidate.date}T${candidate.time}`).getTime() < now) return null;
+    const free = findFreeCourts(courts, club, candidate);
+    return free.length > 0 ? { ...candidate, courts: free } : null;
+  };
+  const offers = (date, duration) => getSearchSlots(courts, club.schedule, date, duration);
+
+  const requested = toMinutes(query.time);
+  const sameDay = offers(query.date, query.duration)
+    .filter(time => time !== query.time && Math.abs(toMinutes(time) - requested) <= hoursAround * 60)
+    .sort((a, b) => Math.abs(toMinutes(a) - requested) - Math.abs(toMinutes(b) - requested) || toMinutes(a) - toMinutes(b))
+    .map(time => suggest({ ...query, time }))
+    .filter(Boolean)
+    .slice(0, limit);
+
+  const nearbyDays = Array.from({ length: daysAround }, (_, i) => [addDays(query.date, i + 1), addDays(query.date, -(i + 1))])
+    .flat()
+    .filter(date => offers(date, query.duration).includes(query.time))
+    .map(date => suggest({ ...query, date }))
+    .filter(Boolean)
+    .slice(0, limit);
+
+  const shorter = DURATION_OPTIONS
+    .filter(duration => duration < query.duration && offers(query.date, duration).includes(query.time))
+    .sort((a, b) => b - a)
+    .map(duration => suggest({ ...query, duration }))
+    .filter(Boolean);
+
+  return { sameDay, nearbyDays, shorter };
+};
@@ -0,0 +1,102 @@
+import { rangesOverlap } from './recurrence';
+import { WEEKDAYS } from './schedule';
+import { formatDate } from './dates';
+import { getMaxPlayers } from './courts';
+
+// --- COACHES & CLASSES ---
+// coach: { id, name, phone, availability: { [0-6]: { from: 'HH:MM', to: 'HH:MM' } | null } }
+//   keyed by Date#getDay(); null is a day off.
+// classType: { id, name, maxStudents }
+// A class is a reservation that also holds `coachId` and `classTypeId`. Its players
+// are the students, capped by the class type instead of the court format, and
+// the coach goes through the same overlap checks as the court.
+
+export const MAX_CLASS_STUDENTS = 8;
+
+export const DEFAULT_CLASS_TYPES = [
+  { id: 'private', name: 'Clase particular', maxStudents: 1 },
+  { id: 'group', name: 'Clase grupal', maxStudents: 4 },
+  { id: 'clinic', name: 'Clínica', maxStudents: MAX_CLASS_STUDENTS },
+];
+
+const WORKDAY = { from: '09:00', to: '21:00' };
+
+export const DEFAULT_COACH_AVAILABILITY = {
+  0: null, 1: WORKDAY, 2: WORKDAY, 3: WORKDAY, 4: WORKDAY, 5: WORKDAY, 6: { from: '09:00', to: '14:00' },
+};
+
+export const getClassType = (res, classTypes) => (res.classTypeId != null ? classTypes.find(t => t.id === res.classTypeId) : null);
+
+// Players allowed on a booking: the class type's students, or the court format.
+export const getPlayerLimit = (res, court, classTypes) => getClassType(res, classTypes)?.maxStudents ?? getMaxPlayers(court);
+
+export const createCoach = ({ name, phone = '' }, id = Date.now()) => ({
+  id,
+  name: name.trim(),
+  phone: phone.trim(),
+  availability: DEFAULT_COACH_AVAILABILITY,
+});
+
+export const createClassType = ({ name, maxStudents }, id = `class-${Date.now()}`) => ({ id, name: name.trim(), maxStudents });
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const minuteOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// Returns null when the coach works the whole of [start, end), otherwise a message for the user.
+export const getCoachAvailabilityError = (coach, start, end) => {
+  const s = new Date(start);
+  const e = new Date(end);
+  const hours = coach.availability[s.getDay()];
+  if (!hours) return `${coach.name} no da clases ese día (${WEEKDAYS[s.getDay()].toLowerCase()}).`;
+  const sameDay = s.toDateString() === new Date(e.getTime() - 1).toDateString();
+  if (!sameDay || minuteOfDay(s) < toMinutes(hours.from) || (minuteOfDay(e) || 24 * 60) > toMinutes(hours.to)) {
+    return `${coach.name} da clases de ${hours.from} a ${hours.to} ese día.`;
+  }
+  return null;
+};
+
+// Like findConflict, but on the coach: any booking of the same coach, on any court.
+export const findCoachConflict = (candidates, existing) => {
+  for (const candidate of candidates) {
+    const cStart = new Date(candidate.start).getTime();
+    const cEnd = new Date(candidate.end).getTime();
+    const conflictWith = existing.find(res => (
+      res.coachId === candidate.coachId
+      && res.id !== candidate.id
+      && res.status !== 'cancelled'
+      && rangesOverlap(cStart, cEnd, new Date(res.start).getTime(), new Date(res.end).getTime())
+    ));
+    if (conflictWith) return { occurrence: candidate, conflictWith };
+  }
+  return null;
+};
+
+// Checks every occurrence of a class against the coach's hours and bookings.
+// Returns null or a message naming the first failing date when there are several.
+export const validateCoachBooking = (coach, occurrences, existing) => {
+  const suffix = (occurrence) => (occurrences.length > 1 ? ` (${formatDate(occurrence.start)})` : '');
+  for (const occurrence of occurrences) {
+    const availabilityError = getCoachAvailabilityError(coach, occurrence.start, occurrence.end);
+    if (availabilityError) return `${availabilityError}${suffix(occurrence)}`;
+  }
+  const conflict = findCoachConflict(occurrences, existing);
+  if (conflict) return `${coach.name} ya tiene una reserva en ese horario${suffix(conflict.occurrence)}.`;
+  return null;
+};
+
+export const isValidCoach = (coach) => Boolean(
+  coach
+  && coach.id != null
+  && typeof coach.name === 'string'
+  && coach.availability
+  && Object.values(coach.availability).every(h => h === null || (typeof h.from === 'string' && typeof h.to === 'string'))
+);
+
+export const isValidClassType = (type) => Boolean(
+  type && type.id != null && typeof type.name === 'string'
+  && Number.isInteger(type.maxStudents) && type.maxStudents >= 1 && type.maxStudents <= MAX_CLASS_STUDENTS
+);
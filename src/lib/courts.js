@@ -0,0 +1,97 @@
+import { rangesOverlap } from './recurrence';
+
+// --- COURT ATTRIBUTES ---
+// Courts carry { covered, surface, lighting, format } next to their colour and
+// label. A court without lighting is never charged the lighting surcharge.
+
+export const COURT_SURFACES = {
+  synthetic: 'Césped sintético',
+  carpet: 'Moqueta',
+  concrete: 'Cemento',
+};
+
+export const COURT_FORMATS = {
+  doubles: 'Dobles',
+  singles: 'Singles',
+};
+
+export const DEFAULT_COURT_ATTRIBUTES = { covered: false, surface: 'synthetic', lighting: true, format: 'doubles' };
+
+// A singles court takes two players, a doubles court four.
+export const getMaxPlayers = (court) => (court?.format === 'singles' ? 2 : 4);
+
+const normalizeLabel = (label) => String(label ?? '').trim().toLowerCase();
+
+// Court labels are unique within a venue, ignoring case and surrounding spaces.
+export const isCourtLabelTaken = (elements, court) => elements.some(el => (
+  el.type === 'court' && el.id !== court.id && normalizeLabel(el.label) === normalizeLabel(court.label)
+));
+
+// The lowest numbers no court uses as its label yet, one per new court.
+export const getNextCourtLabels = (elements, count = 1) => {
+  const used = new Set(elements.filter(el => el.type === 'court').map(el => normalizeLabel(el.label)));
+  const labels = [];
+  for (let n = 1; labels.length < count; n++) {
+    if (!used.has(String(n))) labels.push(n);
+  }
+  return labels;
+};
+
+export const isValidCourtAttributes = (court) => (
+  typeof court.covered === 'boolean'
+  && typeof court.lighting === 'boolean'
+  && Object.hasOwn(COURT_SURFACES, court.surface)
+  && Object.hasOwn(COURT_FORMATS, court.format)
+);
+
+// filters: { covered: 'any' | 'covered' | 'outdoor', surface: 'any' | id, format: 'any' | id, lighting: bool }
+// `lighting: true` keeps only courts with lights; false does not filter.
+export const DEFAULT_COURT_FILTERS = { covered: 'any', surface: 'any', format: 'any', lighting: false };
+
+export const matchesCourtFilters = (court, filters) => (
+  (filters.covered === 'any' || court.covered === (filters.covered === 'covered'))
+  && (filters.surface === 'any' || court.surface === filters.surface)
+  && (filters.format === 'any' || court.format === filters.format)
+  && (!filters.lighting || court.lighting)
+);
+
+export const describeCourt = (court) => [
+  court.covered ? 'Techada' : 'Descubierta',
+  COURT_SURFACES[court.surface],
+  COURT_FORMATS[court.format],
+  court.lighting ? 'Con luz' : 'Sin luz',
+].filter(Boolean).join(' · ');
+
+// --- MAINTENANCE BLOCKS ---
+// block: { id, courtId, start, end (ISO), reason, acceptedOverlaps?: [occurrence id] }
+// A block makes its court unbookable for [start, end). Blocks go through the same
+// overlap checks as reservations: merge them in with `withMaintenance` before
+// calling findConflict, and check `conflictWith.isMaintenance` for the message.
+// `acceptedOverlaps` lists the bookings the block was knowingly placed over, so
+// sync can tell them from bookings made elsewhere in the meantime.
+
+export const createMaintenanceBlock = ({ courtId, start, end, reason = '', acceptedOverlaps = [] }, id = Date.now()) => ({
+  id,
+  courtId,
+  start: new Date(start).toISOString(),
+  end: new Date(end).toISOString(),
+  reason: reason.trim(),
+  acceptedOverlaps,
+});
+
+export const withMaintenance = (reservations, blocks) => [
+  ...reservations,
+  ...blocks.map(block => ({ ...block, isMaintenance: true })),
+];
+
+export const findActiveBlock = (courtId, blocks, viewDate) => {
+  const viewTime = new Date(viewDate).getTime();
+  return blocks.find(block => (
+    block.courtId === courtId && viewTime >= new Date(block.start).getTime() && viewTime < new Date(block.end).getTime()
+  ));
+};
+
+export const blocksInRange = (blocks, courtId, start, end) => blocks.filter(block => (
+  block.courtId === courtId
+  && rangesOverlap(new Date(start).getTime(), new Date(end).getTime(), new Date(block.start).getTime(), new Date(block.end).getTime())
+));
@@ -0,0 +1,16 @@
+// --- CSV EXPORT ---
+// columns: [{ header, value: (row) => any }]. Output starts with a BOM so Excel
+// opens accented text as UTF-8.
+
+const escapeCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows, columns) => {
+  const lines = [
+    columns.map(c => escapeCell(c.header)).join(','),
+    ...rows.map(row => columns.map(c => escapeCell(c.value(row))).join(',')),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,89 @@
+import { getAmountPaid, getPlayerShares } from './pricing';
+
+// --- CUSTOMER DIRECTORY ---
+// customer: { id, name, phone, email, notes, createdAt }
+// Reservations reference a customer by `customerId` and keep `clientName` as a
+// snapshot of the name, so calendars and exports still read well on their own.
+
+export const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const createCustomer = ({ name, phone = '', email = '', notes = '' }, id = Date.now()) => ({
+  id,
+  name: name.trim(),
+  phone: phone.trim(),
+  email: email.trim(),
+  notes,
+  createdAt: new Date().toISOString(),
+});
+
+// Matches name, phone or email; names starting with the query rank first.
+export const searchCustomers = (customers, query, limit = 6) => {
+  const q = normalizeText(query);
+  if (!q) return [];
+  const digits = q.replace(/\D/g, '');
+
+  return customers
+    .map(c => {
+      const name = normalizeText(c.name);
+      let score = 0;
+      if (name.startsWith(q)) score = 3;
+      else if (name.split(' ').some(word => word.startsWith(q))) score = 2;
+      else if (name.includes(q) || normalizeText(c.email).includes(q)) score = 1;
+      else if (digits.length >= 3 && c.phone.replace(/\D/g, '').includes(digits)) score = 1;
+      return { customer: c, score };
+    })
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.customer.name.localeCompare(b.customer.name))
+    .slice(0, limit)
+    .map(m => m.customer);
+};
+
+export const findCustomerByName = (customers, name) => {
+  const q = normalizeText(name);
+  return customers.find(c => normalizeText(c.name) === q);
+};
+
+const findPlayer = (res, customerId) => res.players?.find(p => p.customerId === customerId);
+
+// `reservations` must be expanded so each occurrence of a series counts once.
+// Bookings the customer joined as a player count too; what they spent is what
+// they paid towards their own share.
+export const getCustomerStats = (customerId, reservations, now = Date.now()) => {
+  const own = reservations
+    .filter(r => r.customerId === customerId || findPlayer(r, customerId))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+  // Cancelled bookings go to the history even when their date has not come yet.
+  const isUpcoming = (r) => r.status !== 'cancelled' && new Date(r.end).getTime() > now;
+  const past = own.filter(r => !isUpcoming(r)).reverse();
+  const upcoming = own.filter(isUpcoming);
+
+  return {
+    past,
+    upcoming,
+    totalSpent: own.reduce((sum, r) => {
+      const player = findPlayer(r, customerId);
+      return sum + (player ? getPlayerShares(r).find(s => s.player === player).paid : getAmountPaid(r));
+    }, 0),
+    noShows: past.filter(r => r.status === 'no-show').length,
+    lateCancellations: past.filter(r => r.status === 'cancelled' && r.cancellation?.isLate).length,
+  };
+};
+
+// Builds the directory from the free-text names of older reservations; names that
+// only differ in case, accents or spacing become a single customer.
+export const buildCustomersFromReservations = (reservations) => {
+  const byName = new Map();
+  const baseId = Date.now();
+  const linked = reservations.map(res => {
+    const key = normalizeText(res.clientName);
+    if (!key) return res;
+    if (!byName.has(key)) byName.set(key, createCustomer({ name: res.clientName }, baseId + byName.size));
+    return { ...res, customerId: byName.get(key).id };
+  });
+  return { customers: [...byName.values()], reservations: linked };
+};
@@ -0,0 +1,20 @@
+// --- DATE HELPERS ---
+export const getLocalYYYYMMDD = (date) => {
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * 60000;
+  const local = new Date(d.getTime() - offset);
+  return local.toISOString().split('T')[0];
+};
+
+export const formatDate = (dateStr) => {
+  const d = new Date(dateStr.includes('T') ? dateStr : `${dateStr}T00:00:00`);
+  return d.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+export const formatTime = (date) => new Date(date).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+
+// "HH:MM" in local time, the format used by <input type="time">.
+export const getLocalHHMM = (date) => {
+  const d = new Date(date);
+  return `${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
+};
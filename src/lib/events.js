@@ -0,0 +1,232 @@
+import { createOrganizer } from './reservations';
+
+// --- EVENTS (TOURNAMENTS & AMERICANOS) ---
+// event: { id, name, format, entrants: [{ id, name }], courtIds, date, from, until,
+//          matchMinutes, start, end (ISO), matches, createdAt }
+// match: { id, round, courtId, start, end, sides: [[entrantId...], [entrantId...]], score: [a, b] | null }
+// Entrants are pairs for a round robin or a knockout and single players for an
+// americano, where each player partners every other player once.
+// Knockout matches after the first round have `sources` instead of fixed sides:
+// [{ match: id } | { entrant: id }, ...], resolved from the winners by getMatches.
+// The courts are held by one reservation per court spanning the whole event,
+// tagged with `eventId` (see getEventReservations), so every overlap check treats
+// the event like any other booking.
+
+export const EVENT_FORMATS = {
+  'round-robin': { label: 'Todos contra todos', entrants: 'Parejas' },
+  americano: { label: 'Americano', entrants: 'Jugadores' },
+  knockout: { label: 'Eliminación directa', entrants: 'Parejas' },
+};
+
+export const MATCH_DURATION_OPTIONS = [20, 30, 45, 60, 90];
+
+// Returns null when the setup can be scheduled, otherwise a message for the user.
+export const validateEventSetup = ({ format, entrantNames, courtIds }) => {
+  const names = entrantNames.map(n => n.trim().toLowerCase());
+  if (courtIds.length === 0) return 'Elige al menos una cancha.';
+  if (new Set(names).size !== names.length) return 'Hay participantes repetidos.';
+  if (format === 'americano') {
+    return names.length >= 4 && names.length % 4 === 0 ? null : 'Un americano necesita una cantidad de jugadores múltiplo de 4.';
+  }
+  return names.length >= 2 ? null : 'Se necesitan al menos 2 parejas.';
+};
+
+// Circle method: every id meets every other id once; an odd count gets a bye (null).
+const circleRounds = (ids) => {
+  const list = ids.length % 2 ? [...ids, null] : [...ids];
+  const rounds = [];
+  for (let r = 0; r < list.length - 1; r++) {
+    rounds.push(Array.from({ length: list.length / 2 }, (_, i) => [list[i], list[list.length - 1 - i]]));
+    list.splice(1, 0, list.pop());
+  }
+  return rounds;
+};
+
+const roundRobinRounds = (ids) => circleRounds(ids).map(pairs => pairs
+  .filter(([a, b]) => a != null && b != null)
+  .map(([a, b]) => ({ sides: [[a], [b]] })));
+
+// Partnerships come from the circle method; consecutive partnerships of a round face each other.
+const americanoRounds = (ids) => circleRounds(ids).map(pairs => Array.from(
+  { length: pairs.length / 2 },
+  (_, i) => ({ sides: [pairs[2 * i], pairs[2 * i + 1]] })
+));
+
+// Standard bracket order, so the first two seeds can only meet in the final.
+const seedOrder = (size) => {
+  let order = [0];
+  while (order.length < size) order = order.flatMap(s => [s, order.length * 2 - 1 - s]);
+  return order;
+};
+
+// Seeds follow the entrant order; missing seeds are byes that advance their opponent.
+const knockoutRounds = (ids) => {
+  let size = 1;
+  while (size < ids.length) size *= 2;
+  const seeds = seedOrder(size).map(i => ids[i] ?? null);
+  const rounds = [];
+  let sources = seeds.map(id => (id == null ? null : { entrant: id }));
+  while (sources.length > 1) {
+    const round = [];
+    const next = [];
+    for (let i = 0; i < sources.length; i += 2) {
+      const [a, b] = [sources[i], sources[i + 1]];
+      if (!a || !b) {
+        next.push(a || b);
+        continue;
+      }
+      const match = rounds.length === 0 ? { sides: [[a.entrant], [b.entrant]] } : { sources: [a, b] };
+      round.push(match);
+      next.push({ match });
+    }
+    rounds.push(round);
+    sources = next;
+  }
+  return rounds;
+};
+
+const ROUND_BUILDERS = { 'round-robin': roundRobinRounds, americano: americanoRounds, knockout: knockoutRounds };
+
+// Rounds are played in order; a round with more matches than courts takes several
+// back-to-back slots.
+export const createEvent = ({ name, format, entrantNames, courtIds, date, from, until, matchMinutes }, id = Date.now()) => {
+  const entrants = entrantNames.map((entrantName, i) => ({ id: `e${i + 1}`, name: entrantName.trim() }));
+  const rounds = ROUND_BUILDERS[format](entrants.map(e => e.id));
+  const startMs = new Date(`${date}T${from}`).getTime();
+  const slotMs = matchMinutes * 60000;
+
+  let slot = 0;
+  rounds.forEach((round, r) => {
+    round.forEach((match, i) => {
+      const start = startMs + (slot + Math.floor(i / courtIds.length)) * slotMs;
+      Object.assign(match, {
+        id: `r${r + 1}m${i + 1}`,
+        round: r + 1,
+        courtId: courtIds[i % courtIds.length],
+        start: new Date(start).toISOString(),
+        end: new Date(start + slotMs).toISOString(),
+        score: null,
+      });
+    });
+    slot += Math.ceil(round.length / courtIds.length);
+  });
+  // Knockout sources point at the match objects while building; store their ids instead.
+  const matches = rounds.flat().map(({ sources, ...match }) => (
+    sources ? { ...match, sources: sources.map(s => (s.match ? { match: s.match.id } : s)) } : match
+  ));
+
+  return {
+    id,
+    name: name.trim(),
+    format,
+    entrants,
+    courtIds,
+    date,
+    from,
+    until,
+    matchMinutes,
+    start: new Date(startMs).toISOString(),
+    end: new Date(startMs + slot * slotMs).toISOString(),
+    matches,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+// One linked block per court that hosts at least one match.
+export const getEventReservations = (event) => [...new Set(event.matches.map(m => m.courtId))].map(courtId => {
+  const block = {
+    id: `event-${event.id}-${courtId}`,
+    eventId: event.id,
+    courtId,
+    clientName: event.name,
+    customerId: null,
+    start: event.start,
+    end: event.end,
+    price: 0,
+    deposit: '0',
+    payments: [],
+    status: 'confirmed',
+  };
+  return { ...block, players: [createOrganizer(block)] };
+});
+
+const getWinner = (match) => {
+  if (!match.score || !match.sides) return null;
+  return match.score[0] > match.score[1] ? match.sides[0] : match.sides[1];
+};
+
+// Matches with knockout sides filled in from the winners so far; a side that is
+// not decided yet is null.
+export const getMatches = (event) => {
+  const resolved = new Map();
+  event.matches.forEach(match => {
+    const sides = match.sources
+      ? match.sources.map(s => (s.entrant ? [s.entrant] : getWinner(resolved.get(s.match))))
+      : match.sides;
+    resolved.set(match.id, { ...match, sides });
+  });
+  return [...resolved.values()];
+};
+
+// Returns null when the score can be recorded, otherwise a message for the user.
+export const validateScore = (event, score) => {
+  if (!score.every(n => Number.isInteger(n) && n >= 0)) return 'Ingresa un resultado válido.';
+  if (event.format === 'knockout' && score[0] === score[1]) return 'En eliminación directa no puede haber empate.';
+  return null;
+};
+
+// In a knockout, changing a winner clears the results that depended on the old one.
+export const recordScore = (event, matchId, score) => {
+  const cleared = new Set();
+  if (event.format === 'knockout') {
+    const before = getMatches(event).find(m => m.id === matchId);
+    const after = { ...before, score };
+    if (before.score && getWinner(before)?.[0] !== getWinner(after)?.[0]) {
+      const clear = (id) => event.matches
+        .filter(m => m.sources?.some(s => s.match === id))
+        .forEach(m => { cleared.add(m.id); clear(m.id); });
+      clear(matchId);
+    }
+  }
+  return {
+    ...event,
+    matches: event.matches.map(m => {
+      if (m.id === matchId) return { ...m, score };
+      return cleared.has(m.id) ? { ...m, score: null } : m;
+    }),
+  };
+};
+
+// Rows: { entrant, played, won, drawn, lost, scored, conceded, diff }.
+// Americanos rank by points (games) scored; the other formats by wins, then difference.
+export const getStandings = (event) => {
+  const rows = new Map(event.entrants.map(entrant => [entrant.id, {
+    entrant, played: 0, won: 0, drawn: 0, lost: 0, scored: 0, conceded: 0, diff: 0,
+  }]));
+  getMatches(event).filter(m => m.score).forEach(match => {
+    match.sides.forEach((side, i) => side.forEach(id => {
+      const row = rows.get(id);
+      const own = match.score[i];
+      const other = match.score[1 - i];
+      row.played += 1;
+      row.scored += own;
+      row.conceded += other;
+      row.diff = row.scored - row.conceded;
+      if (own > other) row.won += 1;
+      else if (own < other) row.lost += 1;
+      else row.drawn += 1;
+    }));
+  });
+  const rank = event.format === 'americano'
+    ? (a, b) => b.scored - a.scored || b.diff - a.diff
+    : (a, b) => b.won - a.won || b.diff - a.diff || b.scored - a.scored;
+  return [...rows.values()].sort(rank);
+};
+
+// The knockout winner once the final has a result.
+export const getChampion = (event) => {
+  if (event.format !== 'knockout') return null;
+  const matches = getMatches(event);
+  const winner = getWinner(matches[matches.length - 1]);
+  return winner && event.entrants.find(e => e.id === winner[0]);
+};
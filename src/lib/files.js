@@ -0,0 +1,19 @@
+// --- FILE DOWNLOAD / UPLOAD ---
+export const downloadTextFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// "club-padel-2026-10-19" style names so exports sort by date.
+export const datedFilename = (prefix, extension, date = new Date()) => {
+  const d = new Date(date);
+  const stamp = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  return `${prefix}-${stamp}.${extension}`;
+};
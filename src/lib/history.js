@@ -0,0 +1,96 @@
+import { useReducer, useMemo } from 'react';
+
+// --- UNDO / REDO HISTORY ---
+// Snapshot-based command stack. Each entry stores the state *before* a command and
+// a label describing it, so the toolbar can say what will be undone.
+// Continuous gestures (drag, resize) call begin() on pointerdown and end() on
+// pointerup; the transient updates in between are applied with set() and collapse
+// into a single entry, or are rolled back with cancel().
+
+export const HISTORY_LIMIT = 100;
+
+export const createHistory = (present) => ({ past: [], present, future: [], gesture: null });
+
+const pushPast = (past, entry) => [...past, entry].slice(-HISTORY_LIMIT);
+
+export const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'set':
+      return { ...state, present: action.updater(state.present) };
+    case 'commit': {
+      const next = action.updater(state.present);
+      if (next === state.present) return state;
+      return {
+        past: pushPast(state.past, { label: action.label, state: state.present }),
+        present: next,
+        future: [],
+        gesture: null,
+      };
+    }
+    case 'begin':
+      return { ...state, gesture: state.present };
+    case 'end':
+      if (!state.gesture) return state;
+      if (state.gesture === state.present) return { ...state, gesture: null };
+      return {
+        past: pushPast(state.past, { label: action.label, state: state.gesture }),
+        present: state.present,
+        future: [],
+        gesture: null,
+      };
+    // Abandons the current gesture, restoring the state from before it began.
+    case 'cancel':
+      if (!state.gesture) return state;
+      return { ...state, present: state.gesture, gesture: null };
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      const entry = state.past[state.past.length - 1];
+      return {
+        past: state.past.slice(0, -1),
+        present: entry.state,
+        future: [{ label: entry.label, state: state.present }, ...state.future],
+        gesture: null,
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      const [entry, ...rest] = state.future;
+      return {
+        past: pushPast(state.past, { label: entry.label, state: state.present }),
+        present: entry.state,
+        future: rest,
+        gesture: null,
+      };
+    }
+    case 'reset':
+      return createHistory(action.present);
+    default:
+      return state;
+  }
+};
+
+const resolve = (valueOrUpdater) => (typeof valueOrUpdater === 'function' ? valueOrUpdater : () => valueOrUpdater);
+
+export const useHistoryState = (initialPresent) => {
+  const [state, dispatch] = useReducer(historyReducer, initialPresent, createHistory);
+
+  const actions = useMemo(() => ({
+    set: (valueOrUpdater) => dispatch({ type: 'set', updater: resolve(valueOrUpdater) }),
+    commit: (label, valueOrUpdater) => dispatch({ type: 'commit', label, updater: resolve(valueOrUpdater) }),
+    begin: () => dispatch({ type: 'begin' }),
+    end: (label) => dispatch({ type: 'end', label }),
+    cancel: () => dispatch({ type: 'cancel' }),
+    undo: () => dispatch({ type: 'undo' }),
+    redo: () => dispatch({ type: 'redo' }),
+    reset: (present) => dispatch({ type: 'reset', present }),
+  }), []);
+
+  return {
+    present: state.present,
+    ...actions,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    undoLabel: state.past[state.past.length - 1]?.label,
+    redoLabel: state.future[0]?.label,
+  };
+};
@@ -0,0 +1,59 @@
+// --- ICALENDAR (RFC 5545) EXPORT ---
+// Works on expanded reservations, so every occurrence of a recurring series is
+// written as its own VEVENT (moved occurrences are already applied). Cancelled
+// bookings are kept with STATUS:CANCELLED so subscribed calendars drop them.
+
+const PRODUCT_ID = '-//Padel Architect//Manager//ES';
+
+const toICalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 characters are folded with CRLF + space.
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+export const buildICalendar = (reservations, { calendarName, getCourtLabel = (id) => id } = {}) => {
+  const stamp = toICalDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(calendarName ? [`X-WR-CALNAME:${escapeText(calendarName)}`] : []),
+  ];
+
+  reservations.forEach(res => {
+    const courtLabel = getCourtLabel(res.courtId);
+    const description = Number(res.deposit) > 0 ? `Seña: $${res.deposit}` : '';
+    lines.push(
+      'BEGIN:VEVENT',
+      // Only the id, so a booking moved to another court updates the imported event.
+      `UID:${escapeText(`${res.id}@padel-architect`)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toICalDate(res.start)}`,
+      `DTEND:${toICalDate(res.end)}`,
+      `SUMMARY:${escapeText(`Cancha ${courtLabel} - ${res.clientName}`)}`,
+      `LOCATION:${escapeText(`Cancha ${courtLabel}`)}`,
+      `STATUS:${res.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+      'END:VEVENT',
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
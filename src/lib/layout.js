@@ -0,0 +1,256 @@
+// --- LAYOUT GEOMETRY ---
+// Elements are stored by the top-left corner of their unrotated box (x, y) and
+// rotate around their centre, matching how they are rendered on the canvas.
+// All measurements are in canvas pixels; SCALE converts metres to pixels.
+
+export const SCALE = 15;
+export const COURT_WIDTH_M = 10;
+export const COURT_HEIGHT_M = 20;
+export const COURT_WIDTH_PX = COURT_WIDTH_M * SCALE;
+export const COURT_HEIGHT_PX = COURT_HEIGHT_M * SCALE;
+
+// Zones carry a `zoneType`; walls and fences are thin boxes (width = length,
+// height = thickness) drawn as line segments, with a `wallType`.
+export const ZONE_TYPE_IDS = ['generic', 'bar', 'lockers', 'parking', 'shop', 'entrance'];
+export const WALL_TYPE_IDS = ['wall', 'fence'];
+export const WALL_THICKNESS_PX = 0.25 * SCALE;
+
+// Edges closer than this are treated as touching, not overlapping.
+const OVERLAP_TOLERANCE_PX = 0.5;
+
+export const normalizeAngle = (degrees) => ((degrees % 360) + 360) % 360;
+
+export const getElementSize = (el) => (
+  el.type === 'court' ? { width: COURT_WIDTH_PX, height: COURT_HEIGHT_PX } : { width: el.width, height: el.height }
+);
+
+export const getCorners = (el) => {
+  const { width, height } = getElementSize(el);
+  const cx = el.x + width / 2;
+  const cy = el.y + height / 2;
+  const rad = ((el.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const lx = (sx * width) / 2;
+    const ly = (sy * height) / 2;
+    return { x: cx + lx * cos - ly * sin, y: cy + lx * sin + ly * cos };
+  });
+};
+
+// Axis-aligned box around the rotated element.
+export const getBounds = (el) => {
+  const corners = getCorners(el);
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  const left = Math.min(...xs);
+  const right = Math.max(...xs);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+  return { left, right, top, bottom, centerX: (left + right) / 2, centerY: (top + bottom) / 2 };
+};
+
+const project = (corners, axis) => {
+  const values = corners.map(c => c.x * axis.x + c.y * axis.y);
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+// Separating axis test on the two rotated rectangles.
+export const elementsOverlap = (a, b) => {
+  const ca = getCorners(a);
+  const cb = getCorners(b);
+  const axes = [ca, cb].flatMap(c => [0, 1].map(i => {
+    const dx = c[i + 1].x - c[i].x;
+    const dy = c[i + 1].y - c[i].y;
+    const len = Math.hypot(dx, dy) || 1;
+    return { x: -dy / len, y: dx / len };
+  }));
+  return axes.every(axis => {
+    const pa = project(ca, axis);
+    const pb = project(cb, axis);
+    return Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min) > OVERLAP_TOLERANCE_PX;
+  });
+};
+
+// Walls may cross zones (an entrance sits in a wall, a fence around parking) but
+// never a court.
+const canOverlap = (a, b) => (a.type === 'wall' || b.type === 'wall') && a.type !== 'court' && b.type !== 'court';
+
+const conflicts = (a, b) => a.id !== b.id && !canOverlap(a, b) && elementsOverlap(a, b);
+
+export const collidesWithAny = (el, others) => others.some(o => conflicts(el, o));
+
+// Ids of every element that overlaps at least one other.
+export const findOverlappingIds = (elements) => {
+  const ids = new Set();
+  for (let i = 0; i < elements.length; i++) {
+    for (let j = i + 1; j < elements.length; j++) {
+      if (conflicts(elements[i], elements[j])) {
+        ids.add(elements[i].id);
+        ids.add(elements[j].id);
+      }
+    }
+  }
+  return ids;
+};
+
+const closestAlignment = (values, targets, threshold) => {
+  let best = null;
+  values.forEach(v => targets.forEach(t => {
+    const delta = t.pos - v;
+    if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) best = { delta, target: t };
+  }));
+  return best;
+};
+
+// Snaps a dragged element to the edges and centres of its neighbours; axes with
+// no neighbour within `threshold` fall back to the metric grid when `grid` is set.
+// Returns the corrected { x, y } plus the guide lines to draw:
+// [{ axis: 'x' | 'y', pos, from, to }].
+export const snapPosition = (el, others, { grid = null, threshold = 8 } = {}) => {
+  const b = getBounds(el);
+  const neighbours = others.filter(o => o.id !== el.id).map(getBounds);
+
+  const snapX = closestAlignment(
+    [b.left, b.centerX, b.right],
+    neighbours.flatMap(n => [n.left, n.centerX, n.right].map(pos => ({ pos, bounds: n }))),
+    threshold
+  );
+  const snapY = closestAlignment(
+    [b.top, b.centerY, b.bottom],
+    neighbours.flatMap(n => [n.top, n.centerY, n.bottom].map(pos => ({ pos, bounds: n }))),
+    threshold
+  );
+
+  const dx = snapX ? snapX.delta : grid ? Math.round(b.left / grid) * grid - b.left : 0;
+  const dy = snapY ? snapY.delta : grid ? Math.round(b.top / grid) * grid - b.top : 0;
+
+  const guides = [];
+  if (snapX) {
+    const n = snapX.target.bounds;
+    guides.push({ axis: 'x', pos: snapX.target.pos, from: Math.min(n.top, b.top + dy), to: Math.max(n.bottom, b.bottom + dy) });
+  }
+  if (snapY) {
+    const n = snapY.target.bounds;
+    guides.push({ axis: 'y', pos: snapY.target.pos, from: Math.min(n.left, b.left + dx), to: Math.max(n.right, b.right + dx) });
+  }
+
+  return { x: el.x + dx, y: el.y + dy, guides };
+};
+
+export const translateElements = (group, dx, dy) => group.map(el => ({ ...el, x: el.x + dx, y: el.y + dy }));
+
+// Rotates a group rigidly around the centre of its bounding box.
+export const rotateGroup = (group, degrees) => {
+  const box = getLayoutBounds(group);
+  const cx = box.left + box.width / 2;
+  const cy = box.top + box.height / 2;
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return group.map(el => {
+    const { width, height } = getElementSize(el);
+    const ex = el.x + width / 2 - cx;
+    const ey = el.y + height / 2 - cy;
+    return {
+      ...el,
+      x: cx + ex * cos - ey * sin - width / 2,
+      y: cy + ex * sin + ey * cos - height / 2,
+      rotation: normalizeAngle((el.rotation || 0) + degrees),
+    };
+  });
+};
+
+// Smallest shift that places a group (moved rigidly) clear of `others`, searched
+// in rings of `step`. Returns { dx, dy }, or a zero shift if nothing is free nearby.
+export const findFreeOffset = (group, others, step = 2 * SCALE, maxRings = 12) => {
+  const fits = (dx, dy) => translateElements(group, dx, dy).every(el => !collidesWithAny(el, others));
+  if (fits(0, 0)) return { dx: 0, dy: 0 };
+  for (let ring = 1; ring <= maxRings; ring++) {
+    const offsets = [];
+    for (let i = -ring; i <= ring; i++) {
+      for (let j = -ring; j <= ring; j++) {
+        if (Math.max(Math.abs(i), Math.abs(j)) === ring) offsets.push([i, j]);
+      }
+    }
+    offsets.sort((a, b) => Math.hypot(...a) - Math.hypot(...b));
+    const found = offsets.find(([i, j]) => fits(i * step, j * step));
+    if (found) return { dx: found[0] * step, dy: found[1] * step };
+  }
+  return { dx: 0, dy: 0 };
+};
+
+// Nearest free spot for a new element around its requested position.
+export const findFreePosition = (el, others) => {
+  const { dx, dy } = findFreeOffset([el], others);
+  return { ...el, x: el.x + dx, y: el.y + dy };
+};
+
+// rect: { left, top, right, bottom } in canvas pixels.
+export const boundsIntersect = (a, b) => a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+export const pxToMetres = (px) => px / SCALE;
+export const metresToPx = (m) => m * SCALE;
+export const formatMetres = (px) => `${(px / SCALE).toLocaleString('es-AR', { maximumFractionDigits: 2 })} m`;
+
+const pointToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Shortest edge-to-edge distance in pixels; 0 when the elements touch or overlap.
+// For two convex shapes that do not intersect, it is reached between a corner of
+// one and an edge of the other.
+export const getGap = (a, b) => {
+  if (elementsOverlap(a, b)) return 0;
+  const ca = getCorners(a);
+  const cb = getCorners(b);
+  const edges = (c) => c.map((p, i) => [p, c[(i + 1) % c.length]]);
+  return Math.min(
+    ...ca.flatMap(p => edges(cb).map(([s, e]) => pointToSegment(p, s, e))),
+    ...cb.flatMap(p => edges(ca).map(([s, e]) => pointToSegment(p, s, e)))
+  );
+};
+
+// Bounding box of the whole layout, or null when it is empty.
+export const getLayoutBounds = (elements) => {
+  if (elements.length === 0) return null;
+  const all = elements.map(getBounds);
+  const left = Math.min(...all.map(b => b.left));
+  const top = Math.min(...all.map(b => b.top));
+  const right = Math.max(...all.map(b => b.right));
+  const bottom = Math.max(...all.map(b => b.bottom));
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+};
+
+// site: { width, height } in metres, anchored at the canvas origin.
+export const isOutsideSite = (el, site) => {
+  if (!site) return false;
+  const b = getBounds(el);
+  return b.left < 0 || b.top < 0 || b.right > metresToPx(site.width) || b.bottom > metresToPx(site.height);
+};
+
+// --- WALLS ---
+export const getWallEndpoints = (wall) => {
+  const cx = wall.x + wall.width / 2;
+  const cy = wall.y + wall.height / 2;
+  const rad = (wall.rotation * Math.PI) / 180;
+  const hx = (Math.cos(rad) * wall.width) / 2;
+  const hy = (Math.sin(rad) * wall.width) / 2;
+  return [{ x: cx - hx, y: cy - hy }, { x: cx + hx, y: cy + hy }];
+};
+
+// Geometry of a wall running from `a` to `b`, keeping its thickness.
+export const wallFromEndpoints = (wall, a, b) => {
+  const length = Math.max(Math.hypot(b.x - a.x, b.y - a.y), wall.height);
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  return {
+    x: cx - length / 2,
+    y: cy - wall.height / 2,
+    width: length,
+    rotation: normalizeAngle((Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI),
+  };
+};
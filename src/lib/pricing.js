@@ -0,0 +1,144 @@
+// --- PRICING & BALANCES ---
+// pricing: {
+//   baseRate: 8000,                                   // per hour, when no band applies
+//   bands: [{ id, label, days: [0-6], from: 'HH:MM', to: 'HH:MM', rate }],
+//   lighting: { enabled, from: 'HH:MM', until: 'HH:MM', ratePerHour },
+//   cancellation: { noticeHours, forfeitDeposit },    // club-wide; ignored on court rates
+// }
+// Prices are computed minute by minute, so a booking that crosses into a peak
+// band is charged pro rata. When several bands match, the highest rate wins.
+// A band (or the lighting window) whose end is at or before its start wraps past
+// midnight; equal start and end cover the whole day.
+// Courts may carry a `pricing` of their own that replaces the club table, and
+// courts without lighting never pay the lighting surcharge.
+
+// Cancelling less than `noticeHours` before the start keeps the deposit.
+export const DEFAULT_CANCELLATION_POLICY = { noticeHours: 24, forfeitDeposit: true };
+
+export const DEFAULT_PRICING = {
+  baseRate: 8000,
+  bands: [
+    { id: 'peak', label: 'Hora pico', days: [1, 2, 3, 4, 5], from: '18:00', to: '23:00', rate: 12000 },
+    { id: 'weekend', label: 'Fin de semana', days: [0, 6], from: '00:00', to: '00:00', rate: 11000 },
+  ],
+  lighting: { enabled: true, from: '19:30', until: '07:00', ratePerHour: 1500 },
+  cancellation: DEFAULT_CANCELLATION_POLICY,
+};
+
+export const BASE_RATE_LABEL = 'Tarifa base';
+export const LIGHTING_LABEL = 'Iluminación';
+
+export const PAYMENT_METHODS = {
+  cash: 'Efectivo',
+  transfer: 'Transferencia',
+  card: 'Tarjeta',
+};
+
+export const PAYMENT_STATUS = {
+  unpaid: { label: 'Impago', className: 'bg-red-500/20 text-red-300 border-red-500/40' },
+  partial: { label: 'Pago parcial', className: 'bg-amber-500/20 text-amber-300 border-amber-500/40' },
+  paid: { label: 'Pagado', className: 'bg-emerald-500/20 text-emerald-300 border-emerald-500/40' },
+};
+
+export const formatMoney = (amount) => `$${Math.round(Number(amount) || 0).toLocaleString('es-AR')}`;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const inTimeRange = (minuteOfDay, from, to) => {
+  const a = toMinutes(from);
+  const b = toMinutes(to);
+  if (a === b) return true;
+  return a < b ? minuteOfDay >= a && minuteOfDay < b : minuteOfDay >= a || minuteOfDay < b;
+};
+
+export const getEffectivePricing = (clubPricing, court) => {
+  const pricing = court?.pricing ? court.pricing : clubPricing;
+  return court?.lighting === false ? { ...pricing, lighting: null } : pricing;
+};
+
+// Returns { total, breakdown: [{ label, minutes, amount }] } for [start, end).
+export const calculatePrice = (pricing, start, end) => {
+  const lines = new Map();
+  const add = (label, amount) => {
+    const line = lines.get(label) || { label, minutes: 0, amount: 0 };
+    line.minutes += 1;
+    line.amount += amount;
+    lines.set(label, line);
+  };
+
+  const endMs = new Date(end).getTime();
+  for (let t = new Date(start).getTime(); t < endMs; t += 60000) {
+    const d = new Date(t);
+    const minuteOfDay = d.getHours() * 60 + d.getMinutes();
+    const band = pricing.bands
+      .filter(b => b.days.includes(d.getDay()) && inTimeRange(minuteOfDay, b.from, b.to))
+      .reduce((best, b) => (!best || b.rate > best.rate ? b : best), null);
+
+    add(band ? band.label : BASE_RATE_LABEL, (band ? band.rate : pricing.baseRate) / 60);
+
+    const light = pricing.lighting;
+    if (light?.enabled && inTimeRange(minuteOfDay, light.from, light.until)) {
+      add(LIGHTING_LABEL, light.ratePerHour / 60);
+    }
+  }
+
+  const breakdown = [...lines.values()].map(line => ({ ...line, amount: Math.round(line.amount) }));
+  return { total: breakdown.reduce((sum, line) => sum + line.amount, 0), breakdown };
+};
+
+export const getAmountPaid = (res) => (
+  (Number(res.deposit) || 0) + (res.payments || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+);
+
+// null when the reservation predates pricing and has no total. A cancelled
+// booking owes nothing: what the policy kept settles it.
+export const getBalance = (res) => {
+  if (res.price == null) return null;
+  return res.status === 'cancelled' ? 0 : Math.max(0, res.price - getAmountPaid(res));
+};
+
+export const getPaymentStatus = (res) => {
+  const paid = getAmountPaid(res);
+  if (res.price != null && paid >= res.price) return 'paid';
+  return paid > 0 ? 'partial' : 'unpaid';
+};
+
+const isTime = (value) => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+
+export const isValidPricing = (pricing) => Boolean(
+  pricing
+  && Number.isFinite(pricing.baseRate)
+  && Array.isArray(pricing.bands)
+  && pricing.bands.every(b => Array.isArray(b.days) && isTime(b.from) && isTime(b.to) && Number.isFinite(b.rate))
+  && (!pricing.lighting || (isTime(pricing.lighting.from) && isTime(pricing.lighting.until) && Number.isFinite(pricing.lighting.ratePerHour)))
+  && (!pricing.cancellation || (Number.isFinite(pricing.cancellation.noticeHours) && pricing.cancellation.noticeHours >= 0 && typeof pricing.cancellation.forfeitDeposit === 'boolean'))
+);
+
+// --- PLAYER SHARES ---
+// The price is split evenly between the booking's players; the organiser takes
+// the rounding remainder and is credited with the deposit. Payments tagged with
+// a `playerId` count for that player, untagged ones (older payments, refunds)
+// for the organiser.
+export const getPlayerShares = (res) => {
+  const players = res.players || [];
+  const base = res.price == null ? null : Math.floor(res.price / players.length);
+  return players.map(player => {
+    const share = base == null ? null : base + (player.isOrganizer ? res.price - base * players.length : 0);
+    const paid = (player.isOrganizer ? Number(res.deposit) || 0 : 0) + (res.payments || [])
+      .filter(p => (p.playerId == null ? player.isOrganizer : p.playerId === player.id))
+      .reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+    const settled = res.status === 'cancelled' || (share != null && paid >= share);
+    return {
+      player,
+      share,
+      paid,
+      balance: share == null ? null : settled ? 0 : share - paid,
+      status: settled ? 'paid' : paid > 0 ? 'partial' : 'unpaid',
+    };
+  });
+};
+
+export const countPaidPlayers = (res) => getPlayerShares(res).filter(s => s.status === 'paid').length;
@@ -0,0 +1,101 @@
+import { getLocalYYYYMMDD } from './dates';
+
+// --- RECURRING RESERVATIONS ---
+// A series is stored as a single reservation whose `start`/`end` are the first
+// occurrence, plus:
+//   recurrence: { frequency: 'weekly', interval, until?: 'YYYY-MM-DD', count? }
+//   exceptions: { [occurrenceKey]: { ...fields overriding the series } }
+// A cancelled occurrence is an exception with `status: 'cancelled'`; it still
+// expands (so it shows in history) but no longer blocks its slot.
+// The occurrence key is the local date of the occurrence *as generated*, so a
+// moved occurrence keeps its key even when its new date differs.
+// `price` is per occurrence; the deposit is taken once and belongs to the first
+// occurrence, and later payments are tagged with the occurrenceKey they settle
+// (edit history entries are tagged the same way).
+
+export const MAX_OCCURRENCES = 104; // two years of weekly slots
+
+export const rangesOverlap = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && aEnd > bStart;
+
+export const describeRecurrence = ({ interval = 1, until, count }) => {
+  const every = interval === 1 ? 'Cada semana' : `Cada ${interval} semanas`;
+  if (until) return `${every} hasta ${until}`;
+  if (count) return `${every}, ${count} turnos`;
+  return every;
+};
+
+// Occurrences of a series before exceptions are applied.
+export const generateOccurrenceDates = (res) => {
+  const first = new Date(res.start);
+  const durationMs = new Date(res.end).getTime() - first.getTime();
+  const { interval = 1, until, count } = res.recurrence;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const occurrences = [];
+
+  for (let i = 0; occurrences.length < limit; i++) {
+    // setDate keeps the wall-clock time across DST changes.
+    const start = new Date(first);
+    start.setDate(first.getDate() + i * 7 * interval);
+    const key = getLocalYYYYMMDD(start);
+    if (until && key > until) break;
+    occurrences.push({ key, start, end: new Date(start.getTime() + durationMs) });
+  }
+  return occurrences;
+};
+
+export const expandReservation = (res) => {
+  if (!res.recurrence) return [res];
+  const exceptions = res.exceptions || {};
+  const firstKey = getLocalYYYYMMDD(res.start);
+
+  return generateOccurrenceDates(res).map(({ key, start, end }) => {
+    const overrides = exceptions[key] || {};
+    return {
+      ...res,
+      id: `${res.id}@${key}`,
+      seriesId: res.id,
+      occurrenceKey: key,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      deposit: key === firstKey ? res.deposit : '0',
+      payments: (res.payments || []).filter(p => p.occurrenceKey === key),
+      history: (res.history || []).filter(h => h.occurrenceKey === key),
+      ...overrides,
+      isMoved: Boolean(overrides.start),
+    };
+  });
+};
+
+export const expandReservations = (reservations) => reservations.flatMap(expandReservation);
+
+// Returns the first candidate occurrence that overlaps an existing one on the same
+// court. Cancelled reservations have freed their slot and are ignored.
+export const findConflict = (candidates, existing) => {
+  for (const candidate of candidates) {
+    const cStart = new Date(candidate.start).getTime();
+    const cEnd = new Date(candidate.end).getTime();
+    const conflictWith = existing.find(res => (
+      res.courtId === candidate.courtId
+      && res.id !== candidate.id
+      && res.status !== 'cancelled'
+      && rangesOverlap(cStart, cEnd, new Date(res.start).getTime(), new Date(res.end).getTime())
+    ));
+    if (conflictWith) return { occurrence: candidate, conflictWith };
+  }
+  return null;
+};
+
+export const updateOccurrence = (series, occurrenceKey, changes) => ({
+  ...series,
+  exceptions: {
+    ...series.exceptions,
+    [occurrenceKey]: { ...series.exceptions?.[occurrenceKey], ...changes },
+  },
+});
+
+// Applies `changes` to the stored record behind an expanded reservation: the
+// occurrence's exception when it belongs to a series, the record itself otherwise.
+export const applyToReservation = (reservations, target, changes) => reservations.map(r => {
+  if (target.seriesId) return r.id === target.seriesId ? updateOccurrence(r, target.occurrenceKey, changes) : r;
+  return r.id === target.id ? { ...r, ...changes } : r;
+});
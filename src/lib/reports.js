@@ -0,0 +1,128 @@
+import { getLocalYYYYMMDD } from './dates';
+import { getDayWindow, getEffectiveSchedule } from './schedule';
+import { rangesOverlap } from './recurrence';
+
+// --- REPORTING ---
+// Occupancy is booked time divided by open time, both measured against each
+// court's own opening hours, so closed days and holidays do not drag it down.
+// All functions take expanded reservations (see expandReservations). Cancelled
+// bookings free their slot, so they count towards cancellations and refunds but
+// not towards occupancy; no-shows did hold the court and count as booked.
+
+const overlapMs = (aStart, aEnd, bStart, bEnd) => Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+
+export const listDates = (from, to) => {
+  const dates = [];
+  const d = new Date(`${from}T00:00:00`);
+  while (getLocalYYYYMMDD(d) <= to) {
+    dates.push(getLocalYYYYMMDD(d));
+    d.setDate(d.getDate() + 1);
+  }
+  return dates;
+};
+
+const ratio = (booked, open) => (open > 0 ? booked / open : 0);
+
+export const buildOccupancyReport = ({ courts, reservations, schedule, from, to }) => {
+  const dates = listDates(from, to);
+  const weekdays = Array.from({ length: 7 }, (_, day) => ({ day, openMinutes: 0, bookedMinutes: 0 }));
+  const heatmap = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ openMinutes: 0, bookedMinutes: 0 })));
+
+  const courtRows = courts.map(court => {
+    const courtSchedule = getEffectiveSchedule(schedule, court);
+    const courtReservations = reservations.filter(r => r.courtId === court.id && r.status !== 'cancelled');
+    let openMs = 0;
+    let bookedMs = 0;
+    let bookings = 0;
+
+    dates.forEach(date => {
+      const win = getDayWindow(courtSchedule, date);
+      if (!win) return;
+      const dayRes = courtReservations
+        .map(r => ({ start: new Date(r.start).getTime(), end: new Date(r.end).getTime() }))
+        .filter(r => rangesOverlap(r.start, r.end, win.start, win.end));
+      bookings += dayRes.length;
+
+      // Hour buckets aligned to the local clock, clipped to the opening window.
+      const at = new Date(win.start);
+      at.setMinutes(0, 0, 0);
+      while (at.getTime() < win.end) {
+        const day = at.getDay();
+        const cell = heatmap[day][at.getHours()];
+        const bucketStart = Math.max(at.getTime(), win.start);
+        at.setHours(at.getHours() + 1);
+        const bucketEnd = Math.min(at.getTime(), win.end);
+        const open = bucketEnd - bucketStart;
+        const booked = dayRes.reduce((sum, r) => sum + overlapMs(bucketStart, bucketEnd, r.start, r.end), 0);
+        cell.openMinutes += open / 60000;
+        cell.bookedMinutes += booked / 60000;
+        weekdays[day].openMinutes += open / 60000;
+        weekdays[day].bookedMinutes += booked / 60000;
+        openMs += open;
+        bookedMs += booked;
+      }
+    });
+
+    const openMinutes = openMs / 60000;
+    const bookedMinutes = bookedMs / 60000;
+    return { courtId: court.id, label: court.label, openMinutes, bookedMinutes, bookings, occupancy: ratio(bookedMinutes, openMinutes) };
+  });
+
+  const openMinutes = courtRows.reduce((sum, c) => sum + c.openMinutes, 0);
+  const bookedMinutes = courtRows.reduce((sum, c) => sum + c.bookedMinutes, 0);
+
+  return {
+    courts: courtRows,
+    weekdays: weekdays.map(w => ({ ...w, occupancy: ratio(w.bookedMinutes, w.openMinutes) })),
+    heatmap: heatmap.map(row => row.map(cell => ({ ...cell, occupancy: ratio(cell.bookedMinutes, cell.openMinutes) }))),
+    totals: {
+      openMinutes,
+      bookedMinutes,
+      bookings: courtRows.reduce((sum, c) => sum + c.bookings, 0),
+      occupancy: ratio(bookedMinutes, openMinutes),
+    },
+  };
+};
+
+// Deposits are attributed to the day of the reservation; later payments and
+// refunds to the day they were recorded. A cancelled booking only bills what the
+// cancellation policy kept.
+export const buildCollectionsReport = ({ reservations, from, to }) => {
+  const byDay = new Map(listDates(from, to).map(date => [date, { date, deposits: 0, payments: 0, refunds: 0 }]));
+  let billed = 0;
+
+  reservations.forEach(res => {
+    const resDay = byDay.get(getLocalYYYYMMDD(res.start));
+    if (resDay) {
+      resDay.deposits += Number(res.deposit) || 0;
+      billed += res.status === 'cancelled' ? res.cancellation?.forfeited || 0 : res.price || 0;
+    }
+    (res.payments || []).forEach(p => {
+      const payDay = byDay.get(getLocalYYYYMMDD(p.date));
+      if (!payDay) return;
+      if (p.isRefund) payDay.refunds -= Number(p.amount) || 0;
+      else payDay.payments += Number(p.amount) || 0;
+    });
+  });
+
+  const days = [...byDay.values()].map(d => ({ ...d, total: d.deposits + d.payments - d.refunds }));
+  const deposits = days.reduce((sum, d) => sum + d.deposits, 0);
+  const payments = days.reduce((sum, d) => sum + d.payments, 0);
+  const refunds = days.reduce((sum, d) => sum + d.refunds, 0);
+  return { days, deposits, payments, refunds, total: deposits + payments - refunds, billed };
+};
+
+// Cancellations and no-shows of reservations starting in the range.
+export const buildCancellationReport = ({ reservations, from, to }) => {
+  const rows = reservations
+    .filter(r => (r.status === 'cancelled' || r.status === 'no-show') && getLocalYYYYMMDD(r.start) >= from && getLocalYYYYMMDD(r.start) <= to)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+  const cancelled = rows.filter(r => r.status === 'cancelled');
+  return {
+    rows,
+    cancelled: cancelled.length,
+    late: cancelled.filter(r => r.cancellation?.isLate).length,
+    noShows: rows.length - cancelled.length,
+    forfeited: cancelled.reduce((sum, r) => sum + (r.cancellation?.forfeited || 0), 0),
+  };
+};
@@ -0,0 +1,106 @@
+import { applyToReservation } from './recurrence';
+import { getAmountPaid } from './pricing';
+
+// --- RESERVATION EDITS ---
+// Edits are applied in place (see applyToReservation) and logged on the stored
+// record as history: [{ at, changes: { [field]: { from, to } }, occurrenceKey? }].
+// Like payments, entries for a series occurrence live on the series, tagged with
+// the occurrence they belong to.
+
+export const TRACKED_FIELDS = ['clientName', 'courtId', 'start', 'end', 'deposit', 'price', 'status'];
+
+const sameValue = (field, a, b) => {
+  if (field === 'start' || field === 'end') return new Date(a).getTime() === new Date(b).getTime();
+  if (field === 'deposit' || field === 'price') return (Number(a) || 0) === (Number(b) || 0);
+  return a === b;
+};
+
+export const diffReservation = (before, changes) => Object.fromEntries(
+  TRACKED_FIELDS
+    .filter(field => field in changes && !sameValue(field, before[field], changes[field]))
+    .map(field => [field, { from: before[field] ?? null, to: changes[field] }])
+);
+
+// Applies `changes` to the expanded reservation `target` and appends the history
+// entry. Returns the list unchanged when nothing tracked actually changed.
+export const editReservation = (reservations, target, changes, at = new Date().toISOString()) => {
+  const diff = diffReservation(target, changes);
+  if (Object.keys(diff).length === 0) return reservations;
+  const recordId = target.seriesId ?? target.id;
+  const entry = { at, changes: diff, ...(target.seriesId && { occurrenceKey: target.occurrenceKey }) };
+  return applyToReservation(reservations, target, changes)
+    .map(r => (r.id === recordId ? { ...r, history: [...(r.history || []), entry] } : r));
+};
+
+// --- STATUS LIFECYCLE ---
+// Every reservation carries a `status`. Cancelled bookings stay in the record
+// (for the customer's history and the reports) but free their slot: they are
+// skipped by every overlap check.
+
+export const RESERVATION_STATUS = {
+  confirmed: { label: 'Confirmada', className: 'bg-blue-500/20 text-blue-300 border-blue-500/40' },
+  'checked-in': { label: 'En cancha', className: 'bg-cyan-500/20 text-cyan-300 border-cyan-500/40' },
+  completed: { label: 'Completada', className: 'bg-emerald-500/20 text-emerald-300 border-emerald-500/40' },
+  cancelled: { label: 'Cancelada', className: 'bg-slate-500/20 text-slate-400 border-slate-500/40' },
+  'no-show': { label: 'No se presentó', className: 'bg-red-500/20 text-red-300 border-red-500/40' },
+};
+
+// Statuses reachable from each status; a no-show or check-in marked by mistake can be undone.
+export const STATUS_TRANSITIONS = {
+  confirmed: ['checked-in', 'no-show', 'cancelled'],
+  'checked-in': ['completed', 'confirmed'],
+  completed: ['checked-in'],
+  'no-show': ['confirmed'],
+  cancelled: [],
+};
+
+export const isCancelled = (res) => res.status === 'cancelled';
+
+// policy: { noticeHours, forfeitDeposit } (see DEFAULT_PRICING.cancellation).
+// Cancelling with less notice than required is late; a late cancellation keeps
+// the deposit when the policy says so, and everything else paid is refunded.
+export const evaluateCancellation = (res, policy, at = Date.now()) => {
+  const hoursBefore = (new Date(res.start).getTime() - new Date(at).getTime()) / 3600000;
+  const isLate = hoursBefore < policy.noticeHours;
+  const paid = getAmountPaid(res);
+  const forfeited = isLate && policy.forfeitDeposit ? Math.min(paid, Number(res.deposit) || 0) : 0;
+  return { isLate, forfeited, refund: paid - forfeited };
+};
+
+// Cancels the expanded reservation `target`. The refund is logged as a negative
+// payment dated at the cancellation, so collections show it on the day it was paid out.
+export const cancelReservation = (reservations, target, policy, at = new Date().toISOString()) => {
+  const cancellation = { at, ...evaluateCancellation(target, policy, at) };
+  const next = editReservation(reservations, target, { status: 'cancelled', cancellation }, at);
+  if (cancellation.refund <= 0) return next;
+  const refund = {
+    id: `refund-${target.id}`,
+    amount: -cancellation.refund,
+    isRefund: true,
+    date: at,
+    ...(target.seriesId && { occurrenceKey: target.occurrenceKey }),
+  };
+  const recordId = target.seriesId ?? target.id;
+  return next.map(r => (r.id === recordId ? { ...r, payments: [...(r.payments || []), refund] } : r));
+};
+
+// --- PLAYERS ---
+// players: [{ id, customerId, name, isOrganizer }]. The organiser is the
+// reservation's client (clientName / customerId) and is always listed first.
+// Shares and per-player payments are worked out by getPlayerShares.
+
+export const createPlayer = ({ customerId = null, name, isOrganizer = false }, id = Date.now()) => ({
+  id,
+  customerId,
+  name: name.trim(),
+  isOrganizer,
+});
+
+export const createOrganizer = (res) => createPlayer({ customerId: res.customerId ?? null, name: res.clientName, isOrganizer: true }, 'organizer');
+
+export const getOrganizer = (res) => res.players.find(p => p.isOrganizer);
+
+// Keeps the organiser entry in step when the booking changes client.
+export const withOrganizer = (players, { clientName, customerId = null }) => players.map(p => (
+  p.isOrganizer ? { ...p, name: clientName, customerId } : p
+));
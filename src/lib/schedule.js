@@ -0,0 +1,127 @@
+import { getLocalYYYYMMDD, getLocalHHMM } from './dates';
+
+// --- OPENING HOURS & SLOT GRID ---
+// schedule: {
+//   slotMinutes: 30,                       // bookings start on this grid, counted from opening time
+//   weekly: { [0-6]: { open: 'HH:MM', close: 'HH:MM', closed?: true } },   // keyed by Date#getDay()
+//   holidays: [{ date: 'YYYY-MM-DD', label }],
+// }
+// A close time at or before the open time means the club closes after midnight
+// (e.g. 09:00-01:00), so a day's window can spill into the next calendar date.
+// Courts may carry a `schedule` of their own that replaces the club's weekly
+// hours and slot size; holidays always come from the club.
+
+export const WEEKDAYS = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+// Display order, Monday first.
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+export const SLOT_OPTIONS = [15, 30, 60];
+export const DURATION_OPTIONS = [60, 90, 120];
+
+const weekdayHours = { open: '08:00', close: '23:00' };
+const weekendHours = { open: '09:00', close: '22:00' };
+
+export const DEFAULT_SCHEDULE = {
+  slotMinutes: 30,
+  weekly: {
+    0: weekendHours, 1: weekdayHours, 2: weekdayHours, 3: weekdayHours,
+    4: weekdayHours, 5: weekdayHours, 6: weekendHours,
+  },
+  holidays: [],
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+export const addDays = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return getLocalYYYYMMDD(d);
+};
+
+export const getEffectiveSchedule = (clubSchedule, court) => (
+  court?.schedule ? { ...clubSchedule, ...court.schedule, holidays: clubSchedule.holidays } : clubSchedule
+);
+
+export const getHoliday = (schedule, dateStr) => schedule.holidays.find(h => h.date === dateStr);
+
+// Opening window of a calendar day as absolute timestamps, or null when closed.
+export const getDayWindow = (schedule, dateStr) => {
+  if (getHoliday(schedule, dateStr)) return null;
+  const dayStart = new Date(`${dateStr}T00:00:00`);
+  const hours = schedule.weekly[dayStart.getDay()];
+  if (!hours || hours.closed) return null;
+
+  const open = toMinutes(hours.open);
+  let close = toMinutes(hours.close);
+  if (close <= open) close += 24 * 60;
+
+  const at = (minutes) => {
+    const d = new Date(`${dateStr}T00:00:00`);
+    d.setMinutes(minutes);
+    return d.getTime();
+  };
+  return { date: dateStr, start: at(open), end: at(close) };
+};
+
+// Windows that can contain slots starting on `dateStr`: the day itself and the
+// previous day's after-midnight spill.
+const getWindowsTouching = (schedule, dateStr) => [addDays(dateStr, -1), dateStr]
+  .map(d => getDayWindow(schedule, d))
+  .filter(Boolean);
+
+// Start times ('HH:MM') on `dateStr` where a booking of `duration` minutes fits.
+export const getSlotStarts = (schedule, dateStr, duration) => {
+  const stepMs = schedule.slotMinutes * 60000;
+  const durationMs = duration * 60000;
+  const slots = [];
+  getWindowsTouching(schedule, dateStr).forEach(win => {
+    for (let t = win.start; t + durationMs <= win.end; t += stepMs) {
+      if (getLocalYYYYMMDD(t) === dateStr) slots.push(getLocalHHMM(t));
+    }
+  });
+  return slots;
+};
+
+// Returns null when [start, end) is bookable, otherwise a message for the user.
+export const validateSlot = (schedule, start, end) => {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  const dateStr = getLocalYYYYMMDD(startMs);
+
+  const win = getWindowsTouching(schedule, dateStr).find(w => startMs >= w.start && startMs < w.end);
+  if (!win) {
+    const holiday = getHoliday(schedule, dateStr);
+    if (holiday) return `El club está cerrado el ${dateStr}${holiday.label ? ` (${holiday.label})` : ''}.`;
+    return 'El horario elegido está fuera del horario de apertura.';
+  }
+  if (endMs > win.end) return `La reserva termina después del cierre (${getLocalHHMM(win.end)}).`;
+  if ((startMs - win.start) % (schedule.slotMinutes * 60000) !== 0) {
+    return `Los turnos comienzan cada ${schedule.slotMinutes} minutos desde la apertura (${getLocalHHMM(win.start)}).`;
+  }
+  return null;
+};
+
+// First valid slot at or after `from` on that date, falling back to the first slot of the day.
+export const getDefaultSlot = (schedule, dateStr, duration, from = new Date()) => {
+  const slots = getSlotStarts(schedule, dateStr, duration);
+  const fromHHMM = getLocalYYYYMMDD(from) === dateStr ? getLocalHHMM(from) : '00:00';
+  return slots.find(s => s >= fromHHMM) || slots[0] || '';
+};
+
+const isTime = (value) => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+
+// Court schedules carry only the weekly hours and slot size; holidays come from the club.
+export const isValidCourtSchedule = (schedule) => Boolean(
+  schedule
+  && SLOT_OPTIONS.includes(schedule.slotMinutes)
+  && schedule.weekly
+  && Object.values(schedule.weekly).every(h => h && (h.closed || (isTime(h.open) && isTime(h.close))))
+);
+
+export const isValidSchedule = (schedule) => Boolean(
+  isValidCourtSchedule(schedule)
+  && Array.isArray(schedule.holidays)
+  && schedule.holidays.every(h => h && typeof h.date === 'string')
+);
@@ -0,0 +1,73 @@
+// --- STAFF & PERMISSIONS ---
+// member: { id, name, role, pinHash? }
+// Staff accounts belong to the group, like customers and coaches. While there are
+// none the app stays open to everyone; once the first account exists every device
+// asks for a PIN, and who is logged in is a per-device choice that is never synced.
+// Clients of the sync server hold members without `pinHash` (see below).
+
+export const PERMISSIONS = {
+  design: 'Modo arquitecto, horarios y sedes',
+  deleteReservations: 'Cancelar reservas y eliminar eventos',
+  editPricing: 'Editar tarifas',
+  viewReports: 'Ver reportes',
+  manageStaff: 'Administrar usuarios y respaldos',
+};
+
+export const ROLES = {
+  owner: { label: 'Dueño', permissions: Object.keys(PERMISSIONS) },
+  manager: { label: 'Encargado', permissions: ['design', 'deleteReservations', 'editPricing', 'viewReports'] },
+  reception: { label: 'Recepción', permissions: [] },
+};
+
+export const PIN_LENGTH = { min: 4, max: 6 };
+
+export const hasPermission = (member, permission) => Boolean(member && ROLES[member.role]?.permissions.includes(permission));
+
+// cyrb53, salted with the member id. With 4 to 6 digits any hash of a PIN can be
+// reversed in moments, so the hashes are treated as the PINs themselves and only
+// go where the owner's data already is: the browser store of a club that runs
+// without a sync server, backups (which only users who manage staff can export),
+// and the sync server, which never sends them out and checks PINs itself.
+export const hashPin = (pin, salt) => {
+  const str = `${salt}:${pin}`;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+export const findStaffByPin = (staff, pin) => staff.find(member => member.pinHash === hashPin(pin, member.id));
+
+export const createStaffMember = ({ name, role, pin }, id = `staff-${Date.now()}`) => ({
+  id,
+  name: name.trim(),
+  role,
+  pinHash: hashPin(pin, id),
+});
+
+// Returns null when the PIN can be used, otherwise a message for the user. Two
+// accounts can't share a PIN, since the PIN alone picks the account.
+export const validatePin = (staff, pin, exceptId = null) => {
+  if (!new RegExp(`^\\d{${PIN_LENGTH.min},${PIN_LENGTH.max}}$`).test(pin)) {
+    return `El PIN debe tener entre ${PIN_LENGTH.min} y ${PIN_LENGTH.max} dígitos.`;
+  }
+  if (findStaffByPin(staff.filter(member => member.id !== exceptId), pin)) return 'Ese PIN ya lo usa otra cuenta.';
+  return null;
+};
+
+// The group always keeps an owner, so nobody gets locked out of the staff settings.
+export const isLastOwner = (staff, id) => staff.filter(member => member.role === 'owner').every(member => member.id === id);
+
+export const isValidStaffMember = (member) => Boolean(
+  member
+  && member.id != null
+  && typeof member.name === 'string'
+  && Object.hasOwn(ROLES, member.role)
+  && (member.pinHash === undefined || typeof member.pinHash === 'string')
+);
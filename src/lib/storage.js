@@ -0,0 +1,361 @@
+import { DEFAULT_SCHEDULE, isValidSchedule, isValidCourtSchedule } from './schedule';
+import { DEFAULT_PRICING, DEFAULT_CANCELLATION_POLICY, isValidPricing } from './pricing';
+import { buildCustomersFromReservations } from './customers';
+import { ZONE_TYPE_IDS, WALL_TYPE_IDS } from './layout';
+import { DEFAULT_COURT_ATTRIBUTES, isValidCourtAttributes, isCourtLabelTaken, getNextCourtLabels } from './courts';
+import { RESERVATION_STATUS, createOrganizer } from './reservations';
+import { EVENT_FORMATS } from './events';
+import { DEFAULT_CLASS_TYPES, MAX_CLASS_STUDENTS, isValidCoach, isValidClassType } from './coaches';
+import { DEFAULT_VENUE_ID, DEFAULT_VENUE_NAME, createVenue } from './venues';
+import { isValidStaffMember } from './staff';
+
+// --- PERSISTENCE ---
+// Club state is stored as a versioned envelope: { version, savedAt, data }.
+// Bump SCHEMA_VERSION whenever the shape of `data` changes and add a migration
+// that upgrades the previous version, so data saved by older builds keeps loading.
+
+export const SCHEMA_VERSION = 14;
+export const STORAGE_KEY = 'padel-club-planner';
+
+export const createEmptyClubData = () => ({
+  venues: [createVenue({ name: DEFAULT_VENUE_NAME }, DEFAULT_VENUE_ID)],
+  activeVenueId: DEFAULT_VENUE_ID,
+  customers: [],
+  coaches: [],
+  classTypes: DEFAULT_CLASS_TYPES,
+  staff: [],
+});
+
+// v8 -> v9 helpers: the `noShow` flag becomes a status, and occurrences that were
+// hidden with `cancelled: true` become visible cancelled ones.
+const noShowToStatus = ({ noShow, ...rest }) => (noShow == null ? rest : { ...rest, status: noShow ? 'no-show' : 'confirmed' });
+const upgradeException = ({ cancelled, ...rest }) => (cancelled ? { ...noShowToStatus(rest), status: 'cancelled' } : noShowToStatus(rest));
+
+// v12 -> v13 helper: courts used to be numbered by count, so deleting one and adding
+// another could repeat a label. Later duplicates take the lowest free number.
+const dedupeCourtLabels = (elements) => elements.reduce((kept, el) => [
+  ...kept,
+  el.type === 'court' && isCourtLabelTaken(kept, el) ? { ...el, label: getNextCourtLabels([...kept, ...elements])[0] } : el,
+], []);
+
+// MIGRATIONS[n] upgrades a `data` payload from version n to version n + 1.
+const MIGRATIONS = {
+  // v0 -> v1: unversioned payloads ({ elements, reservations } written directly)
+  0: (data) => ({
+    elements: Array.isArray(data?.elements) ? data.elements : [],
+    reservations: Array.isArray(data?.reservations) ? data.reservations : [],
+  }),
+  // v1 -> v2: club opening hours and slot grid
+  1: (data) => ({ ...data, schedule: DEFAULT_SCHEDULE }),
+  // v2 -> v3: rate tables and payment records (older reservations keep no price)
+  2: (data) => ({
+    ...data,
+    pricing: DEFAULT_PRICING,
+    reservations: data.reservations.map(r => ({ ...r, payments: r.payments || [] })),
+  }),
+  // v3 -> v4: customer directory built from the free-text client names
+  3: (data) => ({ ...data, ...buildCustomersFromReservations(data.reservations) }),
+  // v4 -> v5: waitlist for fully booked slots
+  4: (data) => ({ ...data, waitlist: [] }),
+  // v5 -> v6: optional plot dimensions for the layout designer
+  5: (data) => ({ ...data, site: null }),
+  // v6 -> v7: typed zones (walls are a new element type and need no upgrade)
+  6: (data) => ({
+    ...data,
+    elements: data.elements.map(el => (el.type === 'zone' ? { ...el, zoneType: el.zoneType || 'generic' } : el)),
+  }),
+  // v7 -> v8: court attributes (existing courts become outdoor, lit doubles courts) and maintenance blocks
+  7: (data) => ({
+    ...data,
+    elements: data.elements.map(el => (el.type === 'court' ? { ...DEFAULT_COURT_ATTRIBUTES, ...el } : el)),
+    maintenance: [],
+  }),
+  // v8 -> v9: reservation status lifecycle and the club's cancellation policy
+  8: (data) => ({
+    ...data,
+    pricing: { ...data.pricing, cancellation: DEFAULT_CANCELLATION_POLICY },
+    reservations: data.reservations.map(r => ({
+      status: 'confirmed',
+      ...noShowToStatus(r),
+      ...(r.exceptions && {
+        exceptions: Object.fromEntries(Object.entries(r.exceptions).map(([key, ex]) => [key, upgradeException(ex)])),
+      }),
+    })),
+  }),
+  // v9 -> v10: player lists; every booking so far was made by its client alone
+  9: (data) => ({
+    ...data,
+    reservations: data.reservations.map(r => ({ ...r, players: [createOrganizer(r)] })),
+  }),
+  // v10 -> v11: tournaments and americanos
+  10: (data) => ({ ...data, events: [] }),
+  // v11 -> v12: coaches and class types
+  11: (data) => ({ ...data, coaches: [], classTypes: DEFAULT_CLASS_TYPES }),
+  // v12 -> v13: venues; the single club becomes the default venue, and the
+  // customers, coaches and class types are shared by the whole group
+  12: ({ customers, coaches, classTypes, ...venue }) => ({
+    venues: [{ id: DEFAULT_VENUE_ID, name: DEFAULT_VENUE_NAME, ...venue, elements: dedupeCourtLabels(venue.elements) }],
+    activeVenueId: DEFAULT_VENUE_ID,
+    customers,
+    coaches,
+    classTypes,
+  }),
+  // v13 -> v14: staff accounts (none yet, so the app stays open until one is created)
+  13: (data) => ({ ...data, staff: [] }),
+};
+
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+export const migrateClubData = (data, fromVersion) => {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new StorageError(`Los datos guardados son de una versión más nueva (v${fromVersion}).`);
+  }
+  let current = data;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    const migrate = MIGRATIONS[v];
+    if (!migrate) throw new StorageError(`No hay migración disponible desde la versión ${v}.`);
+    current = migrate(current);
+  }
+  return current;
+};
+
+const ELEMENT_TYPES = ['court', 'zone', 'wall'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isValidDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+// Per-venue part of validateClubData; messages name the venue.
+const validateVenue = (venue, index) => {
+  if (!venue || venue.id == null || typeof venue.name !== 'string') {
+    throw new StorageError(`Sede #${index + 1}: id o nombre inválido.`);
+  }
+  const prefix = `Sede "${venue.name}" · `;
+  if (!Array.isArray(venue.elements) || !Array.isArray(venue.reservations)) {
+    throw new StorageError(`${prefix}Faltan "elements" o "reservations".`);
+  }
+
+  const ids = new Set();
+
+  venue.elements.forEach((el, i) => {
+    if (!el || el.id == null || !ELEMENT_TYPES.includes(el.type)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: tipo o id inválido.`);
+    }
+    if (![el.x, el.y, el.rotation].every(isFiniteNumber)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: posición o rotación inválida.`);
+    }
+    if (el.type !== 'court' && ![el.width, el.height].every(isFiniteNumber)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: tamaño inválido.`);
+    }
+    if (ids.has(el.id)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: id repetido.`);
+    }
+    ids.add(el.id);
+    if (el.type === 'court' && !isValidCourtAttributes(el)) {
+      throw new StorageError(`${prefix}Cancha #${i + 1}: atributos inválidos.`);
+    }
+    if (el.type === 'court' && isCourtLabelTaken(venue.elements.slice(0, i), el)) {
+      throw new StorageError(`${prefix}Cancha #${i + 1}: el nombre "${el.label}" está repetido.`);
+    }
+    if (el.type === 'zone' && !ZONE_TYPE_IDS.includes(el.zoneType)) {
+      throw new StorageError(`${prefix}Zona #${i + 1}: tipo de zona desconocido.`);
+    }
+    if (el.type === 'wall' && !WALL_TYPE_IDS.includes(el.wallType)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: tipo de muro desconocido.`);
+    }
+    if (el.capacity != null && !(isFiniteNumber(el.capacity) && el.capacity >= 0)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: capacidad inválida.`);
+    }
+    if (el.schedule && !isValidCourtSchedule(el.schedule)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: horario propio inválido.`);
+    }
+    if (el.pricing && !isValidPricing(el.pricing)) {
+      throw new StorageError(`${prefix}Elemento #${i + 1}: tarifa propia inválida.`);
+    }
+  });
+
+  venue.reservations.forEach((res, i) => {
+    if (!res || res.id == null || res.courtId == null) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: id o cancha faltante.`);
+    }
+    if (!isValidDate(res.start) || !isValidDate(res.end) || new Date(res.end) <= new Date(res.start)) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: horario inválido.`);
+    }
+    if (typeof res.clientName !== 'string') {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: nombre de cliente inválido.`);
+    }
+    if (res.payments && !Array.isArray(res.payments)) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: pagos inválidos.`);
+    }
+    if (!Object.hasOwn(RESERVATION_STATUS, res.status)) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: estado desconocido.`);
+    }
+    if (!Array.isArray(res.players) || res.players.length === 0 || res.players.length > (res.classTypeId != null ? MAX_CLASS_STUDENTS : 4) || res.players.filter(p => p?.isOrganizer).length !== 1) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: lista de jugadores inválida.`);
+    }
+    if (res.history && !Array.isArray(res.history)) {
+      throw new StorageError(`${prefix}Reserva #${i + 1}: historial de cambios inválido.`);
+    }
+  });
+
+  if (!Array.isArray(venue.waitlist)) {
+    throw new StorageError(`${prefix}Falta la lista de espera.`);
+  }
+  venue.waitlist.forEach((entry, i) => {
+    if (!entry || entry.id == null || typeof entry.clientName !== 'string' || !isValidDate(`${entry.date}T${entry.time}`) || !isFiniteNumber(entry.duration)) {
+      throw new StorageError(`${prefix}Lista de espera #${i + 1}: fecha, hora o cliente inválido.`);
+    }
+  });
+
+  if (!Array.isArray(venue.maintenance)) {
+    throw new StorageError(`${prefix}Faltan los bloqueos por mantenimiento.`);
+  }
+  venue.maintenance.forEach((block, i) => {
+    if (!block || block.id == null || block.courtId == null || !isValidDate(block.start) || !isValidDate(block.end) || new Date(block.end) <= new Date(block.start)) {
+      throw new StorageError(`${prefix}Mantenimiento #${i + 1}: cancha u horario inválido.`);
+    }
+  });
+
+  if (!Array.isArray(venue.events)) {
+    throw new StorageError(`${prefix}Faltan los eventos.`);
+  }
+  venue.events.forEach((event, i) => {
+    if (!event || event.id == null || typeof event.name !== 'string' || !Object.hasOwn(EVENT_FORMATS, event.format)) {
+      throw new StorageError(`${prefix}Evento #${i + 1}: id, nombre o formato inválido.`);
+    }
+    if (!Array.isArray(event.entrants) || !Array.isArray(event.matches) || !isValidDate(event.start) || !isValidDate(event.end)) {
+      throw new StorageError(`${prefix}Evento #${i + 1}: participantes, partidos u horario inválido.`);
+    }
+  });
+
+  if (venue.site !== null && !(venue.site && [venue.site.width, venue.site.height].every(v => isFiniteNumber(v) && v > 0))) {
+    throw new StorageError(`${prefix}Las dimensiones del terreno son inválidas.`);
+  }
+
+  if (!isValidSchedule(venue.schedule)) {
+    throw new StorageError(`${prefix}Los horarios son inválidos.`);
+  }
+  if (!isValidPricing(venue.pricing)) {
+    throw new StorageError(`${prefix}Las tarifas son inválidas.`);
+  }
+};
+
+// Shape check shared by the local store and file imports. Throws a StorageError
+// naming the first offending record so the user can find it.
+export const validateClubData = (data) => {
+  if (!data || !Array.isArray(data.venues) || data.venues.length === 0) {
+    throw new StorageError('Los datos están dañados: faltan las sedes.');
+  }
+  data.venues.forEach(validateVenue);
+  if (new Set(data.venues.map(v => v.id)).size !== data.venues.length) {
+    throw new StorageError('Los datos están dañados: hay sedes con el mismo id.');
+  }
+  if (!data.venues.some(v => v.id === data.activeVenueId)) {
+    throw new StorageError('Los datos están dañados: la sede activa no existe.');
+  }
+
+  if (!Array.isArray(data.customers)) {
+    throw new StorageError('Los datos están dañados: falta el listado de clientes.');
+  }
+  data.customers.forEach((c, i) => {
+    if (!c || c.id == null || typeof c.name !== 'string') {
+      throw new StorageError(`Cliente #${i + 1}: id o nombre inválido.`);
+    }
+  });
+
+  if (!Array.isArray(data.coaches) || !Array.isArray(data.classTypes)) {
+    throw new StorageError('Los datos están dañados: faltan los profesores o los tipos de clase.');
+  }
+  data.coaches.forEach((coach, i) => {
+    if (!isValidCoach(coach)) throw new StorageError(`Profesor #${i + 1}: nombre o disponibilidad inválida.`);
+  });
+  data.classTypes.forEach((type, i) => {
+    if (!isValidClassType(type)) throw new StorageError(`Tipo de clase #${i + 1}: nombre o cupo inválido.`);
+  });
+
+  if (!Array.isArray(data.staff)) {
+    throw new StorageError('Los datos están dañados: faltan los usuarios.');
+  }
+  data.staff.forEach((member, i) => {
+    if (!isValidStaffMember(member)) throw new StorageError(`Usuario #${i + 1}: nombre, rol o PIN inválido.`);
+  });
+  if (data.staff.length > 0 && !data.staff.some(member => member.role === 'owner')) {
+    throw new StorageError('Los datos están dañados: ningún usuario tiene el rol de dueño.');
+  }
+
+  return data;
+};
+
+// Reads the envelope (or a legacy bare payload) and returns { data, revision }: the
+// migrated club data and its sync revision (0 when it was never synced, see lib/sync).
+export const readStoredClub = (raw) => {
+  const parsed = JSON.parse(raw);
+  const isEnvelope = parsed && typeof parsed.version === 'number' && 'data' in parsed;
+  const version = isEnvelope ? parsed.version : 0;
+  return {
+    data: validateClubData(migrateClubData(isEnvelope ? parsed.data : parsed, version)),
+    revision: isEnvelope && Number.isInteger(parsed.revision) ? parsed.revision : 0,
+  };
+};
+
+export const parseStoredClub = (raw) => readStoredClub(raw).data;
+
+export const serializeClub = (data, space, revision = 0) => JSON.stringify({
+  version: SCHEMA_VERSION,
+  revision,
+  savedAt: new Date().toISOString(),
+  data,
+}, null, space);
+
+// File imports go through the same migration and validation path as the local store.
+export const parseClubFile = (text) => {
+  try {
+    return parseStoredClub(text);
+  } catch (err) {
+    if (err instanceof StorageError) throw err;
+    throw new StorageError('El archivo no es un respaldo JSON válido.');
+  }
+};
+
+// Repository backed by Web Storage. Any object with load/save/clear can replace it
+// (e.g. an IndexedDB implementation) without touching the components.
+export const createLocalStorageRepository = (key = STORAGE_KEY, storage = globalThis.localStorage) => ({
+  // Never throws: unreadable data is copied to a backup key and an empty club is returned.
+  // Returns { data, revision, error }.
+  load() {
+    if (!storage) return { data: createEmptyClubData(), revision: 0, error: null };
+    const raw = storage.getItem(key);
+    if (!raw) return { data: createEmptyClubData(), revision: 0, error: null };
+
+    try {
+      return { ...readStoredClub(raw), error: null };
+    } catch (err) {
+      const backupKey = `${key}:backup:${Date.now()}`;
+      try {
+        storage.setItem(backupKey, raw);
+      } catch {
+        // Backup is best effort; the original value is still in `key` until the next save.
+      }
+      const reason = err instanceof StorageError ? err.message : 'Los datos guardados no se pudieron leer.';
+      return { data: createEmptyClubData(), revision: 0, error: `${reason} Se guardó una copia en "${backupKey}".` };
+    }
+  },
+
+  save(data, revision = 0) {
+    if (!storage) return false;
+    try {
+      storage.setItem(key, serializeClub(data, undefined, revision));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  clear() {
+    storage?.removeItem(key);
+  },
+});
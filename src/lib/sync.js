@@ -0,0 +1,508 @@
+import { expandReservations, findConflict } from './recurrence';
+import { withMaintenance } from './courts';
+import { findCoachConflict } from './coaches';
+import { isCancelled } from './reservations';
+import { formatDate, formatTime } from './dates';
+import { SCHEMA_VERSION, StorageError, migrateClubData, validateClubData } from './storage';
+
+// --- SYNC ---
+// Several tabs or devices edit the same club. Each change is sent as a patch against
+// the last shared state ({ revision, data }) and committed by an adapter:
+//   - createTabSync: tabs of one browser, through the local store and a BroadcastChannel
+//   - createServerSync: any device, through the sync server in server/
+// Both commit with commitPatch, which re-checks court and coach overlaps and
+// maintenance blocks against the state as it is now, so the later of two
+// simultaneous bookings is refused instead of silently overwriting the first.
+//
+// patch: {
+//   shared: { customers?, coaches?, classTypes?, staff? },         record changes
+//   venues: { [venueId]: { added: venue } | { removed: true }
+//                      | { name?, site?, schedule?, pricing?,         replaced whole
+//                          records?: { elements?, reservations?, waitlist?, maintenance?, events? } } },
+// }
+// Record changes are { upserts: [record], deletes: [id] }, so two devices editing
+// different bookings (or customers, or courts) never undo each other.
+// `activeVenueId` is a per-device choice and is not part of a patch.
+//
+// PIN hashes: with the tab adapter they live in the staff records like any other
+// field. The sync server keeps them to itself (see lib/staff), so its clients hold
+// members without `pinHash`, send new PINs next to the patch (`pins`) and log in
+// through the server.
+
+const SHARED_RECORDS = ['customers', 'coaches', 'classTypes', 'staff'];
+const VENUE_RECORDS = ['elements', 'reservations', 'waitlist', 'maintenance', 'events'];
+const VENUE_VALUES = ['name', 'site', 'schedule', 'pricing'];
+
+export const isSameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const diffRecords = (before, after) => {
+  const previous = new Map(before.map(r => [r.id, r]));
+  const ids = new Set(after.map(r => r.id));
+  const upserts = after.filter(r => !isSameValue(previous.get(r.id), r));
+  const deletes = before.filter(r => !ids.has(r.id)).map(r => r.id);
+  return upserts.length > 0 || deletes.length > 0 ? { upserts, deletes } : null;
+};
+
+// Changed records keep their place; new ones go last.
+const applyRecords = (list, { upserts, deletes }) => {
+  const deleted = new Set(deletes);
+  const changed = new Map(upserts.map(r => [r.id, r]));
+  const known = new Set(list.map(r => r.id));
+  return [
+    ...list.filter(r => !deleted.has(r.id)).map(r => changed.get(r.id) || r),
+    ...upserts.filter(r => !known.has(r.id)),
+  ];
+};
+
+export const diffClubData = (base, next) => {
+  const patch = { shared: {}, venues: {} };
+  SHARED_RECORDS.forEach(key => {
+    const change = diffRecords(base[key], next[key]);
+    if (change) patch.shared[key] = change;
+  });
+
+  const baseVenues = new Map(base.venues.map(v => [v.id, v]));
+  next.venues.forEach(venue => {
+    const before = baseVenues.get(venue.id);
+    if (!before) {
+      patch.venues[venue.id] = { added: venue };
+      return;
+    }
+    const change = {};
+    VENUE_VALUES.forEach(key => {
+      if (!isSameValue(before[key], venue[key])) change[key] = venue[key];
+    });
+    VENUE_RECORDS.forEach(key => {
+      const records = diffRecords(before[key], venue[key]);
+      if (records) change.records = { ...change.records, [key]: records };
+    });
+    if (Object.keys(change).length > 0) patch.venues[venue.id] = change;
+  });
+  base.venues.filter(v => !next.venues.some(n => n.id === v.id)).forEach(v => {
+    patch.venues[v.id] = { removed: true };
+  });
+  return patch;
+};
+
+export const isEmptyPatch = (patch) => Object.keys(patch.shared).length === 0 && Object.keys(patch.venues).length === 0;
+
+export const applyClubPatch = (data, patch) => {
+  const venues = data.venues
+    .filter(venue => !patch.venues[venue.id]?.removed)
+    .map(venue => {
+      const change = patch.venues[venue.id];
+      if (!change) return venue;
+      if (change.added) return change.added;
+      const { records = {}, ...values } = change;
+      return {
+        ...venue,
+        ...values,
+        ...Object.fromEntries(Object.entries(records).map(([key, recordChange]) => [key, applyRecords(venue[key], recordChange)])),
+      };
+    });
+  const known = new Set(data.venues.map(v => v.id));
+  Object.values(patch.venues).forEach(change => {
+    if (change.added && !known.has(change.added.id)) venues.push(change.added);
+  });
+
+  return {
+    ...data,
+    ...Object.fromEntries(Object.entries(patch.shared).map(([key, recordChange]) => [key, applyRecords(data[key], recordChange)])),
+    venues,
+  };
+};
+
+const activeOccurrences = (reservations) => expandReservations(reservations).filter(r => !isCancelled(r));
+
+// What a booking holds: its court and coach at each occurrence.
+const getSlots = (res) => activeOccurrences([res]).map(r => `${r.courtId}|${r.coachId ?? ''}|${r.start}|${r.end}`);
+
+const isSameRange = (a, b) => a.courtId === b.courtId && a.start === b.start && a.end === b.end;
+
+// The first change of the patch that now clashes with the club as the patch leaves
+// it, or null:
+//   { venueId, reservation, conflictWith }                a court taken by a booking or a block
+//   { venueId, reservation, conflictWith, byCoach: true } a coach already booked, at any venue
+//   { venueId, maintenance, conflictWith }               a block over a booking made meanwhile
+// Bookings of the patch are checked in order against the ones before them, so of
+// two clashing new bookings the later is refused. Bookings and blocks whose slots
+// the patch leaves as they are in `data` (a payment, a new player, a new reason)
+// are not re-checked. A block may be placed over bookings on purpose (see
+// MaintenancePanel); the ones its device knew about are in `acceptedOverlaps`.
+export const findPatchConflict = (data, patch) => {
+  const next = applyClubPatch(data, patch);
+  const currentVenues = new Map(data.venues.map(v => [v.id, v]));
+
+  // Per venue, the occurrences of the bookings that are already settled.
+  const booked = new Map();
+  const pending = [];
+  next.venues.forEach(venue => {
+    const current = new Map((currentVenues.get(venue.id)?.reservations || []).map(r => [r.id, r]));
+    const upserts = patch.venues[venue.id]?.records?.reservations?.upserts || [];
+    const changed = upserts.filter(r => !current.has(r.id) || !isSameValue(getSlots(current.get(r.id)), getSlots(r)));
+    const changedIds = new Set(changed.map(r => r.id));
+    booked.set(venue.id, activeOccurrences(venue.reservations.filter(r => !changedIds.has(r.id))));
+    changed.forEach(reservation => pending.push({ venue, reservation }));
+  });
+
+  for (const { venue, reservation } of pending) {
+    const occurrences = activeOccurrences([reservation]);
+    const court = findConflict(occurrences, withMaintenance(booked.get(venue.id), venue.maintenance));
+    if (court) return { venueId: venue.id, reservation, conflictWith: court.conflictWith };
+    if (reservation.coachId != null) {
+      const coach = findCoachConflict(occurrences, [...booked.values()].flat().filter(r => r.coachId != null));
+      if (coach) return { venueId: venue.id, reservation, conflictWith: coach.conflictWith, byCoach: true };
+    }
+    booked.get(venue.id).push(...occurrences);
+  }
+
+  for (const venue of next.venues) {
+    const current = new Map((currentVenues.get(venue.id)?.maintenance || []).map(b => [b.id, b]));
+    const upserts = patch.venues[venue.id]?.records?.maintenance?.upserts || [];
+    for (const block of upserts.filter(b => !current.has(b.id) || !isSameRange(current.get(b.id), b))) {
+      const accepted = new Set(block.acceptedOverlaps || []);
+      const others = withMaintenance(booked.get(venue.id).filter(r => !accepted.has(r.id)), venue.maintenance.filter(b => b.id !== block.id));
+      const overlap = findConflict([block], others);
+      if (overlap) return { venueId: venue.id, maintenance: block, conflictWith: overlap.conflictWith };
+    }
+  }
+  return null;
+};
+
+const withoutUpserts = (change, isDropped) => change && { ...change, upserts: change.upserts.filter(r => !isDropped(r)) };
+
+// The patch without the refused booking or block. An event's court blocks go
+// together, so a refused block takes the event and its other blocks with it.
+export const withoutConflict = (patch, { venueId, reservation, maintenance }) => {
+  const change = patch.venues[venueId];
+  if (!change?.records) return patch;
+  const { reservations: reservationChange, maintenance: maintenanceChange, events: eventChange } = change.records;
+  const records = maintenance
+    ? { ...change.records, maintenance: withoutUpserts(maintenanceChange, b => b.id === maintenance.id) }
+    : {
+      ...change.records,
+      reservations: withoutUpserts(reservationChange, r => r.id === reservation.id || (reservation.eventId != null && r.eventId === reservation.eventId)),
+      ...(eventChange && reservation.eventId != null && { events: withoutUpserts(eventChange, e => e.id === reservation.eventId) }),
+    };
+  return {
+    ...patch,
+    venues: { ...patch.venues, [venueId]: { ...change, records: Object.fromEntries(Object.entries(records).filter(([, r]) => r)) } },
+  };
+};
+
+export const describeConflict = (data, { venueId, reservation, maintenance, conflictWith, byCoach }) => {
+  const courtLabel = (courtId) => data.venues.find(v => v.id === venueId)?.elements.find(el => el.id === courtId)?.label ?? '?';
+  const when = `el ${formatDate(conflictWith.start)} a las ${formatTime(conflictWith.start)}`;
+  if (maintenance) {
+    const taken = conflictWith.isMaintenance ? 'quedó en mantenimiento' : `fue reservada por ${conflictWith.clientName}`;
+    return `Conflicto: mientras tanto la cancha ${courtLabel(maintenance.courtId)} ${taken} ${when}. El bloqueo por mantenimiento no se guardó.`;
+  }
+  if (byCoach) {
+    const coach = data.coaches.find(c => c.id === reservation.coachId);
+    return `Conflicto: mientras tanto ${coach?.name ?? 'el profesor'} quedó reservado con ${conflictWith.clientName} ${when}. `
+      + `La clase de ${reservation.clientName} no se guardó.`;
+  }
+  const taken = conflictWith.isMaintenance ? 'quedó en mantenimiento' : `fue reservada por ${conflictWith.clientName}`;
+  return `Conflicto: mientras tanto la cancha ${courtLabel(reservation.courtId)} ${taken} ${when}. `
+    + `La reserva de ${reservation.clientName} no se guardó.`;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isRecordChange = (change) => Boolean(
+  isPlainObject(change)
+  && Array.isArray(change.upserts) && change.upserts.every(r => isPlainObject(r) && r.id != null)
+  && Array.isArray(change.deletes)
+);
+
+// Throws a StorageError when `patch` does not have the shape above or names a venue
+// that `data` does not have (or, for an added one, already has). Patches come from
+// other devices, so nothing about them is taken for granted.
+export const validatePatch = (data, patch) => {
+  if (!isPlainObject(patch) || !isPlainObject(patch.shared) || !isPlainObject(patch.venues)) {
+    throw new StorageError('Cambio inválido: faltan "shared" o "venues".');
+  }
+  Object.entries(patch.shared).forEach(([key, change]) => {
+    if (!SHARED_RECORDS.includes(key) || !isRecordChange(change)) throw new StorageError(`Cambio inválido en "${key}".`);
+  });
+  const known = new Set(data.venues.map(v => String(v.id)));
+  Object.entries(patch.venues).forEach(([venueId, change]) => {
+    if (!isPlainObject(change)) throw new StorageError(`Cambio inválido en la sede "${venueId}".`);
+    if ('added' in change) {
+      if (known.has(venueId) || !isPlainObject(change.added) || String(change.added.id) !== venueId) {
+        throw new StorageError(`Cambio inválido: la sede nueva "${venueId}" ya existe o no coincide con su id.`);
+      }
+      return;
+    }
+    if (!known.has(venueId)) throw new StorageError(`Cambio inválido: la sede "${venueId}" no existe.`);
+    if ('removed' in change) {
+      if (change.removed !== true || Object.keys(change).length > 1) throw new StorageError(`Cambio inválido en la sede "${venueId}".`);
+      return;
+    }
+    const { records = {}, ...values } = change;
+    const badValue = Object.keys(values).find(key => !VENUE_VALUES.includes(key));
+    if (badValue) throw new StorageError(`Cambio inválido en la sede "${venueId}": "${badValue}" no se puede cambiar.`);
+    if (!isPlainObject(records)) throw new StorageError(`Cambio inválido en la sede "${venueId}".`);
+    Object.entries(records).forEach(([key, recordChange]) => {
+      if (!VENUE_RECORDS.includes(key) || !isRecordChange(recordChange)) {
+        throw new StorageError(`Cambio inválido en la sede "${venueId}": "${key}".`);
+      }
+    });
+  });
+};
+
+// Commits a patch on top of `current` ({ revision, data }) and returns one of
+//   { status: 'ok', revision, data }
+//   { status: 'conflict', conflict, revision, data }   (nothing was committed)
+// A patch that leaves the data as it was keeps the revision, so nothing is
+// stored or announced. Throws a StorageError when the patch or its result is not valid.
+// `activeVenueId` is the venue the pushing device has open, kept as the one the
+// store opens with.
+export const commitPatch = (current, { patch, activeVenueId }) => {
+  validatePatch(current.data, patch);
+  const next = applyClubPatch(current.data, patch);
+  const data = validateClubData(next.venues.some(v => v.id === activeVenueId) ? { ...next, activeVenueId } : next);
+  const conflict = findPatchConflict(current.data, patch);
+  if (conflict) return { status: 'conflict', conflict, ...current };
+  if (isSameValue(data, current.data)) return { status: 'ok', ...current };
+  return { status: 'ok', revision: current.revision + 1, data };
+};
+
+// --- ADAPTERS ---
+// adapter: {
+//   keepsPins: whether PIN hashes stay with the adapter instead of in the staff records
+//   push({ patch, activeVenueId, credentials, pins }) -> Promise<commit result | { status: 'error', message }>
+//   subscribe(onUpdate({ revision, data })) -> unsubscribe
+//   login(pin) -> Promise<staff id | null>              only when keepsPins
+// }
+// `credentials` ({ staffId, pin } of who is logged in, or null) and `pins`
+// ({ [staffId]: pin }, the PINs set since the last push) are only used by
+// adapters that keep the PINs.
+
+// Tabs of one browser: `repository` (see createLocalStorageRepository) is the shared
+// state and the BroadcastChannel tells the other tabs to reload it. Commits run
+// under a Web Lock where available, so two tabs never commit at the same time.
+export const createTabSync = (repository, {
+  name = 'padel-club-planner',
+  BroadcastChannelImpl = globalThis.BroadcastChannel,
+  locks = globalThis.navigator?.locks,
+} = {}) => {
+  let channel = null;
+  const getChannel = () => {
+    if (!channel && BroadcastChannelImpl) channel = new BroadcastChannelImpl(name);
+    return channel;
+  };
+  const withLock = (fn) => (locks ? locks.request(name, fn) : fn());
+
+  return {
+    keepsPins: false,
+
+    push: ({ patch, activeVenueId }) => withLock(async () => {
+      // Unreadable data was backed up when it was loaded and is replaced here.
+      const { data, revision } = repository.load();
+      let result;
+      try {
+        result = commitPatch({ revision, data }, { patch, activeVenueId });
+      } catch (err) {
+        if (err instanceof StorageError) return { status: 'error', message: err.message };
+        throw err;
+      }
+      if (result.status === 'ok' && result.revision !== revision) {
+        if (!repository.save(result.data, result.revision)) {
+          return { status: 'error', message: 'No se pudieron guardar los cambios en este navegador.' };
+        }
+        getChannel()?.postMessage({ revision: result.revision });
+      }
+      return result;
+    }),
+
+    subscribe(onUpdate) {
+      const target = getChannel();
+      if (!target) return () => {};
+      const handleMessage = () => {
+        const { data, revision, error } = repository.load();
+        if (!error) onUpdate({ revision, data });
+      };
+      target.addEventListener('message', handleMessage);
+      return () => target.removeEventListener('message', handleMessage);
+    },
+  };
+};
+
+const SERVER_UNREACHABLE = 'No se pudo conectar con el servidor de sincronización. Los cambios se enviarán al reconectar.';
+
+// Server payloads are { version, revision, data }, migrated like a stored envelope.
+const fromServer = ({ version, revision, data }) => ({ revision, data: validateClubData(migrateClubData(data, version)) });
+
+// Any device, through the sync server (server/sync-server.js) at `url`, which
+// answers only to its shared `token`. Updates arrive as Server-Sent Events; an
+// EventSource can't send headers, so that one request carries the token in the URL.
+// `cache` (a repository) keeps the last shared state so the app opens with it while
+// the server is unreachable.
+// Besides the commit results, a push can come back { status: 'refused', message,
+// revision, data } when it changes staff accounts or PINs without the PIN of a
+// user who may manage them; nothing was committed.
+export const createServerSync = (url, {
+  token,
+  cache = null,
+  fetchImpl = (...args) => globalThis.fetch(...args),
+  EventSourceImpl = globalThis.EventSource,
+} = {}) => {
+  const base = url.replace(/\/+$/, '');
+  const remember = (shared) => {
+    cache?.save(shared.data, shared.revision);
+    return shared;
+  };
+  const post = (path, body) => fetchImpl(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+
+  return {
+    keepsPins: true,
+
+    async push({ patch, activeVenueId, credentials, pins }) {
+      let response;
+      let body;
+      try {
+        response = await post('/club', { version: SCHEMA_VERSION, patch, activeVenueId, credentials, pins });
+        body = await response.json();
+      } catch {
+        return { status: 'error', message: SERVER_UNREACHABLE };
+      }
+      if (body.status === 'ok' || body.status === 'conflict' || body.status === 'refused') {
+        return { ...body, ...remember(fromServer(body)) };
+      }
+      return { status: 'error', message: body.message || `El servidor de sincronización respondió ${response.status}.` };
+    },
+
+    subscribe(onUpdate) {
+      if (!EventSourceImpl) return () => {};
+      const source = new EventSourceImpl(`${base}/events?token=${encodeURIComponent(token)}`);
+      source.addEventListener('message', (e) => {
+        try {
+          onUpdate(remember(fromServer(JSON.parse(e.data))));
+        } catch {
+          // A malformed or newer-version update is skipped; the next one brings the full state again.
+        }
+      });
+      return () => source.close();
+    },
+
+    // Throws when the server can't be asked, so a wrong PIN is told apart from no connection.
+    async login(pin) {
+      let response;
+      let body;
+      try {
+        response = await post('/login', { pin });
+        body = await response.json();
+      } catch {
+        throw new Error('No se pudo conectar con el servidor de sincronización para comprobar el PIN.');
+      }
+      if (body.status === 'ok') return body.staffId;
+      if (response.status === 401) return null;
+      throw new Error(body.message || `El servidor de sincronización respondió ${response.status}.`);
+    },
+  };
+};
+
+// --- SESSION ---
+// Keeps one device in step with the others. `track` is called with every local
+// state and `flush` sends what changed (the caller debounces it); changes made
+// while a push is in flight go out with the next one. Remote states are merged
+// under the local changes that are not shared yet, and the result is handed to
+// `onData`. A refused booking is reported to `onConflict` and dropped from the
+// local state, and so are staff changes the adapter refused. Every update, even one
+// with nothing new (a reconnect), retries what could not be sent.
+// `setCredentials` and `setPin` feed adapters that keep the PINs; a PIN waits until
+// its member is in the tracked state, so both go out in the same push.
+export const createSyncSession = (adapter, initial, { onData, onConflict, onError }) => {
+  let shared = initial; // { revision, data }: the last state known to be shared
+  let local = initial.data;
+  let pushedVenueId = initial.data.activeVenueId;
+  let inFlight = false;
+  let pendingRemote = null;
+  let credentials = null;
+  let pins = {}; // staffId -> PIN not sent yet
+
+  const rebase = (next, pending = diffClubData(shared.data, local)) => {
+    shared = next;
+    const merged = { ...applyClubPatch(next.data, pending), activeVenueId: local.activeVenueId };
+    if (!isSameValue(merged, local)) {
+      local = merged;
+      onData(merged);
+    }
+  };
+
+  // Sent PINs are forgotten once committed or refused; a newer PIN for the same
+  // member, set while the push was in flight, is kept.
+  const forgetPins = (sent) => {
+    pins = Object.fromEntries(Object.entries(pins).filter(([id, pin]) => sent[id] !== pin));
+  };
+
+  const flush = async () => {
+    if (inFlight) return;
+    const patch = diffClubData(shared.data, local);
+    const activeVenueId = local.activeVenueId;
+    const sentPins = Object.fromEntries(Object.entries(pins).filter(([id]) => local.staff.some(m => String(m.id) === id)));
+    if (isEmptyPatch(patch) && activeVenueId === pushedVenueId && Object.keys(sentPins).length === 0) return;
+
+    inFlight = true;
+    const result = await adapter.push({ patch, activeVenueId, credentials, pins: sentPins })
+      .catch(() => ({ status: 'error', message: 'No se pudieron sincronizar los cambios.' }));
+    inFlight = false;
+
+    if (result.status === 'error') {
+      onError(result.message);
+    } else {
+      pushedVenueId = activeVenueId;
+      // A user who changed their own PIN goes on with the new one.
+      if (result.status === 'ok' && credentials && sentPins[credentials.staffId] != null) {
+        credentials = { ...credentials, pin: sentPins[credentials.staffId] };
+      }
+      if (result.status !== 'conflict') forgetPins(sentPins);
+      if (result.status === 'refused') {
+        onConflict(result.message);
+        const { shared: { staff: _refused, ...sharedChanges }, ...pending } = diffClubData(shared.data, local);
+        rebase(result, { ...pending, shared: sharedChanges });
+      } else if (result.status === 'conflict') {
+        onConflict(describeConflict(result.data, result.conflict));
+        // What was sent minus the refused booking, plus anything edited since.
+        const pending = diffClubData(shared.data, local);
+        rebase(result, withoutConflict(pending, result.conflict));
+      } else {
+        rebase(result);
+      }
+    }
+
+    if (pendingRemote && pendingRemote.revision > shared.revision) rebase(pendingRemote);
+    pendingRemote = null;
+    if (result.status !== 'error') flush();
+  };
+
+  return {
+    track(data) {
+      local = data;
+    },
+
+    setCredentials(next) {
+      credentials = next;
+    },
+
+    setPin(staffId, pin) {
+      pins = { ...pins, [staffId]: pin };
+    },
+
+    flush,
+
+    subscribe: () => adapter.subscribe((next) => {
+      if (inFlight) {
+        if (next.revision > (pendingRemote?.revision ?? shared.revision)) pendingRemote = next;
+        return;
+      }
+      if (next.revision > shared.revision) rebase(next);
+      flush();
+    }),
+  };
+};
@@ -0,0 +1,35 @@
+import { DEFAULT_SCHEDULE } from './schedule';
+import { DEFAULT_PRICING } from './pricing';
+
+// --- VENUES ---
+// venue: { id, name, elements, reservations, waitlist, maintenance, events, site, schedule, pricing }
+// Each club of the group has its own layout, courts, hours, rates and bookings.
+// Customers, coaches and class types belong to the group and are shared by every
+// venue. Court ids and labels are only unique within their venue.
+
+export const DEFAULT_VENUE_ID = 'venue-1';
+export const DEFAULT_VENUE_NAME = 'Club principal';
+
+export const createVenue = ({ name }, id = `venue-${Date.now()}`) => ({
+  id,
+  name: name.trim(),
+  elements: [],
+  reservations: [],
+  waitlist: [],
+  maintenance: [],
+  events: [],
+  site: null,
+  schedule: DEFAULT_SCHEDULE,
+  pricing: DEFAULT_PRICING,
+});
+
+// Falls back to the first venue when `id` is unknown.
+export const getVenue = (venues, id) => venues.find(v => v.id === id) || venues[0];
+
+// Returns null when the name can be used, otherwise a message for the user.
+export const validateVenueName = (venues, name, exceptId = null) => {
+  const normalized = name.trim().toLowerCase();
+  if (!normalized) return 'La sede necesita un nombre.';
+  if (venues.some(v => v.id !== exceptId && v.name.trim().toLowerCase() === normalized)) return `Ya existe una sede "${name.trim()}".`;
+  return null;
+};
@@ -0,0 +1,61 @@
+import { rangesOverlap } from './recurrence';
+import { createOrganizer } from './reservations';
+
+// --- WAITLIST ---
+// entry: { id, customerId, clientName, phone, date: 'YYYY-MM-DD', time: 'HH:MM',
+//          duration, courtId (null = any court), createdAt, freed? }
+// When a reservation overlapping the wanted window is cancelled, the entry gets
+// `freed: { courtId, at }` so it shows up in the notification panel until staff
+// book it or dismiss it.
+
+export const createWaitlistEntry = ({ customerId = null, clientName, phone = '', date, time, duration, courtId = null }, id = Date.now()) => ({
+  id,
+  customerId,
+  clientName: clientName.trim(),
+  phone: phone.trim(),
+  date,
+  time,
+  duration,
+  courtId,
+  createdAt: new Date().toISOString(),
+});
+
+export const getEntryRange = (entry) => {
+  const start = new Date(`${entry.date}T${entry.time}`);
+  return { start, end: new Date(start.getTime() + entry.duration * 60000) };
+};
+
+// Entries still in the future whose window overlaps one of the freed reservations.
+// Returns [{ entry, courtId }] with the court that became free.
+export const findFreedEntries = (waitlist, freedReservations, now = Date.now()) => waitlist.flatMap(entry => {
+  const { start, end } = getEntryRange(entry);
+  if (end.getTime() <= now) return [];
+  const match = freedReservations.find(res => (
+    (entry.courtId == null || entry.courtId === res.courtId)
+    && rangesOverlap(start.getTime(), end.getTime(), new Date(res.start).getTime(), new Date(res.end).getTime())
+  ));
+  return match ? [{ entry, courtId: match.courtId }] : [];
+});
+
+export const markFreed = (waitlist, matches, at = new Date().toISOString()) => {
+  const byId = new Map(matches.map(m => [m.entry.id, m.courtId]));
+  return waitlist.map(entry => (byId.has(entry.id) ? { ...entry, freed: { courtId: byId.get(entry.id), at } } : entry));
+};
+
+// The booking an entry turns into once a court is free for it.
+export const toReservation = (entry, courtId, price, id = Date.now()) => {
+  const { start, end } = getEntryRange(entry);
+  return {
+    id,
+    courtId,
+    customerId: entry.customerId,
+    clientName: entry.clientName,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    price,
+    deposit: '0',
+    payments: [],
+    status: 'confirmed',
+    players: [createOrganizer(entry)],
+  };
+};